@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * reports a window that could not be resized, without failing the session (there is no control flow to catch it)
+ * @param {Error} err - error of the resize command
+ * @returns {void}
+ */
+function warnWindowSize(err) {
+    console.warn('Unable to size the browser window: ' + err.message);
+}
+
+/**
+ * Sizes the window of a new browser session, used by the chrome, firefox and remote drivers
+ * @param {ThenableWebDriver} driver - selenium web driver
+ * @param {object} windowSize - (optional) fixed {width, height} of the browser window
+ * @param {boolean} maximize - maximize the window when no size is given, headless browsers are left as they are
+ * @returns {ThenableWebDriver} the driver
+ */
+module.exports = function (driver, windowSize, maximize) {
+    if (windowSize) {
+        driver.manage().window().setRect(windowSize).catch(warnWindowSize);
+    } else if (maximize) {
+        driver.manage().window().maximize().catch(warnWindowSize);
+    }
+    return driver;
+};
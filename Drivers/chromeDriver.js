@@ -1,21 +1,58 @@
 'use strict';
-let chromedriver = require('chromedriver');
 let selenium = require('selenium-webdriver');
+let chrome = require('selenium-webdriver/chrome');
+let merge = require('merge');
+let sizeWindow = require('./browserWindow.js');
 
 /**
  * Creates a Selenium WebDriver using Chrome as the browser
+ * @param {object} options - driver options
+ * @param {string} options.remoteUrl - (optional) url of a remote selenium server to create the session on
+ * @param {object} options.capabilities - (optional) capabilities merged over the defaults, "chromeOptions" is read as "goog:chromeOptions"
+ * @param {boolean} options.headless - (optional) run chrome without a visible window
+ * @param {object} options.windowSize - (optional) fixed {width, height} of the browser window, maximized if not set
+ * @param {Array} options.args - (optional) extra command line arguments passed to chrome
+ * @param {object} options.prefs - (optional) chrome user preferences
+ * @param {string} options.proxy - (optional) host:port of a proxy to send all traffic through
  * @returns {ThenableWebDriver} selenium web driver
  */
-module.exports = function() {
-    let driver = new selenium.Builder().withCapabilities({
-        browserName: 'chrome',
-        javascriptEnabled: true,
-        acceptSslCerts: true,
-        chromeOptions: {
-            args: ['start-maximized', 'disable-extensions']
-        },
-        path: chromedriver.path
-    }).build();
-    driver.manage().window().maximize();
-    return driver;
+module.exports = function(options) {
+    options = options || {};
+
+    // capabilities written for selenium-webdriver 3 use chromeOptions rather than the W3C goog:chromeOptions
+    let capabilities = Object.assign({}, options.capabilities);
+    if (capabilities.chromeOptions) {
+        capabilities['goog:chromeOptions'] = merge.recursive(true, capabilities.chromeOptions, capabilities['goog:chromeOptions'] || {});
+        delete capabilities.chromeOptions;
+    }
+
+    let chromeOptions = new chrome.Options(capabilities);
+    chromeOptions.addArguments('--disable-extensions');
+    if (options.headless) {
+        chromeOptions.addArguments('--headless=new', '--disable-gpu');
+    }
+    if (options.windowSize) {
+        chromeOptions.windowSize(options.windowSize);
+    } else if (!options.headless) {
+        chromeOptions.addArguments('--start-maximized');
+    }
+    if (options.proxy) {
+        // chrome skips the proxy for localhost unless told otherwise
+        chromeOptions.addArguments('--proxy-server=http://' + options.proxy, '--proxy-bypass-list=<-loopback>');
+    }
+    chromeOptions.addArguments(...(options.args || []));
+    chromeOptions.setUserPreferences(merge.recursive(true, (capabilities['goog:chromeOptions'] || {}).prefs || {}, options.prefs || {}));
+    chromeOptions.setAcceptInsecureCerts(true);
+
+    let loggingPrefs = new selenium.logging.Preferences();
+    loggingPrefs.setLevel(selenium.logging.Type.BROWSER, selenium.logging.Level.ALL);
+    chromeOptions.setLoggingPrefs(loggingPrefs);
+
+    let builder = new selenium.Builder().forBrowser(selenium.Browser.CHROME).setChromeOptions(chromeOptions);
+    // without a remote server selenium manager finds (or downloads) a chromedriver matching the installed chrome
+    if (options.remoteUrl) {
+        builder.usingServer(options.remoteUrl);
+    }
+    let driver = builder.build();
+    return sizeWindow(driver, options.windowSize, !options.headless);
 };
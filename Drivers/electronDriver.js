@@ -1,19 +1,27 @@
 'use strict';
 let selenium = require('selenium-webdriver');
+let chrome = require('selenium-webdriver/chrome');
 let path = require('path');
 let myapp = path.resolve(process.cwd(), 'MyApp.app/Contents/MacOS/MyApp');
 /**
- * Creates a Selenium WebDriver using Firefox as the browser
+ * Creates a Selenium WebDriver using Electron as the browser
+ * @param {object} options - driver options
+ * @param {string} options.remoteUrl - (optional) url of a remote selenium server to create the session on
+ * @param {object} options.capabilities - (optional) capabilities merged over the defaults
+ * @param {string} options.proxy - (optional) host:port of a proxy to send all traffic through
  * @returns {ThenableWebDriver} selenium web driver
  */
-module.exports = function () {
-    return new selenium.Builder()
-        .withCapabilities({
-            chromeOptions: {
-                // Here is the path to your Electron binary.
-                binary: myapp
-            }
-        })
-        .forBrowser('electron')
-        .build();
+module.exports = function (options) {
+    options = options || {};
+    let electronOptions = new chrome.Options(options.capabilities);
+    // Here is the path to your Electron binary.
+    electronOptions.setBinaryPath(myapp);
+    if (options.proxy) {
+        electronOptions.addArguments('--proxy-server=http://' + options.proxy, '--proxy-bypass-list=<-loopback>');
+    }
+    let builder = new selenium.Builder().forBrowser(selenium.Browser.CHROME).setChromeOptions(electronOptions);
+    if (options.remoteUrl) {
+        builder.usingServer(options.remoteUrl);
+    }
+    return builder.build();
 };
@@ -1,19 +1,57 @@
 'use strict';
 
-let firefox = require('geckodriver');
+let fs = require('fs-plus');
+let geckodriver = require('geckodriver');
 let selenium = require('selenium-webdriver');
+let firefox = require('selenium-webdriver/firefox');
+let merge = require('merge');
+let sizeWindow = require('./browserWindow.js');
 
 /**
  * Creates a Selenium WebDriver using Firefox as the browser
+ * @param {object} options - driver options
+ * @param {string} options.remoteUrl - (optional) url of a remote selenium server to create the session on
+ * @param {object} options.capabilities - (optional) capabilities merged over the defaults
+ * @param {boolean} options.headless - (optional) run firefox without a visible window
+ * @param {object} options.windowSize - (optional) fixed {width, height} of the browser window, maximized if not set
+ * @param {Array} options.args - (optional) extra command line arguments passed to firefox
+ * @param {object} options.prefs - (optional) firefox about:config preferences
+ * @param {string} options.proxy - (optional) host:port of a proxy to send all traffic through
  * @returns {ThenableWebDriver} selenium web driver
  */
-module.exports = function() {
-    let driver = new selenium.Builder().withCapabilities({
-        browserName: 'firefox',
-        javascriptEnabled: true,
-        acceptSslCerts: true,
-        'webdriver.firefox.bin': firefox.path
-    }).build();
-    driver.manage().window().maximize();
-    return driver;
+module.exports = function(options) {
+    options = options || {};
+    let firefoxOptions = new firefox.Options(options.capabilities);
+    if (options.headless) {
+        firefoxOptions.addArguments('-headless');
+    }
+    if (options.windowSize) {
+        firefoxOptions.windowSize(options.windowSize);
+    }
+    firefoxOptions.addArguments(...(options.args || []));
+    let prefs = options.prefs || {};
+    if (options.proxy) {
+        let proxy = options.proxy.split(':');
+        prefs = merge.recursive(true, {
+            'network.proxy.type': 1,
+            'network.proxy.http': proxy[0],
+            'network.proxy.http_port': Number(proxy[1]),
+            'network.proxy.ssl': proxy[0],
+            'network.proxy.ssl_port': Number(proxy[1]),
+            'network.proxy.no_proxies_on': '',
+            'network.proxy.allow_hijacking_localhost': true
+        }, prefs);
+    }
+    Object.keys(prefs).forEach((key) => firefoxOptions.setPreference(key, prefs[key]));
+    firefoxOptions.setAcceptInsecureCerts(true);
+
+    let builder = new selenium.Builder().forBrowser(selenium.Browser.FIREFOX).setFirefoxOptions(firefoxOptions);
+    if (options.remoteUrl) {
+        builder.usingServer(options.remoteUrl);
+    } else if (fs.isFileSync(geckodriver.path)) {
+        // otherwise selenium manager finds (or downloads) a geckodriver
+        builder.setFirefoxService(new firefox.ServiceBuilder(geckodriver.path));
+    }
+    let driver = builder.build();
+    return sizeWindow(driver, options.windowSize, !options.headless);
 };
@@ -0,0 +1,29 @@
+'use strict';
+
+let selenium = require('selenium-webdriver');
+let merge = require('merge');
+let sizeWindow = require('./browserWindow.js');
+
+/**
+ * Creates a Selenium WebDriver for any browser supported by a remote selenium server or grid hub
+ * @param {string} browserName - name of the browser the server should start
+ * @param {object} options - driver options
+ * @param {string} options.remoteUrl - url of the remote selenium server to create the session on
+ * @param {object} options.capabilities - (optional) capabilities merged over the defaults
+ * @param {string} options.proxy - (optional) host:port of a proxy to send all traffic through
+ * @param {object} options.windowSize - (optional) fixed {width, height} of the browser window, maximized if not set
+ * @returns {ThenableWebDriver} selenium web driver
+ */
+module.exports = function(browserName, options) {
+    let capabilities = merge.recursive(true, {
+        browserName: browserName,
+        acceptInsecureCerts: true
+    }, options.proxy ? {
+        proxy: {proxyType: 'manual', httpProxy: options.proxy, sslProxy: options.proxy}
+    } : {}, options.capabilities);
+    let driver = new selenium.Builder()
+        .withCapabilities(capabilities)
+        .usingServer(options.remoteUrl)
+        .build();
+    return sizeWindow(driver, options.windowSize, true);
+};
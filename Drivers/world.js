@@ -3,6 +3,8 @@
 /**
  * world.js is loaded by the cucumber framework before loading the step definitions and feature files
  * it is responsible for setting up and exposing the driver/browser/expect/assert etc required within each step definition
+ * each scenario gets its own World (this within step definitions and hooks), the same objects are also published as
+ * globals for existing step files unless running with --noGlobals
  */
 let driver, eyes;
 let fs = require('fs-plus');
@@ -12,52 +14,107 @@ let merge = require('merge');
 let chalk = require('chalk');
 let selenium = require('selenium-webdriver');
 let {expect, assert} = require('chai');
-let reporter = require('cucumber-html-reporter');
-let cucumberJunit = require('cucumber-junit');
 let Eyes = require('eyes.selenium').Eyes;
+let artifacts = require('../utility/artifacts');
+let stepScreenshots = require('../utility/step-screenshots');
+let pageElements = require('../utility/page-elements');
+let helpers = require('../utility/helpers');
+let session = require('../utility/session');
+let networkMock = require('../utility/network-mock');
+let visualRegression = require('../utility/visual-regression');
+let accessibility = require('../utility/accessibility');
+let performanceMetrics = require('../utility/performance-metrics');
+let legacySupport = require('../utility/legacy-support');
+let testData = require('../utility/test-data');
+let secrets = require('../utility/secrets');
+let cucumber = require('@cucumber/cucumber');
+let {setWorldConstructor, setDefaultTimeout, setDefinitionFunctionWrapper, BeforeAll, AfterAll, Before, After, BeforeStep, AfterStep, Status} = cucumber;
 
 // drivers
 let FireFoxDriver = require('./firefoxDriver.js');
-let PhantomJSDriver = require('./phantomDriver.js');
 let ElectronDriver = require('./electronDriver.js');
 let ChromeDriver = require('./chromeDriver');
+let RemoteDriver = require('./remoteDriver.js');
+
+// scenarios with this tag get a browser of their own whatever the teardown strategy
+const FRESH_BROWSER_TAG = '@fresh-browser';
+
+// page and shared objects loaded from the project, shared by every World
+let support = {page: {}, shared: {}};
+
+// watch mode reloads this file between runs, the browser it kept open is used rather than starting another (see utility/watch.js)
+driver = session.getDriver();
+
+/**
+ * sets the browser of the running scenario, publishing it as the driver global unless running with --noGlobals
+ * @param {ThenableWebDriver} instance - selenium web driver or null once the browser has quit
+ * @returns {ThenableWebDriver} the browser
+ */
+function setDriver(instance) {
+    driver = instance;
+    session.setDriver(instance);
+    if (!global.noGlobals) {
+        global.driver = instance;
+    }
+    return instance;
+}
+
+/**
+ * build the capabilities for a browser from the capabilities block of the config file
+ * the "default" entry applies to every browser, with the entry matching the browser name merged over it
+ * @param {string} name - name of the browser
+ * @returns {object} capabilities to merge over the driver defaults
+ */
+function getCapabilities(name) {
+    let capabilities = global.capabilities || {};
+    return merge.recursive(true, capabilities.default || {}, capabilities[name] || {});
+}
 
 /**
  * create the selenium browser based on global let set in index.js
  * @returns {ThenableWebDriver} selenium web driver
  */
 function getDriverInstance() {
+    let browserOptions = (global.browserOptions || {})[browserName] || {};
+    let options = {
+        remoteUrl: global.remoteUrl,
+        capabilities: getCapabilities(browserName),
+        headless: global.headless,
+        windowSize: global.windowSize,
+        args: browserOptions.args,
+        prefs: browserOptions.prefs,
+        proxy: (global.mockNetwork) ? networkMock.getProxyAddress() : null
+    };
+
     switch (browserName || '') {
         case 'firefox': {
-            driver = new FireFoxDriver();
-            break;
-        }
-
-        case 'phantomjs': {
-            driver = new PhantomJSDriver();
+            driver = new FireFoxDriver(options);
             break;
         }
 
         case 'electron': {
-            driver = new ElectronDriver();
+            driver = new ElectronDriver(options);
             break;
         }
 
         case 'chrome': {
-            driver = new ChromeDriver();
+            driver = new ChromeDriver(options);
             break;
         }
 
         default: {
             let driverFileName = path.resolve(process.cwd(), browserName);
-            if (!fs.isFileSync(driverFileName)) {
+            if (fs.isFileSync(driverFileName)) {
+                driver = require(driverFileName)(options);
+            } else if (options.remoteUrl) {
+                // let the remote server decide if it supports the browser
+                driver = new RemoteDriver(browserName, options);
+            } else {
                 throw new Error('Could not find driver file: ' + driverFileName);
             }
-            driver = require(driverFileName)();
         }
     }
-    global.driver = driver;
-    return global.driver;
+    return setDriver(driver);
 }
 
 /**
@@ -74,138 +131,323 @@ function getEyesInstance() {
 
 function consoleInfo() {
     let args = [].slice.call(arguments),
-        output = chalk.bgBlue.white('\n>>>>> \n' + args + '\n<<<<<\n');
+        output = chalk.bgBlue.white('\n>>>>> \n' + secrets.mask(String(args)) + '\n<<<<<\n');
     console.log(output);
 }
 
 /**
- * Creates a list of letiables to expose globally and therefore accessible within each step definition
+ * the World of a scenario, cucumber creates a new one before every scenario and binds it to this within step definitions
+ * and hooks (so step definitions must use function () {} rather than arrow functions to reach it)
+ * @example
+ *      When(/^I place an order$/, function () {
+ *          return this.helpers.click('#place-order')
+ *              .then(() => this.helpers.getText('#order-id'))
+ *              .then((orderId) => this.context.set('orderId', orderId));
+ *      });
+ */
+class World extends cucumber.World {
+
+    /**
+     * @param {object} options - provided by cucumber, sets this.attach, this.log and this.parameters (given with --worldParameters)
+     */
+    constructor(options) {
+        super(options);
+        this.selenium = selenium;               // the raw nodejs selenium driver
+        this.By = selenium.By;                  // in keeping with Java expose selenium By
+        this.by = selenium.By;                  // provide a javascript lowercase version
+        this.until = selenium.until;            // provide easy access to selenium until methods
+        this.expect = expect;                   // chai expect
+        this.assert = assert;                   // chai assert
+        this.trace = consoleInfo;               // log output to the console in a readable/visible format
+        this.page = support.page;               // page objects
+        this.shared = support.shared;           // shared objects
+        this.helpers = helpers;                 // helper methods, see utility/helpers.js
+        this.testData = testData;               // {{placeholder}} values, see utility/test-data.js
+        this.secrets = secrets;                 // secret values, masked in the output and reports
+        this.mock = (global.mockNetwork) ? networkMock : null;
+        this.context = new Map();               // values passed between the steps of this scenario only
+    }
+
+    /**
+     * the browser of the scenario, it is created after the World so is looked up whenever it is used
+     * @returns {ThenableWebDriver} selenium web driver
+     */
+    get driver() {
+        return session.getDriver();
+    }
+
+    /**
+     * the Applitools Eyes instance, if one has been created
+     * @returns {Eyes} eyes or null
+     */
+    get eyes() {
+        return eyes || null;
+    }
+}
+
+/**
+ * publishes the objects of the World as global variables, so step definitions, page objects and shared objects written
+ * before the World existed keep working (no this. prefix required). skipped when running with --noGlobals
  * @returns {void}
  */
-function createWorld() {
+function publishGlobals() {
+    if (global.noGlobals) return;
+
     let runtime = {
-        driver: null,               // the browser object
         eyes: null,
-        selenium: selenium,         // the raw nodejs selenium driver
-        By: selenium.By,            // in keeping with Java expose selenium By
-        by: selenium.By,            // provide a javascript lowercase version
-        until: selenium.until,      // provide easy access to selenium until methods
-        expect: expect,             // expose chai expect to allow letiable testing
-        assert: assert,             // expose chai assert to allow letiable testing
-        trace: consoleInfo,         // expose an info method to log output to the console in a readable/visible format
-        page: global.page || {},    // empty page objects placeholder
-        shared: global.shared || {} // empty shared objects placeholder
+        selenium: selenium,
+        By: selenium.By,
+        by: selenium.By,
+        until: selenium.until,
+        expect: expect,
+        assert: assert,
+        trace: consoleInfo,
+        page: support.page,
+        shared: support.shared,
+        helpers: helpers,
+        testData: testData,
+        secrets: secrets
     };
+    if (global.mockNetwork) {
+        runtime.mock = networkMock;
+    }
 
-    // expose properties to step definition methods via global variables
+    // the driver is published by setDriver as it is created and quit by the scenario hooks
     Object.keys(runtime).forEach(function (key) {
-        if (key === 'driver' && browserTeardownStrategy !== 'always') {
-            return;
-        }
-        // make property/method available as a global (no this. prefix required)
         global[key] = runtime[key];
     });
 }
 
 /**
- * Import shared objects, pages object and helpers into global scope
+ * Import shared objects (including JSON, YAML and CSV data files, see utility/test-data.js) and page objects
  * @returns {void}
  */
 function importSupportObjects() {
     if (global.sharedObjectPaths && Array.isArray(global.sharedObjectPaths) && global.sharedObjectPaths.length > 0) {
         let allDirs = {};
         global.sharedObjectPaths.forEach(function (itemPath) {
-            if (fs.existsSync(itemPath)) {
-                let dir = requireDir(itemPath, {camelcase: true, recurse: true});
+            if (fs.isDirectorySync(itemPath)) {
+                let dir = testData.loadFolder(itemPath, (global.config || {}).env);
                 merge(allDirs, dir);
             }
         });
         if (Object.keys(allDirs).length > 0) {
-            global.shared = allDirs;
+            // secret:NAME references are replaced by their values, which are masked in the output and reports
+            support.shared = secrets.resolve(allDirs, (global.config || {}).secretsFile);
         }
     }
+    testData.setSharedObjects(support.shared);
     if (global.pageObjectPath && fs.existsSync(global.pageObjectPath)) {
-        global.page = requireDir(global.pageObjectPath, {camelcase: true, recurse: true});
+        // declared elements become element proxies with auto-waiting actions (see utility/page-elements.js)
+        support.page = pageElements.wrap(requireDir(global.pageObjectPath, {camelcase: true, recurse: true}));
     }
-    global.helpers = require('../utility/helpers');
+
+    // performance budgets can be declared by page object name
+    performanceMetrics.setPageObjects(support.page);
+    publishGlobals();
+}
+
+/**
+ * returns the teardown strategy for a scenario, the @fresh-browser tag always gives the scenario its own browser
+ * @param {object} scenario - cucumber scenario
+ * @returns {string} always, clear or none
+ */
+function getTeardownStrategy(scenario) {
+    let freshBrowser = scenario.getTags().some((tag) => tag.getName() === FRESH_BROWSER_TAG);
+    return (freshBrowser) ? 'always' : (global.browserTeardownStrategy || 'always');
 }
 
-function closeBrowser() {
+/**
+ * quits the browser (closing every window) so the next scenario starts a new session
+ * @returns {Promise} resolves once the browser has quit, never rejects
+ */
+function quitBrowser() {
+    if (!driver) return Promise.resolve();
 
-    return driver.close().then(function () {
-        if (browserName !== 'firefox') {
-            return driver.quit();
-        }
+    let quitting = driver;
+    setDriver(null);
+    return quitting.quit().catch(function (err) {
+        console.warn('Unable to quit the browser: ' + err.message);
     });
 }
 
-async function teardownBrowser() {
-    await Promise.resolve();
-    helpers.clearCookiesAndStorages();
-    //   closeBrowser();
+/**
+ * resets the browser state between scenarios without starting a new session
+ * falls back to quitting the browser if the state cannot be cleared, so no state leaks into the next scenario
+ * @returns {Promise} resolves once the browser has been reset
+ */
+function clearBrowser() {
+    if (!driver) return Promise.resolve();
+
+    return helpers.closeExtraWindows()
+        .then(() => helpers.restoreBrowsingContext())
+        .then(() => helpers.clearCookiesAndStorages())
+        .then(() => helpers.clearIndexedDb())
+        .catch(function (err) {
+            console.warn('Unable to clear the browser, starting a new one: ' + err.message);
+            return quitBrowser();
+        });
 }
 
-// export the "World" required by cucumber to allow it to expose methods within step def's
-module.exports = function () {
-    createWorld();
-    importSupportObjects();
-    // this.World must be set!
-    this.World = createWorld;
+/**
+ * returns a browser that is kept open to the top level document of its main window
+ * @returns {Promise} resolves once switched, the browser is quit if it cannot be switched
+ */
+function restoreBrowser() {
+    if (!driver) return Promise.resolve();
 
-    // set the default timeout for all tests
-    this.setDefaultTimeout(global.DEFAULT_TIMEOUT);
+    return helpers.restoreBrowsingContext().catch(function (err) {
+        console.warn('Unable to return to the main window, starting a new browser: ' + err.message);
+        return quitBrowser();
+    });
+}
 
-    // create the driver and applitools eyes before scenario if it's not instantiated
-    this.registerHandler('BeforeScenario', function (scenario) {
-            global.driver = !driver ? getDriverInstance() : driver;
-            // if (!global.eyes) {
-            //     global.eyes = getEyesInstance();
-            //     eyes = global.eyes
-            // }
-        }
-    )
-    ;
-
-    this.registerHandler('AfterFeatures', function (features, done) {
-        let cucumberReportPath = path.resolve(global.reportsPath, 'cucumber-report.json');
-        if (global.reportsPath && fs.existsSync(global.reportsPath)) {
-            // generate the HTML report
-            let reportOptions = {
-                theme: 'bootstrap',
-                jsonFile: cucumberReportPath,
-                output: path.resolve(global.reportsPath, 'cucumber-report.html'),
-                reportSuiteAsScenarios: true,
-                launchReport: (!global.disableLaunchReport),
-                ignoreBadJsonFile: true
-            };
-            reporter.generate(reportOptions);
-
-            // grab the file data
-            let reportRaw = fs.readFileSync(cucumberReportPath).toString().trim();
-            let xmlReport = cucumberJunit(reportRaw);
-            let junitOutputPath = path.resolve(global.junitPath, 'junit-report.xml');
-            fs.writeFileSync(junitOutputPath, xmlReport);
-        }
-        if (browserTeardownStrategy !== 'always') {
-            closeBrowser().then(() => done());
-        } else {
-            new Promise((resolve) => resolve(done()));
-        }
+/**
+ * applies the teardown strategy at the end of a scenario
+ * @param {string} strategy - always (quit the browser), clear (reset its state) or none (only return to the main window)
+ * @returns {Promise} resolves once the browser has been torn down
+ */
+function teardownBrowser(strategy) {
+    switch (strategy) {
+        case 'none':
+            return restoreBrowser();
+        case 'clear':
+            return clearBrowser();
+        default:
+            return quitBrowser();
+    }
+}
+
+// globals are published before the support objects are loaded as page objects use them (by.css etc) as they load
+publishGlobals();
+importSupportObjects();
+
+// every scenario gets a new World
+setWorldConstructor(World);
+
+// {{placeholders}} in step arguments, doc strings and tables are filled in before the step runs (hooks are given no strings or tables)
+setDefinitionFunctionWrapper(function (fn) {
+    return function () {
+        return fn.apply(this, testData.renderArguments([].slice.call(arguments), cucumber.DataTable));
+    };
+});
+
+// set the default timeout for all tests
+setDefaultTimeout(global.DEFAULT_TIMEOUT);
+
+// the teardown strategy of the running scenario, decided before it starts
+let teardownStrategy = global.browserTeardownStrategy;
+
+// the running scenario, in the form utility modules attach their results to
+let currentScenario = null;
+
+// capture a screenshot after every step
+let captureSteps = (global.screenshots === 'step' || global.screenshots === 'always');
+
+// route the browser through the network mocking proxy, started before the first browser is created
+if (global.mockNetwork) {
+    BeforeAll(function () {
+        return networkMock.start({fixtures: global.fixturesPath});
     });
+}
 
-// executed after each scenario (always closes the browser to ensure fresh tests)
-    this.After((scenario) => {
-        if (scenario.isFailed() && !global.noScreenshot) {
-            return global.driver.takeScreenshot().then(function (screenShot) {
-                scenario.attach(new Buffer(screenShot, 'base64'), 'image/png');
-                helpers.clearCookiesAndStorages();
-                return teardownBrowser().then(() => {
-                    if (eyes) {
-                        return eyes.abortIfNotClosed()
-                    }
-                });
-            });
+// create the driver and applitools eyes before scenario if it's not instantiated
+Before(function (testCase) {
+    currentScenario = legacySupport.toScenario(testCase, this);
+    teardownStrategy = getTeardownStrategy(currentScenario);
+
+    // a browser kept by an earlier "clear" or "none" scenario is replaced for scenarios that need a fresh one
+    let ready = (teardownStrategy === 'always') ? quitBrowser() : Promise.resolve();
+    return ready.then(function () {
+        if (!driver) {
+            getDriverInstance();
         }
-        return teardownBrowser();
+        // if (!global.eyes) {
+        //     global.eyes = getEyesInstance();
+        //     eyes = global.eyes
+        // }
+        return helpers.rememberMainWindow();
+    });
+});
+
+// visual regression comparisons, accessibility audits, performance metrics and step screenshots attach their results to the running scenario
+Before(function () {
+    testData.startScenario();
+    visualRegression.startScenario(currentScenario);
+    accessibility.startScenario(currentScenario);
+    performanceMetrics.startScenario(currentScenario);
+    if (captureSteps) {
+        stepScreenshots.startScenario(currentScenario);
+    }
+    if (global.mockNetwork) {
+        networkMock.reset();
+    }
+});
+
+if (captureSteps) {
+    BeforeStep(function (testStep) {
+        stepScreenshots.startStep(legacySupport.toStep(testStep));
+    });
+
+    AfterStep(function (testStep) {
+        return stepScreenshots.endStep(testStep.result.status === Status.FAILED);
+    });
+}
+
+// check the duration of every step and scenario against the performance budgets, a scenario takes as long as its steps
+if ((global.performanceBudgets || {}).step || (global.performanceBudgets || {}).scenario) {
+    AfterStep(function (testStep) {
+        performanceMetrics.endStep(testStep);
+    });
+}
+
+if ((global.performanceBudgets || {}).scenario) {
+    After(function () {
+        performanceMetrics.endScenario();
     });
-};
+}
+
+// quit the browser kept open by the "clear" and "none" strategies, reports are generated by index.js once cucumber has written them
+// watch mode keeps the browser and network mocking proxy for the next run, they are stopped when it stops watching
+AfterAll(function () {
+    if (global.watchMode) return null;
+    return quitBrowser().then(() => networkMock.stop());
+});
+
+// executed after each scenario, tears the browser down according to the teardown strategy
+After(function (testCase) {
+    let scenario = legacySupport.toScenario(testCase, this);
+    if (captureSteps && global.filmstrip) {
+        stepScreenshots.writeFilmstrip(global.reportsPath);
+    }
+    if (global.har) {
+        networkMock.saveHar(global.reportsPath, scenario.getName());
+    }
+    if (scenario.isFailed()) {
+        return artifacts.capture(driver, scenario, {
+            reportsPath: global.reportsPath,
+            screenshot: global.screenshots !== 'never',
+            pageSource: !global.noPageSource,
+            consoleLog: !global.noConsoleLog,
+            url: !global.noUrl,
+            windowSize: !global.noWindowSize
+        }).then(function () {
+            return teardownBrowser(teardownStrategy).then(() => {
+                if (eyes) {
+                    return eyes.abortIfNotClosed()
+                }
+            });
+        });
+    }
+    if (global.screenshots === 'always') {
+        // capture the final state of passing scenarios too
+        return driver.takeScreenshot().then(function (screenShot) {
+            scenario.attach(Buffer.from(screenShot, 'base64'), 'image/png');
+            return teardownBrowser(teardownStrategy);
+        });
+    }
+    return teardownBrowser(teardownStrategy);
+});
+
+// load the project step definitions, files written for cucumber 1.x (module.exports = function () { this.Given(...) }) included
+legacySupport.load(global.stepsPath);
@@ -1,135 +1,206 @@
 #!/usr/bin/env node
 'use strict';
 
-let fs = require('fs-plus');
-let path = require('path');
+/**
+ * command line interface of selenium-cucumber-js, the options are passed to runner.run (see utility/runner.js)
+ * requiring this file (the package main) exposes the programmatic api without running anything
+ */
 let program = require('commander');
+let chalk = require('chalk');
 let pjson = require('./package.json');
-let cucumber = require('cucumber');
-
-let config = {
-    steps: './src/step-definitions',
-    pageObjects: './src/page-objects',
-    sharedObjects: './src/shared-objects',
-    featureFiles: './src/features',
-    reports: './reports',
-    browser: 'chrome',
-    reStart: false,
-    browserTeardownStrategy: 'always',
-    timeout: 15000
-};
+let runner = require('./utility/runner');
+let parallel = require('./utility/parallel');
+let profiles = require('./utility/profiles');
+let configSchema = require('./utility/config-schema');
+let stepUsage = require('./utility/step-usage');
+let reporters = require('./utility/reporters');
+let watch = require('./utility/watch');
 
 function collectPaths(value, paths) {
     paths.push(value);
     return paths;
 }
 
-function coerceInt(value, defaultValue) {
-    let int = parseInt(value);
-    if (typeof int === 'number') return int;
-    return defaultValue;
-}
-
-let configFileName = path.resolve(process.cwd(), 'selenium-cucumber-js.json');
-
-if (fs.isFileSync(configFileName)) {
-    config = Object.assign(config, require(configFileName));
+function coerceInt(value) {
+    // values that are not whole numbers are kept as they are so validation can report them
+    if (/^-?\d+$/.test(String(value).trim())) return parseInt(value);
+    return value;
 }
 
-program
-    .version(pjson.version)
-    .description(pjson.description)
-    .option('-s, --steps <path>', 'path to step definitions. defaults to ' + config.steps, config.steps)
-    .option('-p, --pageObjects <path>', 'path to page objects. defaults to ' + config.pageObjects, config.pageObjects)
-    .option('-o, --sharedObjects [paths]', 'path to shared objects (repeatable). defaults to ' + config.sharedObjects, collectPaths, [config.sharedObjects])
-    .option('-b, --browser <path>', 'name of browser to use. defaults to ' + config.browser, config.browser)
-    .option('-k, --browser-teardown <optional>', 'browser teardown strategy after every scenario (always, clear, none). defaults to "always"', config.browserTeardownStrategy)
-    .option('-r, --reports <path>', 'output path to save reports. defaults to ' + config.reports, config.reports)
-    .option('-d, --disableLaunchReport [optional]', 'Disables the auto opening the browser with test report')
-    .option('-j, --junit <path>', 'output path to save junit-report.xml defaults to ' + config.reports)
-    .option('-t, --tags <tagName>', 'name of tag to run', collectPaths, [])
-    .option('-f, --featureFiles <paths>', 'comma-separated list of feature files to run or path to directory defaults to ' + config.featureFiles, config.featureFiles)
-    .option('-x, --timeOut <n>', 'steps definition timeout in milliseconds. defaults to ' + config.timeout, coerceInt, config.timeout)
-    .option('-n, --noScreenshot [optional]', 'disable auto capturing of screenshots when an error is encountered')
-    .option('-w, --worldParameters <JSON>', 'JSON object to pass to cucumber-js world constructor. defaults to empty', config.worldParameters)
-    .parse(process.argv);
-
-program.on('--help', function () {
-    console.log('  For more details please visit https://github.com/john-doherty/selenium-cucumber-js#readme\n');
-});
-
-// store browserName globally (used within world.js to build driver)
-global.browserName = program.browser;
-global.browserTeardownStrategy = program.browserTeardown;
-
-// store Eyes Api globally (used within world.js to set Eyes)
-global.eyesKey = config.eye_key;
-
-// used within world.js to import page objects
-global.pageObjectPath = path.resolve(program.pageObjects);
-
-// used within world.js to output reports
-global.reportsPath = path.resolve(program.reports);
-if (!fs.existsSync(program.reports)) {
-    fs.makeTreeSync(program.reports);
+/**
+ * exits the process once stdout has been flushed
+ * @param {boolean} succeeded - true if all scenarios passed
+ * @returns {void}
+ */
+function exitWhenDrained(succeeded) {
+    let code = succeeded ? 0 : 1;
+    function exitNow() {
+        process.exit(code);
+    }
+    if (process.stdout.write('')) {
+        exitNow();
+    } else {
+        process.stdout.on('drain', exitNow);
+    }
 }
 
-// used within world.js to decide if reports should be generated
-global.disableLaunchReport = (program.disableLaunchReport);
-
-// used with world.js to determine if a screenshot should be captured on error
-global.noScreenshot = (program.noScreenshot);
-
-// used within world.js to output junit reports
-global.junitPath = path.resolve(program.junit || program.reports);
-
-// set the default timeout to 10 seconds if not already globally defined or passed via the command line
-global.DEFAULT_TIMEOUT = global.DEFAULT_TIMEOUT || program.timeOut || 10 * 1000;
+/**
+ * parses the command line into the options of a run, exiting if the configuration is invalid
+ * @returns {object} options to pass to runner.run
+ */
+function parseCommandLine() {
 
-// used within world.js to import shared objects into the shared namespace
-global.sharedObjectPaths = program.sharedObjects.map(function (item) {
-    return path.resolve(item);
-});
+    // apply the environment profile selected with --env, this changes the defaults of the options below
+    let loaded = runner.loadConfig(profiles.getProfileName(process.argv.slice(2)));
+    let config = loaded.config;
 
-// rewrite command line switches for cucumber
-process.argv.splice(2, 100);
-
-// allow specific feature files to be executed
-if (program.featureFiles) {
-    let splitFeatureFiles = program.featureFiles.split(',');
-
-    splitFeatureFiles.forEach(function (feature) {
-        process.argv.push(feature);
+    // --usage can not be read from program.usage as that is the commander method printing the usage line
+    let listUsage = false;
+    program.on('usage', function () {
+        listUsage = true;
     });
-}
 
-// add switch to tell cucumber to produce json report files
-process.argv.push('-f');
-process.argv.push('pretty');
-process.argv.push('-f');
-process.argv.push('json:' + path.resolve(__dirname, global.reportsPath, 'cucumber-report.json'));
-
-// add cucumber world as first required script (this sets up the globals)
-process.argv.push('-r');
-process.argv.push(path.resolve(__dirname, 'Drivers/world.js'));
-
-// add path to import step definitions
-process.argv.push('-r');
-process.argv.push(path.resolve(program.steps));
-
-// add tag
-if (program.tags) {
-    program.tags.forEach(function (tag) {
-        process.argv.push('-t');
-        process.argv.push(tag);
+    program
+        .version(pjson.version)
+        .description(pjson.description)
+        .option('-e, --env <name>', 'name of the profile in selenium-cucumber-js.json to use. defaults to the top level settings', config.env)
+        .option('--baseUrl <url>', 'url that relative page urls are resolved against. defaults to ' + (config.baseUrl || 'none'), config.baseUrl)
+        .option('-s, --steps <path>', 'path to step definitions. defaults to ' + config.steps, config.steps)
+        .option('-g, --genericSteps [optional]', 'load the built-in library of generic step definitions', config.genericSteps)
+        .option('-p, --pageObjects <path>', 'path to page objects. defaults to ' + config.pageObjects, config.pageObjects)
+        .option('-o, --sharedObjects [paths]', 'path to shared objects (repeatable). defaults to ' + config.sharedObjects, collectPaths, [config.sharedObjects])
+        .option('-b, --browser <path>', 'name of browser to use. defaults to ' + config.browser, config.browser)
+        .option('-u, --remoteUrl <url>', 'url of a remote selenium server or grid hub to run the browser on. defaults to a local browser', config.remoteUrl)
+        .option('--headless [optional]', 'run chrome/firefox without a visible window', config.headless)
+        .option('--window-size <WxH>', 'fixed browser window size, for example 1280x1024. defaults to a maximized window', config.windowSize)
+        .option('-k, --browser-teardown <optional>', 'browser teardown strategy after every scenario (always, clear, none). defaults to "always"', config.browserTeardownStrategy)
+        .option('-r, --reports <path>', 'output path to save reports. defaults to ' + config.reports, config.reports)
+        .option('-d, --disableLaunchReport [optional]', 'Disables the auto opening the browser with test report')
+        .option('-j, --junit <path>', 'output path to save junit-report.xml defaults to ' + config.reports)
+        .option('-t, --tags <tagName>', 'tag expression of the scenarios to run (repeatable), for example "@smoke and not @wip"', collectPaths, [])
+        .option('-f, --featureFiles <paths>', 'comma-separated list of feature files to run or path to directory defaults to ' + config.featureFiles, config.featureFiles)
+        .option('-x, --timeOut <n>', 'steps definition timeout in milliseconds. defaults to ' + config.timeout, coerceInt, config.timeout)
+        .option('-n, --noScreenshot [optional]', 'disable auto capturing of screenshots when an error is encountered')
+        .option('--screenshots <mode>', 'when to capture screenshots (never, failure, step, always). defaults to ' + config.screenshots, config.screenshots)
+        .option('--filmstrip [optional]', 'save the step screenshots of each scenario as a filmstrip HTML page', config.filmstrip)
+        .option('--noPageSource [optional]', 'disable auto capturing of the page HTML when an error is encountered', config.noPageSource)
+        .option('--noConsoleLog [optional]', 'disable auto capturing of browser console log entries when an error is encountered', config.noConsoleLog)
+        .option('--noUrl [optional]', 'disable auto capturing of the current url when an error is encountered', config.noUrl)
+        .option('--noWindowSize [optional]', 'disable auto capturing of the browser window size when an error is encountered', config.noWindowSize)
+        .option('--baselines <path>', 'path to the visual regression baseline images. defaults to ' + config.baselines, config.baselines)
+        .option('--update-baselines [optional]', 'replace the visual regression baselines with the screenshots taken during this run', config.updateBaselines)
+        .option('--accessibilityImpact <level>', 'minimum impact of accessibility violations that fails helpers.checkAccessibility (minor, moderate, serious, critical). defaults to ' + config.accessibilityImpact, config.accessibilityImpact)
+        .option('--performanceBreach <action>', 'what exceeding a performance budget does (warn, fail). defaults to ' + config.performanceBreach, config.performanceBreach)
+        .option('--mockNetwork [optional]', 'route browser traffic through a local proxy so steps can stub responses and assert on requests', config.mockNetwork)
+        .option('--har [optional]', 'save the requests made by each scenario as a HAR file (implies --mockNetwork)', config.har)
+        .option('--fixtures <path>', 'folder served by the local proxy for offline scenarios (implies --mockNetwork)', config.fixtures)
+        .option('-w, --worldParameters <JSON>', 'JSON object to pass to cucumber-js world constructor. defaults to empty', config.worldParameters)
+        .option('--format <name[:path]>', 'extra cucumber formatter (repeatable), for example html:reports/cucumber.html or message:reports/messages.ndjson', collectPaths, [])
+        .option('--noGlobals [optional]', 'do not publish driver, page, helpers etc as global variables, step definitions use this.driver, this.page etc instead', config.noGlobals)
+        .option('--retry <n>', 'number of times to rerun failed scenarios, each in a fresh browser. defaults to ' + config.retry, coerceInt, config.retry)
+        .option('--retry-tag <tagName>', 'only rerun failed scenarios with this tag, for example @flaky. defaults to all failed scenarios', config.retryTag)
+        .option('--dry-run [optional]', 'match the steps of the feature files against the step definitions without starting a browser')
+        .option('--usage [optional]', 'dry run listing every step definition with its match count and location, flagging unused and ambiguous ones')
+        .option('--scaffold [optional]', 'dry run writing skeleton step definitions and page objects for undefined steps')
+        .option('--reporter <name>', 'extra report to generate (repeatable): ' + reporters.NAMES.join(', ') + ' or the path of a reporter module. defaults to ' + (config.reporters || 'none'), collectPaths, [])
+        .option('--watch [optional]', 'rerun the scenarios affected by changes to the feature files, step definitions, page objects and shared objects, keeping the browser open')
+        .option('--parallel <n>', 'number of worker processes to shard feature files across. defaults to ' + config.parallel, coerceInt, config.parallel)
+        .parse(process.argv);
+
+    program.on('--help', function () {
+        console.log('  For more details please visit https://github.com/john-doherty/selenium-cucumber-js#readme\n');
     });
-}
 
-if (program.worldParameters) {
-    process.argv.push('--world-parameters');
-    process.argv.push(program.worldParameters);
+    // problems with the configuration are collected and reported together before anything runs
+    let configErrors = loaded.errors.concat(configSchema.validateOptions(config, program));
+
+    if (configErrors.length > 0) {
+        console.error(chalk.red('Invalid configuration:'));
+        configErrors.forEach(function (error) {
+            console.error(chalk.red('  - ' + error));
+        });
+        process.exit(1);
+    }
+
+    return {
+        env: config.env,
+        baseUrl: program.baseUrl,
+        steps: program.steps,
+        genericSteps: program.genericSteps,
+        pageObjects: program.pageObjects,
+        sharedObjects: program.sharedObjects,
+        browser: program.browser,
+        remoteUrl: program.remoteUrl,
+        headless: program.headless,
+        windowSize: program.windowSize,
+        browserTeardownStrategy: program.browserTeardown,
+        reports: program.reports,
+        launchReport: !program.disableLaunchReport,
+        junit: program.junit,
+        tags: program.tags,
+        featureFiles: program.featureFiles,
+        timeout: program.timeOut,
+
+        // --noScreenshot is kept as an alias of --screenshots never
+        screenshots: (program.noScreenshot) ? 'never' : program.screenshots,
+        filmstrip: program.filmstrip,
+        noPageSource: program.noPageSource,
+        noConsoleLog: program.noConsoleLog,
+        noUrl: program.noUrl,
+        noWindowSize: program.noWindowSize,
+        baselines: program.baselines,
+        updateBaselines: program.updateBaselines,
+        accessibilityImpact: program.accessibilityImpact,
+        performanceBreach: program.performanceBreach,
+        mockNetwork: program.mockNetwork,
+        har: program.har,
+        fixtures: program.fixtures,
+        worldParameters: program.worldParameters,
+        format: program.format,
+
+        // reporters given on the command line replace those of the config file
+        reporters: (program.reporter.length > 0) ? program.reporter : undefined,
+        noGlobals: program.noGlobals,
+        retry: program.retry,
+        retryTag: program.retryTag,
+        parallel: program.parallel,
+        dryRun: program.dryRun,
+        usage: listUsage,
+        scaffold: program.scaffold,
+        watch: program.watch
+    };
 }
 
-process.argv.push('-S');
+if (require.main === module) {
+
+    // workers started by a parallel run are given the options of the run rather than a command line (see utility/parallel.js)
+    let isWorker = !!process.env[parallel.WORKER_ENV];
+    let options = (isWorker) ? parallel.workerOptions() : parseCommandLine();
+
+    if (options.watch) {
+
+        // watch mode runs until q is pressed (see utility/watch.js)
+        watch.start(options);
+        return;
+    }
+    delete options.watch;
+
+    runner.run(options)
+        .then(function (result) {
+            if (result.dryRun) {
+                console.log(stepUsage.format(result.usage, options.usage));
+                result.scaffolded.forEach((filePath) => console.log(chalk.green('Created ' + filePath)));
+            }
+            return result.success;
+        }, function (err) {
+            console.error((err.errors) ? chalk.red(err.message) : err.stack);
+            return false;
+        })
+        .then(function (succeeded) {
+            return ((isWorker) ? parallel.flushEvents() : Promise.resolve()).then(() => exitWhenDrained(succeeded));
+        });
+}
 
-global.cucumber = cucumber;
+module.exports = {
+    run: runner.run
+};
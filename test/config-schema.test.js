@@ -0,0 +1,105 @@
+'use strict';
+
+let path = require('path');
+let {expect} = require('chai');
+let configSchema = require('../utility/config-schema');
+
+describe('config-schema', function () {
+
+    describe('validateFile', function () {
+
+        it('accepts the settings of the schema', function () {
+            expect(configSchema.validateFile({browser: 'firefox', retry: 2, vars: {}, profiles: {ci: {headless: true}}})).to.deep.equal([]);
+        });
+
+        it('rejects unknown settings, suggesting the closest one', function () {
+            expect(configSchema.validateFile({browsr: 'chrome', colour: 'blue'})).to.deep.equal([
+                'Unknown setting "browsr" (did you mean "browser"?)',
+                'Unknown setting "colour"'
+            ]);
+        });
+
+        it('checks the keys of every profile, which can not have profiles of their own', function () {
+            expect(configSchema.validateFile({profiles: {ci: {headles: true, extends: 'base'}, base: {profiles: {}}}})).to.deep.equal([
+                'Unknown setting "profiles.ci.headles" (did you mean "headless"?)',
+                'Unknown setting "profiles.base.profiles"'
+            ]);
+        });
+
+        it('rejects a profile extending a profile that does not exist', function () {
+            expect(configSchema.validateFile({profiles: {ci: {extends: 'stagin'}, staging: {}}})).to.deep.equal([
+                'Profile "ci" extends unknown profile "stagin" (did you mean "staging"?)'
+            ]);
+        });
+    });
+
+    describe('validateRunOptions', function () {
+
+        it('accepts settings and run options but not profiles', function () {
+            expect(configSchema.validateRunOptions({browser: 'chrome', tags: '@smoke'}, ['tags'])).to.deep.equal([]);
+            expect(configSchema.validateRunOptions({profiles: {}, tag: '@smoke'}, ['tags'])).to.deep.equal([
+                'Unknown option "profiles"',
+                'Unknown option "tag" (did you mean "tags"?)'
+            ]);
+        });
+    });
+
+    describe('validateOptions', function () {
+
+        it('accepts valid settings', function () {
+            let config = {
+                steps: __dirname,
+                featureFiles: path.join(__dirname, 'fixtures/project/features'),
+                browser: 'chrome',
+                windowSize: '1280x1024',
+                timeout: 5000,
+                performanceBudgets: {loadPage: {load: 3000}, step: 1000},
+                worldParameters: '{"locale": "en"}'
+            };
+            expect(configSchema.validateOptions(config, {})).to.deep.equal([]);
+        });
+
+        it('reports the type of every invalid setting', function () {
+            expect(configSchema.validateOptions({headless: 'yes', timeout: 0, retry: 1.5, baseUrl: 'localhost:8080', capabilities: []}, {})).to.deep.equal([
+                '"baseUrl" must be an absolute url, for example http://localhost:4444/wd/hub, got "localhost:8080"',
+                '"headless" must be true or false, got "yes"',
+                '"timeout" must be 1 or more, got 0',
+                '"retry" must be a whole number, got 1.5',
+                '"capabilities" must be an object, got []'
+            ]);
+        });
+
+        it('suggests the closest allowed value', function () {
+            expect(configSchema.validateOptions({browserTeardownStrategy: 'allways', browser: 'chrom'}, {})).to.deep.equal([
+                '"browser" must be one of chrome, firefox, electron, the path of a custom driver file or used with --remoteUrl, got "chrom" (did you mean "chrome"?)',
+                '"browserTeardownStrategy" must be one of always, clear, none, got "allways" (did you mean "always"?)'
+            ]);
+        });
+
+        it('names the command line option a value came from', function () {
+            expect(configSchema.validateOptions({windowSize: '1280x1024'}, {windowSize: 'wide'})).to.deep.equal([
+                '--window-size must look like 1280x1024, got "wide"'
+            ]);
+        });
+
+        it('reports paths that do not exist', function () {
+            let missing = path.join(__dirname, 'missing');
+            expect(configSchema.validateOptions({steps: missing, featureFiles: __dirname + ',' + missing + ':12'}, {})).to.deep.equal([
+                '"steps" path does not exist: ' + missing + ', got ' + JSON.stringify(missing),
+                '"featureFiles" path does not exist: ' + missing + ', got ' + JSON.stringify(__dirname + ',' + missing + ':12')
+            ]);
+        });
+
+        it('checks the performance budgets and world parameters', function () {
+            let errors = configSchema.validateOptions({performanceBudgets: {loadpage: {}}, worldParameters: '[1]'}, {});
+            expect(errors).to.deep.equal([
+                '"performanceBudgets" must only set loadPage, pages, step and scenario, got loadpage, got {"loadpage":{}}',
+                '"worldParameters" must be a JSON object string, got "[1]"'
+            ]);
+        });
+
+        it('leaves secret references to be checked once they are resolved', function () {
+            expect(configSchema.validateOptions({remoteUrl: 'secret:GRID_URL', timeout: 'secret:TIMEOUT'}, {})).to.deep.equal([]);
+        });
+    });
+});
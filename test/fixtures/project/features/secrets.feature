@@ -0,0 +1,5 @@
+Feature: Secrets
+  Secret values are masked in the output and reports of a run
+
+  Scenario: Log a secret
+    Given I log the password
@@ -0,0 +1,9 @@
+'use strict';
+
+module.exports = function () {
+
+    this.Given(/^I log the password$/, function () {
+        console.log('password=' + config.vars.password);
+        this.attach('password=' + config.vars.password);
+    });
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+let orders = 0;
+
+module.exports = {
+    visa: '4111111111111111',
+    nextOrderId: () => 'order-' + (++orders)
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+let {expect} = require('chai');
+let selenium = require('selenium-webdriver');
+let helpers = require('../utility/helpers');
+let pageElements = require('../utility/page-elements');
+let session = require('../utility/session');
+let JsdomDriver = require('./support/jsdom-driver');
+
+/**
+ * returns the promise's rejection, failing the test if it resolves
+ * @param {Promise} promise - promise expected to reject
+ * @returns {Promise} resolves with the error
+ */
+function rejection(promise) {
+    return promise.then(() => {
+        throw new Error('expected the promise to be rejected');
+    }, (err) => err);
+}
+
+describe('helpers', function () {
+
+    let driver;
+
+    beforeEach(function () {
+        global.DEFAULT_TIMEOUT = 500;
+        global.config = {baseUrl: 'http://fixtures.test/'};
+        driver = new JsdomDriver();
+        session.setDriver(driver);
+        return helpers.loadPage('elements.html');
+    });
+
+    afterEach(function () {
+        delete global.config;
+        session.setDriver(null);
+        return driver.quit();
+    });
+
+    describe('loading pages', function () {
+
+        it('resolves urls against the baseUrl', function () {
+            expect(helpers.resolveUrl('/help.html')).to.equal('http://fixtures.test/help.html');
+            expect(helpers.resolveUrl('http://example.com/')).to.equal('http://example.com/');
+            return driver.getCurrentUrl().then((currentUrl) => expect(currentUrl).to.equal('http://fixtures.test/elements.html'));
+        });
+    });
+
+    describe('waiting for elements', function () {
+
+        it('finds elements by css, xpath, locator and page object element', function () {
+            let email = pageElements.wrap({login: {elements: {email: '#email'}}}).login.elements.email;
+            return Promise.all([
+                helpers.waitForElement('h1'),
+                helpers.waitForElement('//h1'),
+                helpers.waitForElement(selenium.By.linkText('Gloves')),
+                helpers.waitForElement(email)
+            ])
+            .then((elements) => Promise.all(elements.map((element) => element.getTagName())))
+            .then((tags) => expect(tags).to.deep.equal(['h1', 'h1', 'a', 'input']));
+        });
+
+        it('waits for elements to become visible or hidden', function () {
+            return helpers.waitForVisible('#delayed')
+                .then((element) => element.getText())
+                .then((text) => expect(text).to.equal('Ready'))
+                .then(() => helpers.waitForHidden('#spinner'));
+        });
+
+        it('rejects naming the locator, what it waited for and for how long', function () {
+            return rejection(helpers.waitForVisible('#invisible', 50)).then(function (err) {
+                expect(err.message).to.match(/^Timed out waiting for css selector #invisible to be visible after \d+ milliseconds$/);
+            });
+        });
+
+        it('waits for attributes to change, appear and be removed', function () {
+            return Promise.all([
+                helpers.waitUntilAttributeEquals('body', 'data-busy', 'false'),
+                helpers.waitUntilAttributeExists('body', 'data-ready'),
+                helpers.waitUntilAttributeDoesNotExists('body', 'data-loading')
+            ])
+            .then(() => helpers.getAttributeValue('body', 'data-busy'))
+            .then((value) => expect(value).to.equal('false'));
+        });
+
+        it('rejects naming the attribute that did not change', function () {
+            return rejection(helpers.waitUntilAttributeEquals('body', 'data-busy', 'maybe', 50)).then(function (err) {
+                expect(err.message).to.contain('css selector body attribute data-busy to equal "maybe"');
+            });
+        });
+    });
+
+    describe('interacting with elements', function () {
+
+        it('types into an element after clearing it, then clicks', function () {
+            return helpers.type('#email', 'new@example.com')
+                .then(() => helpers.click('#submit'))
+                .then(() => helpers.getText('#message'))
+                .then((text) => expect(text).to.equal('Welcome new@example.com'));
+        });
+
+        it('clears an element', function () {
+            return helpers.clear('#email')
+                .then(() => helpers.getAttributeValue('#email', 'value'))
+                .then((value) => expect(value).to.equal(''));
+        });
+
+        it('moves the mouse over an element', function () {
+            return helpers.hover(selenium.By.linkText('Gloves'))
+                .then(() => helpers.getAttributeValue(selenium.By.linkText('Gloves'), 'data-hovered'))
+                .then((hovered) => expect(hovered).to.equal('true'));
+        });
+
+        it('selects a dropdown option by its text, ignoring case and surrounding whitespace', function () {
+            return helpers.selectDropdownValueByVisibleText('#country', 'brazil')
+                .then(() => helpers.getAttributeValue('#country', 'value'))
+                .then((value) => expect(value).to.equal('br'));
+        });
+
+        it('rejects listing the options when the option does not exist', function () {
+            return rejection(helpers.selectByVisibleText('#country', 'Peru')).then(function (err) {
+                expect(err.message).to.equal('Option "Peru" not found in css selector #country, available options: "Choose", "Brazil", "Chile"');
+            });
+        });
+    });
+
+    describe('elements containing text', function () {
+
+        it('finds elements by their text, visible or not', function () {
+            return helpers.getElementsContainingText('a.menu', 'Safety Boots')
+                .then((elements) => expect(elements).to.have.length(1))
+                .then(() => helpers.getElementsContainingText('a.menu', 'Hats'))
+                .then((elements) => expect(elements).to.have.length(0));
+        });
+
+        it('waits for the first element with the text', function () {
+            return helpers.getFirstElementContainingText('#results a', 'Second result')
+                .then((element) => element.getAttribute('href'))
+                .then((href) => expect(href).to.equal('#second'));
+        });
+
+        it('clicks hidden elements', function () {
+            return helpers.clickHiddenElement('a.menu', 'Safety Boots')
+                .then((clicked) => expect(clicked).to.equal(1))
+                .then(() => helpers.getAttributeValue('a.menu', 'data-clicked'))
+                .then((value) => expect(value).to.equal('true'));
+        });
+    });
+
+    describe('windows', function () {
+
+        beforeEach(function () {
+            return helpers.loadPage('windows.html').then(() => helpers.rememberMainWindow());
+        });
+
+        it('switches to the window opened by an action and back to the main window', function () {
+            return helpers.switchToNewWindow(() => helpers.click('#open-help'))
+                .then(() => driver.getTitle())
+                .then((title) => expect(title).to.equal('Help'))
+                .then(() => helpers.switchToMainWindow())
+                .then(() => driver.getTitle())
+                .then((title) => expect(title).to.equal('Checkout'));
+        });
+
+        it('switches to a window by title or url', function () {
+            return helpers.click('#open-help')
+                .then(() => helpers.switchToWindow(/help\.html$/))
+                .then(() => driver.getCurrentUrl())
+                .then((currentUrl) => expect(currentUrl).to.equal('http://fixtures.test/help.html'))
+                .then(() => helpers.switchToWindow('Checkout'))
+                .then(() => driver.getTitle())
+                .then((title) => expect(title).to.equal('Checkout'));
+        });
+
+        it('stays on the current window when no window matches', function () {
+            return rejection(helpers.switchToWindow('Basket', 50)).then(function (err) {
+                expect(err.message).to.match(/^Timed out waiting for a window with title or url matching "Basket" after \d+ milliseconds$/);
+                return driver.getTitle();
+            })
+            .then((title) => expect(title).to.equal('Checkout'));
+        });
+
+        it('closes every window but the main window', function () {
+            return helpers.click('#open-help')
+                .then(() => helpers.click('#open-help'))
+                .then(() => helpers.waitForNewWindows())
+                .then(() => helpers.closeExtraWindows())
+                .then(() => driver.getAllWindowHandles())
+                .then((handles) => expect(handles).to.deep.equal([driver.handle]));
+        });
+    });
+
+    describe('frames', function () {
+
+        beforeEach(function () {
+            return helpers.loadPage('windows.html');
+        });
+
+        it('switches into a frame by name and back to the main content', function () {
+            return helpers.switchToFrame('payment')
+                .then(() => helpers.getText('#total'))
+                .then((text) => expect(text).to.equal('Total 10.00'))
+                .then(() => helpers.switchToDefaultContent())
+                .then(() => helpers.getText('#open-help'))
+                .then((text) => expect(text).to.equal('Help'));
+        });
+
+        it('switches into nested frames', function () {
+            return helpers.switchToFrame(['#checkout', 'iframe.card'])
+                .then(() => helpers.type('#card-number', '4111'))
+                .then(() => helpers.getAttributeValue('#card-number', 'value'))
+                .then((value) => expect(value).to.equal('4111'));
+        });
+
+        it('rejects naming the frame that was not found', function () {
+            global.DEFAULT_TIMEOUT = 50;
+            return rejection(helpers.switchToFrame('basket')).then(function (err) {
+                expect(err.message).to.match(/^Timed out waiting for frame "basket" to be available after \d+ milliseconds$/);
+            });
+        });
+
+        it('waits for a frame as long as the timeout given', function () {
+            let started = Date.now();
+            return rejection(helpers.switchToFrame(['#checkout', 'basket'], 100)).then(function (err) {
+                expect(err.message).to.match(/^Timed out waiting for frame "basket" to be available after \d+ milliseconds$/);
+                expect(Date.now() - started).to.be.within(100, 400);
+            });
+        });
+    });
+});
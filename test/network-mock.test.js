@@ -0,0 +1,179 @@
+'use strict';
+
+let http = require('http');
+let path = require('path');
+let {expect} = require('chai');
+let mock = require('../utility/network-mock');
+
+const FIXTURES_PATH = path.resolve(__dirname, 'fixtures/network');
+
+/**
+ * sends a request through the proxy, as a browser configured to use it would
+ * @param {string} method - request method
+ * @param {string} requestUrl - absolute url, or a path to request from the proxy itself
+ * @param {string} body - (optional) request body
+ * @returns {Promise} resolves with {status, headers, body}
+ */
+function request(method, requestUrl, body) {
+    let proxy = mock.getProxyAddress().split(':');
+    return new Promise(function (resolve, reject) {
+        let req = http.request({host: proxy[0], port: proxy[1], method: method, path: requestUrl}, function (res) {
+            let chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString()}));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('network-mock', function () {
+
+    let upstream;
+    let upstreamUrl;
+
+    before(function () {
+        upstream = http.createServer((req, res) => res.end('real ' + req.method + ' ' + req.url));
+        return new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve)).then(function () {
+            upstreamUrl = 'http://127.0.0.1:' + upstream.address().port;
+            return mock.start({fixtures: FIXTURES_PATH});
+        });
+    });
+
+    after(function () {
+        return mock.stop().then(() => new Promise((resolve) => upstream.close(resolve)));
+    });
+
+    beforeEach(function () {
+        global.DEFAULT_TIMEOUT = 500;
+        mock.reset();
+    });
+
+    describe('route', function () {
+
+        it('stubs requests by path, with or without the query string', function () {
+            mock.route('/api/cart', {json: {items: [1]}});
+            return Promise.all([request('GET', upstreamUrl + '/api/cart'), request('GET', upstreamUrl + '/api/cart?page=2')])
+                .then(function (responses) {
+                    responses.forEach(function (response) {
+                        expect(response.status).to.equal(200);
+                        expect(response.headers['content-type']).to.equal('application/json');
+                        expect(JSON.parse(response.body)).to.deep.equal({items: [1]});
+                    });
+                });
+        });
+
+        it('matches methods, globs, absolute urls and regular expressions', function () {
+            mock.route('POST /api/orders', {status: 201, body: 'created'});
+            mock.route('/api/users/*', {body: 'user'});
+            mock.route(upstreamUrl + '/api/absolute', {body: 'absolute'});
+            mock.route(/\/api\/search\?q=\w+$/, {body: 'search'});
+
+            return Promise.all([
+                request('POST', upstreamUrl + '/api/orders'),
+                request('GET', upstreamUrl + '/api/orders'),
+                request('GET', upstreamUrl + '/api/users/42'),
+                request('GET', upstreamUrl + '/api/absolute'),
+                request('GET', upstreamUrl + '/api/search?q=boots')
+            ]).then(function (responses) {
+                expect(responses.map((response) => response.status + ' ' + response.body)).to.deep.equal([
+                    '201 created', '200 real GET /api/orders', '200 user', '200 absolute', '200 search'
+                ]);
+            });
+        });
+
+        it('lets a route registered later override an earlier one', function () {
+            mock.route('/api/cart', {body: 'first'});
+            mock.route('/api/cart', {body: 'second'});
+            return request('GET', upstreamUrl + '/api/cart').then((response) => expect(response.body).to.equal('second'));
+        });
+
+        it('answers with what a handler returns or resolves with', function () {
+            mock.route('/api/users/*', (req) => ({json: {id: req.url.split('/').pop()}}));
+            mock.route('/api/slow', () => new Promise((resolve) => setTimeout(() => resolve({body: 'slow', delay: 20}), 20)));
+            return Promise.all([request('GET', upstreamUrl + '/api/users/7'), request('GET', upstreamUrl + '/api/slow')])
+                .then(function (responses) {
+                    expect(JSON.parse(responses[0].body)).to.deep.equal({id: '7'});
+                    expect(responses[1].body).to.equal('slow');
+                });
+        });
+
+        it('answers 500 naming the route when a handler throws or rejects', function () {
+            mock.route('/api/throws', () => {
+                throw new Error('boom');
+            });
+            mock.route('/api/rejects', () => Promise.reject(new Error('bang')));
+            return Promise.all([request('GET', upstreamUrl + '/api/throws'), request('GET', upstreamUrl + '/api/rejects')])
+                .then(function (responses) {
+                    expect(responses.map((response) => response.status)).to.deep.equal([500, 500]);
+                    expect(responses[0].body).to.equal('Route error: the route for GET ' + upstreamUrl + '/api/throws failed, boom');
+                    expect(responses[1].body).to.contain('failed, bang');
+                });
+        });
+
+        it('rejects https urls, which are tunnelled without being decrypted', function () {
+            expect(() => mock.route('https://example.com/api/cart', {body: 'cart'})).to.throw('mock.route can not stub https://example.com/api/cart');
+            expect(() => mock.route('GET https://example.com/api/cart', {body: 'cart'})).to.throw('https requests are tunnelled');
+        });
+    });
+
+    describe('fixtures', function () {
+
+        it('serves the fixtures folder to requests made to the proxy itself', function () {
+            return Promise.all([request('GET', '/'), request('GET', '/cart.json'), request('GET', '/missing.html')])
+                .then(function (responses) {
+                    expect(responses[0].status).to.equal(200);
+                    expect(responses[0].headers['content-type']).to.equal('text/html');
+                    expect(responses[0].body).to.contain('offline page');
+                    expect(JSON.parse(responses[1].body)).to.deep.equal({items: []});
+                    expect(responses[2].status).to.equal(404);
+                });
+        });
+
+        it('answers 400 to a malformed url and does not serve files outside the folder', function () {
+            return Promise.all([request('GET', '/%E0%A4%A'), request('GET', '/..%2f..%2fpackage.json')])
+                .then(function (responses) {
+                    expect(responses[0].status).to.equal(400);
+                    expect(responses[0].body).to.equal('Bad request: malformed url /%E0%A4%A');
+                    expect(responses[1].status).to.equal(404);
+                });
+        });
+
+        it('returns the fixtures url of a file', function () {
+            expect(mock.fixturesUrl('/cart.json')).to.equal('http://' + mock.getProxyAddress() + '/cart.json');
+        });
+    });
+
+    describe('requests', function () {
+
+        it('records the requests made, whether they were stubbed', function () {
+            mock.route('POST /api/orders', {status: 201});
+            return request('POST', upstreamUrl + '/api/orders', '{"quantity": 2}')
+                .then(() => request('GET', upstreamUrl + '/api/products'))
+                .then(function () {
+                    let orders = mock.requests('POST /api/orders');
+                    expect(mock.requests()).to.have.length(2);
+                    expect(orders).to.have.length(1);
+                    expect(orders[0].json()).to.deep.equal({quantity: 2});
+                    expect(orders[0].status).to.equal(201);
+                    expect(orders[0].mocked).to.equal(true);
+                    expect(mock.requests('/api/products')[0].mocked).to.equal(false);
+                });
+        });
+
+        it('waits for a request to be made', function () {
+            setTimeout(() => request('GET', upstreamUrl + '/api/late'), 50);
+            return mock.waitForRequest('/api/late').then((made) => expect(made.url).to.equal(upstreamUrl + '/api/late'));
+        });
+
+        it('rejects listing the requests made when no request matches', function () {
+            return request('GET', upstreamUrl + '/api/other')
+                .then(() => mock.waitForRequest('/api/never', 100))
+                .then(() => {
+                    throw new Error('expected the promise to be rejected');
+                }, function (err) {
+                    expect(err.message).to.equal('No request matching /api/never was made after 100 milliseconds. Requests made: GET ' + upstreamUrl + '/api/other');
+                });
+        });
+    });
+});
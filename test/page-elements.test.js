@@ -0,0 +1,162 @@
+'use strict';
+
+let {expect} = require('chai');
+let selenium = require('selenium-webdriver');
+let pageElements = require('../utility/page-elements');
+let session = require('../utility/session');
+let JsdomDriver = require('./support/jsdom-driver');
+
+let PageElement = pageElements.PageElement;
+
+/**
+ * returns the promise's rejection, failing the test if it resolves
+ * @param {Promise} promise - promise expected to reject
+ * @returns {Promise} resolves with the error
+ */
+function rejection(promise) {
+    return promise.then(() => {
+        throw new Error('expected the promise to be rejected');
+    }, (err) => err);
+}
+
+describe('page-elements', function () {
+
+    let driver;
+
+    beforeEach(function () {
+        global.DEFAULT_TIMEOUT = 500;
+        driver = new JsdomDriver();
+        session.setDriver(driver);
+        return driver.get('http://fixtures.test/elements.html');
+    });
+
+    afterEach(function () {
+        session.setDriver(null);
+        return driver.quit();
+    });
+
+    describe('toLocator', function () {
+
+        it('treats strings starting with / or ( as xpath and anything else as css', function () {
+            expect(pageElements.toLocator('//h1').using).to.equal('xpath');
+            expect(pageElements.toLocator('(//a)[1]').using).to.equal('xpath');
+            expect(pageElements.toLocator('#results a').using).to.equal('css selector');
+        });
+
+        it('keeps selenium locators', function () {
+            let locator = selenium.By.linkText('Gloves');
+            expect(pageElements.toLocator(locator)).to.equal(locator);
+            expect(pageElements.toLocator({using: 'link text', value: 'Gloves'}).using).to.equal('link text');
+        });
+    });
+
+    describe('wrap', function () {
+
+        it('replaces the elements of every page object with element proxies', function () {
+            let pages = pageElements.wrap({
+                login: {url: '/login', elements: {email: '#email', heading: '//h1', gloves: selenium.By.linkText('Gloves')}},
+                account: {settings: {elements: {message: '#message'}}}
+            });
+
+            expect(pages.login.elements.email).to.be.an.instanceof(PageElement);
+            expect(pages.login.elements.email).to.be.an.instanceof(selenium.By);
+            expect(pages.login.elements.heading.describe()).to.equal('heading (xpath //h1)');
+            expect(pages.login.elements.gloves.using).to.equal('link text');
+            expect(pages.account.settings.elements.message.describe()).to.equal('message (css selector #message)');
+        });
+
+        it('locates the children of a section with a selector within it', function () {
+            let pages = pageElements.wrap({search: {elements: {results: {selector: '#results', link: 'a.link'}}}});
+            let results = pages.search.elements.results;
+
+            expect(results).to.be.an.instanceof(PageElement);
+            expect(results.link.describe()).to.equal('results.link (css selector a.link)');
+            return results.link.findAll().then((links) => Promise.all(links.map((link) => link.getText())))
+                .then((texts) => expect(texts).to.deep.equal(['First result', 'Second result']));
+        });
+
+        it('groups the children of a section without a selector', function () {
+            let pages = pageElements.wrap({search: {elements: {sidebar: {link: '#sidebar a'}}}});
+
+            expect(pages.search.elements.sidebar).to.not.be.an.instanceof(PageElement);
+            return pages.search.elements.sidebar.link.getText().then((text) => expect(text).to.equal('Advert'));
+        });
+
+        it('leaves values that are not locators as they are', function () {
+            let byText = (text) => selenium.By.linkText(text);
+            let pages = pageElements.wrap({search: {elements: {byText: byText}}});
+
+            expect(pages.search.elements.byText).to.equal(byText);
+        });
+
+        it('rejects a child of a section named after one of its methods', function () {
+            expect(() => pageElements.wrap({search: {elements: {results: {selector: '#results', click: 'a.link'}}}}))
+                .to.throw('Page object element "results.click" can not be declared');
+        });
+    });
+
+    describe('PageElement', function () {
+
+        it('finds present elements without waiting', function () {
+            return Promise.all([new PageElement('email', '#email').exists(), new PageElement('missing', '#missing').exists()])
+                .then((found) => expect(found).to.deep.equal([true, false]));
+        });
+
+        it('reports elements hidden by display, visibility or the hidden attribute as not visible', function () {
+            return Promise.all(['#email', '.menu', '#invisible', '#delayed'].map((selector) => new PageElement(null, selector).isVisible()))
+                .then((visible) => expect(visible).to.deep.equal([true, false, false, false]));
+        });
+
+        it('waits for an element to become visible', function () {
+            return new PageElement('delayed', '#delayed').waitVisible()
+                .then((element) => element.getText())
+                .then((text) => expect(text).to.equal('Ready'));
+        });
+
+        it('waits for an element to be hidden', function () {
+            let spinner = new PageElement('spinner', '#spinner');
+            return spinner.waitHidden().then(() => spinner.isVisible()).then((visible) => expect(visible).to.equal(false));
+        });
+
+        it('rejects naming the element, what it waited for and for how long', function () {
+            return rejection(new PageElement('missing', '#missing').find(50)).then(function (err) {
+                expect(err.message).to.match(/^Timed out waiting for missing \(css selector #missing\) to be present after \d+ milliseconds$/);
+            });
+        });
+
+        it('rejects once the timeout of a visibility wait has passed', function () {
+            return rejection(new PageElement('invisible', '#invisible').waitVisible(50)).then(function (err) {
+                expect(err.message).to.match(/^Timed out waiting for invisible \(css selector #invisible\) to be visible after \d+ milliseconds$/);
+            });
+        });
+
+        it('types into, clears and reads the value of an element', function () {
+            let email = new PageElement('email', '#email');
+            return email.clear()
+                .then(() => email.type('new', '@example.com'))
+                .then(() => email.getValue())
+                .then((value) => expect(value).to.equal('new@example.com'));
+        });
+
+        it('clicks an element and reads text and attributes', function () {
+            return new PageElement('submit', '#submit').click()
+                .then(() => new PageElement('message', '#message').getText())
+                .then((text) => expect(text).to.equal('Welcome someone@example.com'))
+                .then(() => new PageElement('gloves', selenium.By.linkText('Gloves')).getAttribute('href'))
+                .then((href) => expect(href).to.equal('#gloves'));
+        });
+
+        it('moves the mouse over an element', function () {
+            let gloves = new PageElement('gloves', selenium.By.linkText('Gloves'));
+            return gloves.hover()
+                .then(() => gloves.getAttribute('data-hovered'))
+                .then((hovered) => expect(hovered).to.equal('true'));
+        });
+
+        it('does not click elements that stay hidden', function () {
+            return rejection(new PageElement('boots', 'a.menu').click()).then(function (err) {
+                expect(err.message).to.contain('Timed out waiting for boots (css selector a.menu) to be visible');
+            });
+        });
+    });
+});
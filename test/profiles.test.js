@@ -0,0 +1,80 @@
+'use strict';
+
+let {expect} = require('chai');
+let profiles = require('../utility/profiles');
+
+describe('profiles', function () {
+
+    describe('interpolate', function () {
+
+        let env = {BASE_URL: 'http://staging.example.com', EMPTY: ''};
+
+        it('replaces environment variables within strings, objects and arrays', function () {
+            let value = {baseUrl: '${BASE_URL}/shop', tags: ['@${EMPTY}smoke'], retry: 2, headless: true};
+            expect(profiles.interpolate(value, env)).to.deep.equal({baseUrl: 'http://staging.example.com/shop', tags: ['@smoke'], retry: 2, headless: true});
+        });
+
+        it('uses the default of a variable that is not set', function () {
+            expect(profiles.interpolate('${GRID_URL:-http://localhost:4444/wd/hub}', env)).to.equal('http://localhost:4444/wd/hub');
+            expect(profiles.interpolate('${BASE_URL:-http://localhost}', env)).to.equal('http://staging.example.com');
+            expect(profiles.interpolate('${GRID_URL:-}', env)).to.equal('');
+        });
+
+        it('rejects a variable that is not set and has no default', function () {
+            expect(() => profiles.interpolate({remoteUrl: '${GRID_URL}'}, env))
+                .to.throw('Environment variable GRID_URL is not set and has no default (${GRID_URL})');
+        });
+
+        it('reads process.env by default', function () {
+            process.env.SELENIUM_CUCUMBER_TEST_VALUE = 'from the environment';
+            try {
+                expect(profiles.interpolate('${SELENIUM_CUCUMBER_TEST_VALUE}')).to.equal('from the environment');
+            } finally {
+                delete process.env.SELENIUM_CUCUMBER_TEST_VALUE;
+            }
+        });
+    });
+
+    describe('getProfileName', function () {
+
+        it('reads --env, -e and --env=', function () {
+            expect(profiles.getProfileName(['-b', 'firefox', '--env', 'staging'])).to.equal('staging');
+            expect(profiles.getProfileName(['-e', 'ci'])).to.equal('ci');
+            expect(profiles.getProfileName(['--env=local'])).to.equal('local');
+        });
+    });
+
+    describe('resolve', function () {
+
+        let config = {
+            browser: 'chrome',
+            capabilities: {'goog:chromeOptions': {args: ['--lang=en']}},
+            profiles: {
+                ci: {headless: true, capabilities: {acceptInsecureCerts: true}},
+                staging: {extends: 'ci', baseUrl: 'http://staging.example.com'},
+                loop: {extends: 'circle'},
+                circle: {extends: 'loop'}
+            }
+        };
+
+        it('returns the top level settings when no profile is selected', function () {
+            expect(profiles.resolve(config)).to.deep.equal({browser: 'chrome', capabilities: config.capabilities, env: undefined});
+        });
+
+        it('merges a profile and the profiles it extends over the top level settings', function () {
+            expect(profiles.resolve(config, 'staging')).to.deep.equal({
+                browser: 'chrome',
+                capabilities: {'goog:chromeOptions': {args: ['--lang=en']}, acceptInsecureCerts: true},
+                headless: true,
+                baseUrl: 'http://staging.example.com',
+                env: 'staging'
+            });
+            expect(config.capabilities).to.deep.equal({'goog:chromeOptions': {args: ['--lang=en']}});
+        });
+
+        it('rejects unknown profiles and circular inheritance', function () {
+            expect(() => profiles.resolve(config, 'production')).to.throw('Unknown profile "production". Available profiles: ci, staging, loop, circle');
+            expect(() => profiles.resolve(config, 'loop')).to.throw('Circular profile inheritance: loop -> circle -> loop');
+        });
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+let {expect} = require('chai');
+let retry = require('../utility/retry');
+
+/**
+ * builds a cucumber json scenario with a single step
+ * @param {string} name - name of the scenario
+ * @param {int} line - line of the scenario in its feature file
+ * @param {string} status - status of the step
+ * @returns {object} cucumber json scenario
+ */
+function scenario(name, line, status) {
+    return {
+        id: 'checkout;' + name.toLowerCase().replace(/ /g, '-'),
+        name: name,
+        line: line,
+        tags: [],
+        steps: [{keyword: 'Given ', name: 'a step', result: {status: status, duration: 1000}}]
+    };
+}
+
+/**
+ * builds a cucumber json feature
+ * @param {Array} elements - cucumber json scenarios
+ * @returns {object} cucumber json feature
+ */
+function feature(elements) {
+    return {uri: 'features/checkout.feature', name: 'Checkout', tags: [], elements: elements};
+}
+
+describe('retry', function () {
+
+    describe('failedScenarios', function () {
+
+        it('lists the failed scenarios as paths with line numbers', function () {
+            let features = [feature([scenario('Pay', 3, 'passed'), scenario('Refund', 7, 'failed')])];
+            expect(retry.failedScenarios(features)).to.deep.equal(['features/checkout.feature:7']);
+        });
+
+        it('only lists failed scenarios with the retry tag', function () {
+            let tagged = Object.assign(scenario('Refund', 7, 'failed'), {tags: [{name: '@flaky'}]});
+            let features = [feature([scenario('Pay', 3, 'failed'), tagged])];
+            expect(retry.failedScenarios(features, '@flaky')).to.deep.equal(['features/checkout.feature:7']);
+        });
+    });
+
+    describe('hasIncompleteSteps', function () {
+
+        it('is true when a step is undefined or pending', function () {
+            expect(retry.hasIncompleteSteps([feature([scenario('Pay', 3, 'failed')])])).to.equal(false);
+            expect(retry.hasIncompleteSteps([feature([scenario('Pay', 3, 'undefined')])])).to.equal(true);
+            expect(retry.hasIncompleteSteps([feature([scenario('Pay', 3, 'pending')])])).to.equal(true);
+        });
+    });
+
+    describe('combine', function () {
+
+        it('keeps scenarios that ran once as they are', function () {
+            let combined = retry.combine([[feature([scenario('Pay', 3, 'passed')])]]);
+            expect(combined).to.have.length(1);
+            expect(combined[0].elements[0]).to.deep.equal(scenario('Pay', 3, 'passed'));
+        });
+
+        it('marks only the passing attempt of a scenario that passed on retry as flaky', function () {
+            let combined = retry.combine([
+                [feature([scenario('Pay', 3, 'passed'), scenario('Refund', 7, 'failed')])],
+                [feature([scenario('Refund', 7, 'passed')])]
+            ]);
+            let elements = combined[0].elements;
+
+            expect(combined).to.have.length(1);
+            expect(elements.map((element) => element.name)).to.deep.equal(['Pay', 'Refund (attempt 1 of 2, failed)', 'Refund (attempt 2 of 2, flaky)']);
+            expect(elements.map((element) => element.attempt)).to.deep.equal([undefined, 1, 2]);
+            expect(elements.map((element) => element.flaky)).to.deep.equal([undefined, false, true]);
+            expect(elements[1].tags).to.deep.equal([]);
+            expect(elements[2].tags).to.deep.equal([{name: '@flaky', line: 7}]);
+        });
+
+        it('does not mark scenarios that failed every attempt as flaky', function () {
+            let elements = retry.combine([
+                [feature([scenario('Refund', 7, 'failed')])],
+                [feature([scenario('Refund', 7, 'failed')])],
+                [feature([scenario('Refund', 7, 'failed')])]
+            ])[0].elements;
+
+            expect(elements.map((element) => element.name)).to.deep.equal([
+                'Refund (attempt 1 of 3, failed)', 'Refund (attempt 2 of 3, failed)', 'Refund (attempt 3 of 3)'
+            ]);
+            expect(elements.some((element) => element.flaky)).to.equal(false);
+        });
+
+        it('does not tag a scenario already tagged @flaky twice', function () {
+            let tagged = (status) => Object.assign(scenario('Refund', 7, status), {tags: [{name: '@flaky', line: 6}]});
+            let elements = retry.combine([[feature([tagged('failed')])], [feature([tagged('passed')])]])[0].elements;
+            expect(elements[1].tags).to.deep.equal([{name: '@flaky', line: 6}]);
+        });
+    });
+
+    describe('finalAttempts', function () {
+
+        it('keeps the final attempt of each scenario, suffixing the id of flaky scenarios', function () {
+            let combined = retry.combine([
+                [feature([scenario('Pay', 3, 'passed'), scenario('Refund', 7, 'failed'), scenario('Cancel', 9, 'failed')])],
+                [feature([scenario('Refund', 7, 'passed'), scenario('Cancel', 9, 'failed')])]
+            ]);
+            let elements = retry.finalAttempts(combined)[0].elements;
+
+            expect(elements.map((element) => element.name)).to.deep.equal(['Pay', 'Refund (attempt 2 of 2, flaky)', 'Cancel (attempt 2 of 2)']);
+            expect(elements.map((element) => element.id)).to.deep.equal(['checkout;pay', 'checkout;refund;flaky', 'checkout;cancel']);
+        });
+
+        it('leaves a report without retries as it is', function () {
+            let features = [feature([scenario('Pay', 3, 'passed'), scenario('Refund', 7, 'failed')])];
+            expect(retry.finalAttempts(features)).to.deep.equal(features);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+let fs = require('fs-plus');
+let os = require('os');
+let path = require('path');
+let {expect} = require('chai');
+let runner = require('../utility/runner');
+
+// the project run by these tests, its scenarios use the jsdom driver rather than a browser
+const PROJECT_PATH = path.resolve(__dirname, 'fixtures/project');
+const BROWSER_PATH = path.resolve(__dirname, 'support/jsdom-browser.js');
+
+const PASSWORD = 'hunter2secret';
+
+describe('runner', function () {
+
+    let reportsPath;
+
+    beforeEach(function () {
+        reportsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'selenium-cucumber-js-'));
+        process.env.TEST_PASSWORD = PASSWORD;
+    });
+
+    afterEach(function () {
+        delete process.env.TEST_PASSWORD;
+        delete global.config;
+        fs.removeSync(reportsPath);
+    });
+
+    describe('running in worker processes', function () {
+
+        this.timeout(60 * 1000);
+
+        it('masks secrets in the output of the workers and the merged reports', function () {
+            let output = '';
+            let write = process.stdout.write;
+            process.stdout.write = function (chunk) {
+                output += chunk;
+                return true;
+            };
+
+            let running = runner.run({
+                configFile: false,
+                featureFiles: path.join(PROJECT_PATH, 'features'),
+                steps: path.join(PROJECT_PATH, 'step-definitions'),
+                pageObjects: path.join(PROJECT_PATH, 'page-objects'),
+                sharedObjects: path.join(PROJECT_PATH, 'shared-objects'),
+                reports: reportsPath,
+                browser: BROWSER_PATH,
+                retry: 1,
+                vars: {password: 'secret:TEST_PASSWORD'}
+            });
+
+            return running.then(function (result) {
+                process.stdout.write = write;
+                expect(result.success).to.equal(true);
+                expect(output).to.contain('[worker 1] ');
+                expect(output).to.contain('password=*****');
+                expect(output).to.not.contain(PASSWORD);
+
+                let json = fs.readFileSync(path.join(reportsPath, 'cucumber-report.json')).toString();
+                let attachment = JSON.parse(json)[0].elements[0].steps.filter((step) => step.embeddings)[0].embeddings[0];
+                expect(Buffer.from(attachment.data, 'base64').toString()).to.equal('password=*****');
+
+                fs.readdirSync(reportsPath).forEach(function (file) {
+                    expect(fs.readFileSync(path.join(reportsPath, file)).toString(), file).to.not.contain(PASSWORD);
+                });
+            }, function (err) {
+                process.stdout.write = write;
+                throw err;
+            });
+        });
+    });
+});
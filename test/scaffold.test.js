@@ -0,0 +1,101 @@
+'use strict';
+
+let fs = require('fs-plus');
+let os = require('os');
+let path = require('path');
+let {expect} = require('chai');
+let scaffold = require('../utility/scaffold');
+
+/**
+ * builds an undefined step as collected by a dry run (see utility/step-usage.js)
+ * @param {string} text - text of the step
+ * @returns {object} undefined step
+ */
+function undefinedStep(text) {
+    return {keyword: 'Given', type: 'Given', text: text, sourceText: text, uri: 'features/checkout.feature', line: 4};
+}
+
+describe('scaffold', function () {
+
+    let folder;
+    let options;
+
+    beforeEach(function () {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'selenium-cucumber-js-'));
+        options = {stepsPath: path.join(folder, 'step-definitions'), pageObjectPath: path.join(folder, 'page-objects')};
+    });
+
+    afterEach(function () {
+        fs.removeSync(folder);
+    });
+
+    /**
+     * returns the names of the files written to a folder
+     * @param {Array} written - paths returned by scaffold.generate
+     * @param {string} subFolder - folder to list
+     * @returns {Array} file names
+     */
+    function fileNames(written, subFolder) {
+        return written.filter((file) => path.dirname(file) === subFolder).map((file) => path.basename(file));
+    }
+
+    describe('toStepDefinition', function () {
+
+        it('turns quoted strings, numbers and placeholders into parameters', function () {
+            let definition = scaffold.toStepDefinition({sourceText: 'I add 2 "shoes" costing 9.99 to <basket name>'});
+            expect(definition.pattern).to.equal('^I add (-?\\d+) "([^"]*)" costing (-?\\d+\\.\\d+) to (.*)$');
+            expect(definition.parameters).to.deep.equal(['number', 'text', 'number2', 'basketName']);
+        });
+
+        it('adds a parameter for a doc string or data table', function () {
+            expect(scaffold.toStepDefinition({sourceText: 'the addresses', argument: 'dataTable'}).parameters).to.deep.equal(['table']);
+        });
+    });
+
+    describe('generate', function () {
+
+        it('writes a step definition file and page object stubs for the elements referred to', function () {
+            let written = scaffold.generate([
+                undefinedStep('I click "checkout.submitButton"'),
+                undefinedStep('I type "SW1A 1AA" into "checkout.address.postcode"'),
+                undefinedStep('I am on the "basket" page')
+            ], options);
+
+            expect(fileNames(written, options.stepsPath)).to.deep.equal(['checkout-steps.js']);
+            expect(fileNames(written, options.pageObjectPath)).to.deep.equal(['checkout.js', 'basket.js']);
+
+            let checkout = fs.readFileSync(path.join(options.pageObjectPath, 'checkout.js')).toString();
+            expect(checkout).to.contain('submitButton: \'\'');
+            expect(checkout).to.match(/address: \{\n\s+postcode: ''\n\s+\}/);
+        });
+
+        it('does not take quoted host names or file names for elements', function () {
+            let written = scaffold.generate([
+                undefinedStep('I visit "www.example.com"'),
+                undefinedStep('I am redirected to "example.org"'),
+                undefinedStep('I download "report.pdf"'),
+                undefinedStep('I upload "data.CSV" and "invoice.xlsx"')
+            ], options);
+
+            expect(fileNames(written, options.stepsPath)).to.deep.equal(['checkout-steps.js']);
+            expect(fileNames(written, options.pageObjectPath)).to.deep.equal([]);
+        });
+
+        it('does not write stubs for page objects that exist', function () {
+            fs.makeTreeSync(options.pageObjectPath);
+            fs.writeFileSync(path.join(options.pageObjectPath, 'checkout.js'), 'module.exports = {};\n');
+
+            let written = scaffold.generate([undefinedStep('I click "checkout.submitButton"')], options);
+            expect(fileNames(written, options.pageObjectPath)).to.deep.equal([]);
+        });
+
+        it('numbers new files rather than changing existing ones', function () {
+            fs.makeTreeSync(options.stepsPath);
+            fs.writeFileSync(path.join(options.stepsPath, 'checkout-steps.js'), 'module.exports = function () {};\n');
+
+            let written = scaffold.generate([undefinedStep('I pay')], options);
+            expect(fileNames(written, options.stepsPath)).to.deep.equal(['checkout-steps-2.js']);
+            expect(fs.readFileSync(path.join(options.stepsPath, 'checkout-steps.js')).toString()).to.equal('module.exports = function () {};\n');
+        });
+    });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+let fs = require('fs-plus');
+let os = require('os');
+let path = require('path');
+let stream = require('stream');
+let {expect} = require('chai');
+let secrets = require('../utility/secrets');
+
+describe('secrets', function () {
+
+    let folder;
+
+    beforeEach(function () {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'selenium-cucumber-js-'));
+        process.env.TEST_API_KEY = 'key-from-the-environment';
+    });
+
+    afterEach(function () {
+        delete process.env.TEST_API_KEY;
+        delete process.env[secrets.KEY_ENV];
+        fs.removeSync(folder);
+    });
+
+    describe('resolve', function () {
+
+        it('replaces references within objects and arrays in place, from the environment', function () {
+            let config = {eye_key: 'secret:TEST_API_KEY', vars: {keys: ['secret:TEST_API_KEY', 'not:a secret']}, timeout: 10};
+            let resolved = secrets.resolve(config);
+
+            expect(resolved).to.equal(config);
+            expect(config).to.deep.equal({eye_key: 'key-from-the-environment', vars: {keys: ['key-from-the-environment', 'not:a secret']}, timeout: 10});
+        });
+
+        it('reads secrets from the encrypted secrets file with the key', function () {
+            let secretsFile = path.join(folder, 'secrets.enc.json');
+            fs.writeFileSync(secretsFile, secrets.encrypt({TEST_FILE_PASSWORD: 'password-from-the-file'}, 'passphrase'));
+            process.env[secrets.KEY_ENV] = 'passphrase';
+
+            expect(secrets.resolve({password: 'secret:TEST_FILE_PASSWORD'}, secretsFile)).to.deep.equal({password: 'password-from-the-file'});
+        });
+
+        it('lists every secret that is not set', function () {
+            expect(() => secrets.resolve({a: 'secret:TEST_MISSING_A', b: ['secret:TEST_MISSING_B']}, path.join(folder, 'none.json')))
+                .to.throw(/^Secret TEST_MISSING_A is not set, set the environment variable TEST_MISSING_A or add it to .*none\.json\nSecret TEST_MISSING_B is not set/);
+        });
+
+        it('rejects the secrets file when the key is missing or wrong', function () {
+            let secretsFile = path.join(folder, 'secrets.enc.json');
+            fs.writeFileSync(secretsFile, secrets.encrypt({TEST_WRONG_KEY: 'value'}, 'passphrase'));
+
+            expect(() => secrets.resolve('secret:TEST_WRONG_KEY', secretsFile)).to.throw('Set ' + secrets.KEY_ENV + ' to the key of the secrets file');
+            process.env[secrets.KEY_ENV] = 'not the passphrase';
+            expect(() => secrets.resolve('secret:TEST_WRONG_KEY', secretsFile)).to.throw('Unable to decrypt the secrets file');
+        });
+    });
+
+    describe('encrypt', function () {
+
+        it('encrypts secrets that only the same passphrase decrypts', function () {
+            let text = secrets.encrypt({NAME: 'value'}, 'passphrase');
+
+            expect(text).to.not.contain('value');
+            expect(secrets.decrypt(text, 'passphrase')).to.deep.equal({NAME: 'value'});
+            expect(() => secrets.decrypt(text, 'another passphrase')).to.throw();
+        });
+    });
+
+    describe('unresolve', function () {
+
+        it('copies a value, putting back the reference of every resolved secret', function () {
+            let settings = secrets.resolve({eye_key: 'secret:TEST_API_KEY', vars: {keys: ['secret:TEST_API_KEY']}, browser: 'chrome'});
+            let copy = secrets.unresolve(settings);
+
+            expect(copy).to.deep.equal({eye_key: 'secret:TEST_API_KEY', vars: {keys: ['secret:TEST_API_KEY']}, browser: 'chrome'});
+            expect(settings.eye_key).to.equal('key-from-the-environment');
+        });
+    });
+
+    describe('masking', function () {
+
+        beforeEach(function () {
+            process.env.TEST_SHORT = 'abc';
+            process.env.TEST_PASSWORD = 'hunter2';
+            process.env.TEST_LONG_PASSWORD = 'hunter2hunter2';
+            secrets.resolve(['secret:TEST_SHORT', 'secret:TEST_PASSWORD', 'secret:TEST_LONG_PASSWORD']);
+        });
+
+        afterEach(function () {
+            delete process.env.TEST_SHORT;
+            delete process.env.TEST_PASSWORD;
+            delete process.env.TEST_LONG_PASSWORD;
+        });
+
+        it('masks every resolved secret of 4 or more characters, longest first', function () {
+            expect(secrets.mask('abc logged in with hunter2hunter2 then hunter2')).to.equal('abc logged in with ***** then *****');
+            expect(secrets.mask(42)).to.equal(42);
+        });
+
+        it('masks json reports, including their text attachments', function () {
+            let reportPath = path.join(folder, 'cucumber-report.json');
+            let attachment = (text, mimeType) => ({data: Buffer.from(text).toString('base64'), mime_type: mimeType});
+            fs.writeFileSync(reportPath, JSON.stringify([{name: 'Log in as hunter2', elements: [{steps: [{embeddings: [
+                attachment('password=hunter2', 'text/plain'),
+                attachment('{"password": "hunter2"}', 'application/json'),
+                attachment('hunter2', 'image/png')
+            ]}]}]}]));
+
+            secrets.maskFile(reportPath);
+            let report = JSON.parse(fs.readFileSync(reportPath).toString());
+            let embeddings = report[0].elements[0].steps[0].embeddings.map((embedding) => Buffer.from(embedding.data, 'base64').toString());
+
+            expect(report[0].name).to.equal('Log in as *****');
+            expect(embeddings).to.deep.equal(['password=*****', '{"password": "*****"}', 'hunter2']);
+        });
+
+        it('masks other files as text', function () {
+            let filePath = path.join(folder, 'junit-report.xml');
+            fs.writeFileSync(filePath, '<failure>hunter2</failure>');
+            secrets.maskFile(filePath);
+            expect(fs.readFileSync(filePath).toString()).to.equal('<failure>*****</failure>');
+        });
+
+        it('masks what is written to a masking stream', function (done) {
+            let written = '';
+            let output = new stream.Writable({
+                write: function (chunk, encoding, callback) {
+                    written += chunk;
+                    callback();
+                }
+            });
+            secrets.maskingStream(output).end('password=hunter2\n', function () {
+                expect(written).to.equal('password=*****\n');
+                done();
+            });
+        });
+    });
+});
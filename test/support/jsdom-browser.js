@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * jsdom-browser.js is a custom driver file (see the browser setting) for the runs started by the tests, the scenarios get a
+ * JsdomDriver rather than a browser
+ */
+let JsdomDriver = require('./jsdom-driver');
+
+module.exports = function () {
+    return new JsdomDriver();
+};
@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * jsdom-driver.js is a WebDriver stand-in that runs the pages of test/fixtures in jsdom, so the helpers and element proxies
+ * can be tested without a browser. it implements the commands they use: finding elements by css, xpath and link text,
+ * clicking, typing, visibility (display, visibility and the hidden attribute), scripts, waits, windows and frames
+ * urls are resolved to fixture files by their file name, for example http://fixtures.test/elements.html
+ */
+let fs = require('fs');
+let path = require('path');
+let url = require('url');
+let {JSDOM} = require('jsdom');
+let selenium = require('selenium-webdriver');
+
+const FIXTURES_PATH = path.resolve(__dirname, '../fixtures');
+const POLL_INTERVAL = 10;
+
+/**
+ * returns true if a node and its ancestors are displayed
+ * @param {Node} node - element to check
+ * @returns {boolean} true if visible
+ */
+function isDisplayed(node) {
+    let view = node.ownerDocument.defaultView;
+    for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+        let style = view.getComputedStyle(current);
+        if (current.hidden || style.display === 'none' || style.visibility === 'hidden') return false;
+    }
+    return true;
+}
+
+class JsdomDriver {
+
+    constructor() {
+        this.windows = {};
+        this.nextHandle = 1;
+        this.handle = this.openWindow('about:blank');
+        this.frame = null;
+        this.hovered = null;
+        this.cookiesDeleted = 0;
+    }
+
+    /**
+     * creates a window showing a fixture, window.open within the page opens another window
+     * @param {string} pageUrl - url whose file name is a fixture, or about:blank
+     * @returns {string} handle of the window
+     */
+    openWindow(pageUrl) {
+        let handle = 'window-' + this.nextHandle++;
+        this.windows[handle] = this.load(pageUrl);
+        return handle;
+    }
+
+    /**
+     * loads a fixture into a new jsdom document
+     * @param {string} pageUrl - url whose file name is a fixture, or about:blank
+     * @returns {JSDOM} the document
+     */
+    load(pageUrl) {
+        let fileName = path.basename(url.parse(pageUrl).pathname || '');
+        let html = (pageUrl === 'about:blank') ? '' : fs.readFileSync(path.join(FIXTURES_PATH, fileName)).toString();
+        let driver = this;
+        return new JSDOM(html, {
+            url: (pageUrl === 'about:blank') ? undefined : pageUrl,
+            runScripts: 'dangerously',
+            pretendToBeVisual: true,
+            beforeParse: function (window) {
+                window.open = (openUrl) => {
+                    driver.openWindow(url.resolve(pageUrl, openUrl));
+                    return null;
+                };
+            }
+        });
+    }
+
+    /**
+     * returns the window scripts run in and elements are searched: the current frame, or the current window
+     * @returns {Window} jsdom window
+     */
+    context() {
+        if (!this.windows[this.handle]) {
+            throw new selenium.error.NoSuchWindowError('no such window: ' + this.handle);
+        }
+        return this.frame || this.windows[this.handle].window;
+    }
+
+    /**
+     * wraps a node in a WebElement
+     * @param {Node} node - element
+     * @returns {WebElement} element
+     */
+    toElement(node) {
+        let driver = this;
+        let element = Object.create(selenium.WebElement.prototype);
+        return Object.assign(element, {
+            node: node,
+            click: () => driver.click(node),
+            sendKeys: function () {
+                node.value = (node.value || '') + [].slice.call(arguments).join('');
+                node.dispatchEvent(new node.ownerDocument.defaultView.Event('input', {bubbles: true}));
+                return Promise.resolve();
+            },
+            clear: () => {
+                node.value = '';
+                return Promise.resolve();
+            },
+            getText: () => Promise.resolve(isDisplayed(node) ? node.textContent.replace(/\s+/g, ' ').trim() : ''),
+            getAttribute: (name) => Promise.resolve((name === 'value' && 'value' in node) ? node.value : node.getAttribute(name)),
+            getTagName: () => Promise.resolve(node.tagName.toLowerCase()),
+            isDisplayed: () => Promise.resolve(isDisplayed(node)),
+            findElement: (locator) => driver.findElement(locator, node),
+            findElements: (locator) => driver.findElements(locator, node)
+        });
+    }
+
+    /**
+     * clicks an element as a browser would, rejecting if it is not visible. options select themselves
+     * @param {Node} node - element to click
+     * @returns {Promise} resolves once clicked
+     */
+    click(node) {
+        if (!isDisplayed(node)) {
+            return Promise.reject(new selenium.error.ElementNotInteractableError('element not interactable'));
+        }
+        if (node.tagName === 'OPTION') {
+            let select = node.closest('select');
+            select.value = node.value;
+            select.dispatchEvent(new node.ownerDocument.defaultView.Event('change', {bubbles: true}));
+            return Promise.resolve();
+        }
+        node.click();
+        return Promise.resolve();
+    }
+
+    /**
+     * converts script arguments and results between WebElements and nodes
+     * @param {*} value - value to convert
+     * @param {function} convert - converts a single WebElement or node
+     * @returns {*} converted value
+     */
+    convert(value, convert) {
+        if (Array.isArray(value) || (value && typeof value.length === 'number' && typeof value.item === 'function')) {
+            return Array.prototype.map.call(value, (item) => this.convert(item, convert));
+        }
+        return convert(value);
+    }
+
+    /**
+     * finds the elements matching a locator in the current window or frame
+     * @param {By} locator - css, xpath, link text or partial link text locator
+     * @param {Node} root - (optional) element to search within
+     * @returns {Promise} resolves with a list of WebElements, rejects with an InvalidSelectorError
+     */
+    findElements(locator, root) {
+        let context = this.context();
+        let document = context.document;
+        let scope = root || document;
+        let nodes;
+        try {
+            if (locator.using === 'css selector') {
+                nodes = Array.from(scope.querySelectorAll(locator.value));
+            } else if (locator.using === 'xpath') {
+                let result = document.evaluate(locator.value, scope, null, context.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                nodes = [];
+                for (let i = 0; i < result.snapshotLength; i++) nodes.push(result.snapshotItem(i));
+            } else if (locator.using === 'link text' || locator.using === 'partial link text') {
+                nodes = Array.from(scope.querySelectorAll('a')).filter(function (link) {
+                    let text = link.textContent.trim();
+                    return (locator.using === 'link text') ? text === locator.value : text.indexOf(locator.value) !== -1;
+                });
+            } else {
+                throw new Error('Unsupported locator ' + locator.using);
+            }
+        } catch (err) {
+            return Promise.reject(new selenium.error.InvalidSelectorError(err.message));
+        }
+        return Promise.resolve(nodes.map((node) => this.toElement(node)));
+    }
+
+    /**
+     * finds the first element matching a locator
+     * @param {By} locator - css, xpath, link text or partial link text locator
+     * @param {Node} root - (optional) element to search within
+     * @returns {Promise} resolves with the WebElement, rejects with a NoSuchElementError
+     */
+    findElement(locator, root) {
+        return this.findElements(locator, root).then(function (elements) {
+            if (elements.length === 0) throw new selenium.error.NoSuchElementError('no such element: ' + locator);
+            return elements[0];
+        });
+    }
+
+    /**
+     * runs a script in the current window or frame, WebElement arguments are passed as nodes and returned nodes as WebElements
+     * @param {string|function} script - body of a function, or a function
+     * @returns {Promise} resolves with the result of the script
+     */
+    executeScript(script) {
+        let context = this.context();
+        let args = this.convert([].slice.call(arguments, 1), (arg) => (arg instanceof selenium.WebElement) ? arg.node : arg);
+        let fn = (typeof script === 'function') ? context.eval('(' + script + ')') : context.eval('(function () {' + script + '\n})');
+        try {
+            let result = fn.apply(null, args);
+            return Promise.resolve(this.convert(result, (item) => (item && item.nodeType === 1) ? this.toElement(item) : item));
+        } catch (err) {
+            return Promise.reject(new selenium.error.JavascriptError(err.message));
+        }
+    }
+
+    /**
+     * runs a script that calls the callback passed as its last argument with the result
+     * @param {string|function} script - body of a function, or a function
+     * @returns {Promise} resolves with the value passed to the callback
+     */
+    executeAsyncScript(script) {
+        let args = [].slice.call(arguments, 1);
+        return new Promise((resolve) => this.executeScript.apply(this, [script].concat(args, [resolve])));
+    }
+
+    /**
+     * polls a condition until it returns a truthy value, as selenium does
+     * @param {function|Condition} condition - function or selenium until condition
+     * @param {int} timeout - number of milliseconds to wait
+     * @param {string} message - (optional) message of the timeout error
+     * @returns {Promise} resolves with the value of the condition, rejects with a TimeoutError
+     */
+    wait(condition, timeout, message) {
+        let started = Date.now();
+        let check = (typeof condition === 'function') ? condition : condition.fn;
+        return new Promise((resolve, reject) => {
+            let poll = () => Promise.resolve().then(() => check(this)).then((value) => {
+                if (value) return resolve(value);
+                if (Date.now() - started >= (timeout || 0)) {
+                    return reject(new selenium.error.TimeoutError((message || 'Wait timed out') + ' after ' + (Date.now() - started) + 'ms'));
+                }
+                setTimeout(poll, POLL_INTERVAL);
+            }, reject);
+            poll();
+        });
+    }
+
+    /**
+     * loads a fixture into the current window
+     * @param {string} pageUrl - url whose file name is a fixture
+     * @returns {Promise} resolves once loaded
+     */
+    get(pageUrl) {
+        this.windows[this.handle].window.close();
+        this.windows[this.handle] = this.load(pageUrl);
+        this.frame = null;
+        return Promise.resolve();
+    }
+
+    // the remaining commands behave as their selenium-webdriver equivalents
+
+    getTitle() {
+        return Promise.resolve(this.context().top.document.title);
+    }
+
+    getCurrentUrl() {
+        return Promise.resolve(this.windows[this.handle].window.location.href);
+    }
+
+    getWindowHandle() {
+        return Promise.resolve(this.handle);
+    }
+
+    getAllWindowHandles() {
+        return Promise.resolve(Object.keys(this.windows));
+    }
+
+    close() {
+        this.windows[this.handle].window.close();
+        delete this.windows[this.handle];
+        return Promise.resolve();
+    }
+
+    quit() {
+        Object.keys(this.windows).forEach((handle) => this.windows[handle].window.close());
+        this.windows = {};
+        return Promise.resolve();
+    }
+
+    sleep(milliseconds) {
+        return new Promise((resolve) => setTimeout(resolve, milliseconds));
+    }
+
+    switchTo() {
+        let driver = this;
+        return {
+            window: function (handle) {
+                if (!driver.windows[handle]) return Promise.reject(new selenium.error.NoSuchWindowError('no such window: ' + handle));
+                driver.handle = handle;
+                driver.frame = null;
+                return Promise.resolve();
+            },
+            frame: function (frame) {
+                let context = driver.context();
+                let element = (typeof frame === 'number') ? context.document.querySelectorAll('iframe, frame')[frame] : frame && frame.node;
+                if (!element || !element.contentWindow) return Promise.reject(new selenium.error.NoSuchFrameError('no such frame'));
+                driver.frame = element.contentWindow;
+                return Promise.resolve();
+            },
+            defaultContent: function () {
+                driver.frame = null;
+                return Promise.resolve();
+            }
+        };
+    }
+
+    actions() {
+        let driver = this;
+        return {
+            move: (options) => ({
+                perform: function () {
+                    driver.hovered = options.origin.node;
+                    driver.hovered.dispatchEvent(new driver.hovered.ownerDocument.defaultView.MouseEvent('mouseover', {bubbles: true}));
+                    return Promise.resolve();
+                }
+            })
+        };
+    }
+
+    manage() {
+        let driver = this;
+        return {
+            deleteAllCookies: function () {
+                driver.cookiesDeleted++;
+                return Promise.resolve();
+            }
+        };
+    }
+}
+
+module.exports = JsdomDriver;
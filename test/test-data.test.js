@@ -0,0 +1,120 @@
+'use strict';
+
+let path = require('path');
+let {expect} = require('chai');
+let {DataTable} = require('@cucumber/cucumber');
+let testData = require('../utility/test-data');
+
+const SHARED_OBJECTS_PATH = path.resolve(__dirname, 'fixtures/shared-objects');
+
+describe('test-data', function () {
+
+    describe('parseCsv', function () {
+
+        it('reads a row per line, keyed by the column names of the first line', function () {
+            expect(testData.parseCsv('email, role\nadmin@example.com,admin\nbuyer@example.com,')).to.deep.equal([
+                {email: 'admin@example.com', role: 'admin'},
+                {email: 'buyer@example.com', role: ''}
+            ]);
+        });
+
+        it('reads quoted values containing commas, quotes and new lines', function () {
+            expect(testData.parseCsv('name,address\n"Smith, J","1 ""The"" Street\nLondon"')).to.deep.equal([
+                {name: 'Smith, J', address: '1 "The" Street\nLondon'}
+            ]);
+        });
+
+        it('ignores a byte order mark, windows line endings and blank lines', function () {
+            expect(testData.parseCsv('\uFEFFsku,price\r\n\r\nBOOT-1,49.99\r\n\r\n')).to.deep.equal([{sku: 'BOOT-1', price: '49.99'}]);
+        });
+
+        it('fills in missing cells and reads an empty file as no rows', function () {
+            expect(testData.parseCsv('a,b,c\n1')).to.deep.equal([{a: '1', b: '', c: ''}]);
+            expect(testData.parseCsv('')).to.deep.equal([]);
+        });
+    });
+
+    describe('loadFolder', function () {
+
+        it('loads json, yaml, csv and js files and sub folders by file name and camel cased name', function () {
+            let shared = testData.loadFolder(SHARED_OBJECTS_PATH);
+
+            expect(shared.users.admin.email).to.equal('admin@example.com');
+            expect(shared.products).to.deep.equal([
+                {sku: 'BOOT-1', name: 'Safety Boots, steel toe', price: '49.99'},
+                {sku: 'GLOVE-2', name: 'The "Grip" glove', price: '9.50'}
+            ]);
+            expect(shared['site-settings']).to.deep.equal({currency: 'GBP', locales: ['en-GB', 'fr-FR']});
+            expect(shared.siteSettings).to.equal(shared['site-settings']);
+            expect(shared.checkout.paymentCards.visa).to.equal('4111111111111111');
+            expect(shared).to.not.have.property('users.staging');
+        });
+
+        it('merges object variants for the environment over the file and replaces lists', function () {
+            let shared = testData.loadFolder(SHARED_OBJECTS_PATH, 'staging');
+
+            expect(shared.users.admin).to.deep.equal({email: 'admin@staging.example.com', role: 'admin'});
+            expect(shared.users.buyer.email).to.equal('buyer@example.com');
+            expect(shared.products).to.deep.equal([{sku: 'BOOT-9', name: 'Staging Boots', price: '1.00'}]);
+        });
+
+        it('does not change the data files when merging a variant', function () {
+            testData.loadFolder(SHARED_OBJECTS_PATH, 'staging');
+            expect(testData.loadFolder(SHARED_OBJECTS_PATH).users.admin.email).to.equal('admin@example.com');
+        });
+    });
+
+    describe('render', function () {
+
+        beforeEach(function () {
+            testData.startScenario();
+            testData.setSharedObjects(testData.loadFolder(SHARED_OBJECTS_PATH));
+        });
+
+        afterEach(function () {
+            testData.setSharedObjects(null);
+        });
+
+        it('generates a new value every time a placeholder is used', function () {
+            let first = testData.render('{{uniqueEmail}}');
+            let second = testData.render('{{ uniqueEmail }}');
+
+            expect(first).to.match(/^test\.[a-z0-9]+@example\.com$/);
+            expect(second).to.match(/^test\.[a-z0-9]+@example\.com$/);
+            expect(first).to.not.equal(second);
+            expect(testData.render('{{uuid}}')).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+            expect(testData.render('{{today}}')).to.equal(new Date().toISOString().substring(0, 10));
+        });
+
+        it('gives a labelled placeholder the same value for the rest of the scenario', function () {
+            let email = testData.render('{{uniqueEmail:buyer}}');
+
+            expect(testData.render('sent to {{uniqueEmail:buyer}}, not {{uniqueEmail:seller}}')).to.match(new RegExp('^sent to ' + email.replace(/\./g, '\\.') + ', not test\\.'));
+            expect(testData.get('uniqueEmail:buyer')).to.equal(email);
+
+            testData.startScenario();
+            expect(testData.get('uniqueEmail:buyer')).to.equal(undefined);
+            expect(testData.render('{{uniqueEmail:buyer}}')).to.not.equal(email);
+        });
+
+        it('looks up shared objects, calling functions as generators', function () {
+            expect(testData.render('{{shared.users.admin.email}} pays with {{shared.checkout.paymentCards.visa}}'))
+                .to.equal('admin@example.com pays with 4111111111111111');
+            expect(testData.render('{{shared.checkout.paymentCards.nextOrderId}}')).to.not.equal(testData.render('{{shared.checkout.paymentCards.nextOrderId}}'));
+        });
+
+        it('leaves unknown placeholders and objects as they are', function () {
+            expect(testData.render('{{name}} {{shared.users.nobody.email}} {{shared.users.admin}} {{not a placeholder}}'))
+                .to.equal('{{name}} {{shared.users.nobody.email}} {{shared.users.admin}} {{not a placeholder}}');
+        });
+
+        it('renders the strings and data tables of step arguments', function () {
+            let table = new DataTable([['email', 'role'], ['{{shared.users.buyer.email}}', '{{shared.users.buyer.role}}']]);
+            let rendered = testData.renderArguments(['{{shared.users.admin.role}}', table, 3], DataTable);
+
+            expect(rendered[0]).to.equal('admin');
+            expect(rendered[1].hashes()).to.deep.equal([{email: 'buyer@example.com', role: 'customer'}]);
+            expect(rendered[2]).to.equal(3);
+        });
+    });
+});
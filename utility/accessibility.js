@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * accessibility.js audits the current page with axe-core and summarises the results of every audit in the run
+ * each audit is attached to its scenario as a table of the violations, and as JSON so the summary can be built from the merged
+ * cucumber json report
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let axe = require('axe-core');
+let retry = require('./retry');
+let session = require('./session');
+let text = require('./text');
+
+// axe impact levels from least to most severe
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+// rules starting with these are axe tags (groups of rules) rather than rule ids
+const TAG_PATTERN = /^(wcag|section508|best-practice|experimental|ACT|TTv5|EN-301-549|cat\.)/i;
+
+let currentScenario = null;
+
+/**
+ * returns true if a violation is at or above the minimum impact
+ * @param {object} violation - axe violation
+ * @param {string} impact - minimum impact
+ * @returns {boolean} true if the violation should fail the step
+ */
+function isAtLeast(violation, impact) {
+    return IMPACTS.indexOf(violation.impact) >= IMPACTS.indexOf(impact);
+}
+
+/**
+ * builds the axe run options for a list of rule ids or tags
+ * @param {Array} rules - rule ids (for example color-contrast) or tags (for example wcag2aa), all rules are run if empty
+ * @returns {object} axe run options
+ */
+function getRunOptions(rules) {
+    if (!rules || rules.length === 0) return {};
+    let isTags = rules.every((rule) => TAG_PATTERN.test(rule));
+    return {runOnly: {type: isTags ? 'tag' : 'rule', values: rules}};
+}
+
+/**
+ * injects axe-core into the current page unless it is already there
+ * @returns {Promise} resolves once axe is available
+ */
+function injectAxe() {
+    return session.getDriver().executeScript('return typeof window.axe !== "undefined";').then(function (injected) {
+        return (injected) ? null : session.getDriver().executeScript(axe.source);
+    });
+}
+
+/**
+ * runs axe within the page, returning only the parts of the results the reports use
+ * @param {string} selector - (optional) css selector of the part of the page to audit
+ * @param {object} options - axe run options
+ * @returns {Promise} resolves with {url, passes, violations}
+ */
+function runAxe(selector, options) {
+    return session.getDriver().executeAsyncScript(function (context, runOptions, done) {
+        window.axe.run(context || document, runOptions).then(function (results) {
+            done({
+                url: results.url,
+                passes: results.passes.length,
+                violations: results.violations.map(function (violation) {
+                    return {
+                        id: violation.id,
+                        impact: violation.impact,
+                        description: violation.description,
+                        help: violation.help,
+                        helpUrl: violation.helpUrl,
+                        nodes: violation.nodes.map(function (node) {
+                            return {target: node.target.join(' '), html: node.html, failureSummary: node.failureSummary};
+                        })
+                    };
+                })
+            });
+        }, function (err) {
+            done({error: err.message});
+        });
+    }, selector || null, options).then(function (results) {
+        if (results.error) {
+            throw new Error('Accessibility audit failed: ' + results.error);
+        }
+        return results;
+    });
+}
+
+/**
+ * builds the HTML table of the violations of an audit attached to its scenario
+ * @param {object} results - {url, violations} of the audit
+ * @param {string} impact - minimum impact that fails the check
+ * @returns {string} HTML
+ */
+function violationsTable(results, impact) {
+    let html = ['<h4>Accessibility audit of ' + text.escapeHtml(results.url) + ': ' + results.violations.length + ' rule(s) violated</h4>'];
+    if (results.violations.length === 0) return html[0];
+
+    html.push('<table><tr><th>Impact</th><th>Rule</th><th>Description</th><th>Elements</th></tr>');
+    results.violations.forEach(function (violation) {
+        let failing = isAtLeast(violation, impact);
+        html.push('<tr>' +
+            '<td>' + ((failing) ? '<b>' + text.escapeHtml(violation.impact) + '</b>' : text.escapeHtml(violation.impact)) + '</td>' +
+            '<td><a href="' + text.escapeHtml(violation.helpUrl) + '">' + text.escapeHtml(violation.id) + '</a></td>' +
+            '<td>' + text.escapeHtml(violation.help) + '</td>' +
+            '<td>' + violation.nodes.map((node) => text.escapeHtml(node.target)).join('<br>') + '</td>' +
+            '</tr>');
+    });
+    html.push('</table>');
+    return html.join('\n');
+}
+
+/**
+ * reads every accessibility audit attached to the scenarios of a cucumber json report
+ * @param {Array} features - cucumber json features
+ * @returns {Array} list of {feature, scenario, audit}
+ */
+function readAudits(features) {
+    let audits = [];
+
+    // only the final attempt of a retried scenario counts
+    retry.finalAttempts(features).forEach(function (feature) {
+        (feature.elements || []).forEach(function (element) {
+            (element.steps || []).forEach(function (step) {
+                (step.embeddings || []).filter((embedding) => embedding.mime_type === 'application/json').forEach(function (embedding) {
+                    try {
+                        let data = JSON.parse(Buffer.from(embedding.data, 'base64').toString());
+                        if (data.accessibility) {
+                            audits.push({feature: feature.name, scenario: element.name, audit: data.accessibility});
+                        }
+                    } catch (err) {
+                        // not every json attachment is an audit
+                    }
+                });
+            });
+        });
+    });
+    return audits;
+}
+
+module.exports = {
+
+    IMPACTS: IMPACTS,
+
+    /**
+     * records the scenario audits are attached to, called from a Before hook
+     * @param {object} scenario - the running cucumber scenario
+     * @returns {void}
+     */
+    startScenario: function (scenario) {
+        currentScenario = scenario;
+    },
+
+    /**
+     * audits the current page, attaching the results to the scenario
+     * @param {object} options - (optional) audit options
+     * @param {string} options.selector - (optional) css selector of the part of the page to audit, defaults to the whole page
+     * @param {Array} options.rules - (optional) axe rule ids or tags to run, for example ['wcag2a', 'wcag2aa']. defaults to all rules
+     * @param {string} options.impact - (optional) minimum impact that fails the check (minor, moderate, serious, critical). defaults to serious
+     * @returns {Promise} resolves with the violations if none are at or above the impact, otherwise rejects listing them
+     */
+    check: function (options) {
+        options = options || {};
+        let impact = options.impact || 'serious';
+        if (IMPACTS.indexOf(impact) === -1) {
+            return Promise.reject(new Error('Unknown accessibility impact "' + impact + '", expected one of ' + IMPACTS.join(', ')));
+        }
+
+        return injectAxe()
+            .then(() => runAxe(options.selector, getRunOptions(options.rules)))
+            .then(function (results) {
+                let failures = results.violations.filter((violation) => isAtLeast(violation, impact));
+
+                if (currentScenario) {
+                    currentScenario.attach(violationsTable(results, impact), 'text/html');
+                    currentScenario.attach(JSON.stringify({
+                        accessibility: {
+                            url: results.url,
+                            selector: options.selector || null,
+                            impact: impact,
+                            passes: results.passes,
+                            violations: results.violations
+                        }
+                    }, null, 2), 'application/json');
+                }
+
+                if (failures.length > 0) {
+                    let lines = failures.map(function (violation) {
+                        let targets = violation.nodes.slice(0, 3).map((node) => node.target).join(', ');
+                        let more = (violation.nodes.length > 3) ? ' and ' + (violation.nodes.length - 3) + ' more' : '';
+                        return '  - [' + violation.impact + '] ' + violation.id + ': ' + violation.help + ' (' + targets + more + ')';
+                    });
+                    throw new Error(failures.length + ' accessibility violation(s) at or above "' + impact + '" impact on ' +
+                        results.url + ':\n' + lines.join('\n'));
+                }
+                return results.violations;
+            });
+    },
+
+    /**
+     * writes an accessibility summary of every audit in a cucumber json report
+     * @param {Array} features - cucumber json features
+     * @param {string} outputPath - path of the summary HTML file
+     * @returns {string} path of the summary or null if the run made no audits
+     */
+    writeSummary: function (features, outputPath) {
+        let audits = readAudits(features);
+        if (audits.length === 0) return null;
+
+        // group the violations of every audit by rule
+        let rules = {};
+        let counts = {minor: 0, moderate: 0, serious: 0, critical: 0};
+        audits.forEach(function (item) {
+            item.audit.violations.forEach(function (violation) {
+                let rule = rules[violation.id] = rules[violation.id] || {violation: violation, elements: 0, pages: [], scenarios: []};
+                rule.elements += violation.nodes.length;
+                counts[violation.impact] = (counts[violation.impact] || 0) + violation.nodes.length;
+                if (rule.pages.indexOf(item.audit.url) === -1) rule.pages.push(item.audit.url);
+                if (rule.scenarios.indexOf(item.scenario) === -1) rule.scenarios.push(item.scenario);
+            });
+        });
+
+        let sorted = Object.keys(rules).map((id) => rules[id]).sort(function (a, b) {
+            return (IMPACTS.indexOf(b.violation.impact) - IMPACTS.indexOf(a.violation.impact)) || (b.elements - a.elements);
+        });
+
+        let html = [
+            '<!DOCTYPE html>',
+            '<html><head><meta charset="utf-8"><title>Accessibility summary</title>',
+            '<style>',
+            'body{font-family:sans-serif;margin:20px}',
+            'table{border-collapse:collapse;width:100%}',
+            'th,td{border:1px solid #ddd;padding:6px;text-align:left;vertical-align:top;font-size:13px}',
+            '.critical{color:#a94442;font-weight:bold}.serious{color:#d9534f}.moderate{color:#f0ad4e}.minor{color:#777}',
+            '</style></head><body>',
+            '<h1>Accessibility summary</h1>',
+            '<p>' + audits.length + ' audit(s) of ' + audits.map((item) => item.audit.url).filter((u, i, all) => all.indexOf(u) === i).length +
+                ' page(s), ' + sorted.length + ' rule(s) violated. Elements affected: ' +
+                IMPACTS.slice().reverse().map((level) => '<span class="' + level + '">' + level + ' ' + (counts[level] || 0) + '</span>').join(', ') + '</p>',
+            '<table><tr><th>Impact</th><th>Rule</th><th>Description</th><th>Elements</th><th>Pages</th><th>Scenarios</th></tr>'
+        ];
+        sorted.forEach(function (rule) {
+            let violation = rule.violation;
+            html.push('<tr>' +
+                '<td class="' + text.escapeHtml(violation.impact) + '">' + text.escapeHtml(violation.impact) + '</td>' +
+                '<td><a href="' + text.escapeHtml(violation.helpUrl) + '">' + text.escapeHtml(violation.id) + '</a></td>' +
+                '<td>' + text.escapeHtml(violation.help) + '</td>' +
+                '<td>' + rule.elements + '</td>' +
+                '<td>' + rule.pages.map(text.escapeHtml).join('<br>') + '</td>' +
+                '<td>' + rule.scenarios.map(text.escapeHtml).join('<br>') + '</td>' +
+                '</tr>');
+        });
+        html.push('</table></body></html>');
+
+        fs.makeTreeSync(path.dirname(outputPath));
+        fs.writeFileSync(outputPath, html.join('\n'));
+        return outputPath;
+    }
+};
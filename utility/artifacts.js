@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * artifacts.js captures information about the state of the browser when a scenario fails
+ * each artifact is attached to the scenario (and therefore the reports) and saved to disk under the reports folder
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let selenium = require('selenium-webdriver');
+let secrets = require('./secrets');
+let text = require('./text');
+
+/**
+ * runs a capture, logging rather than throwing if it fails so one broken artifact does not prevent the others
+ * @param {string} name - artifact name used in the warning
+ * @param {function} capture - returns a promise for the artifact
+ * @returns {Promise} resolves with the artifact or null if it could not be captured
+ */
+function tryCapture(name, capture) {
+    return Promise.resolve().then(capture).catch(function (err) {
+        console.warn('Unable to capture ' + name + ': ' + err.message);
+        return null;
+    });
+}
+
+module.exports = {
+
+    /**
+     * captures the enabled artifacts for a failed scenario, attaching them to the scenario and saving them to disk
+     * @param {ThenableWebDriver} driver - the browser the scenario ran in
+     * @param {object} scenario - cucumber scenario to attach the artifacts to
+     * @param {object} options - artifacts to capture
+     * @param {string} options.reportsPath - reports folder, artifacts are saved to reportsPath/artifacts/scenario-name-timestamp
+     * @param {boolean} options.screenshot - capture a png screenshot
+     * @param {boolean} options.pageSource - capture the page HTML
+     * @param {boolean} options.consoleLog - capture the browser console log entries
+     * @param {boolean} options.url - capture the current url
+     * @param {boolean} options.windowSize - capture the browser window size
+     * @returns {Promise} resolves once every artifact has been captured
+     */
+    capture: function (driver, scenario, options) {
+        let folder = path.resolve(options.reportsPath, 'artifacts', text.slugify(scenario.getName()) + '-' + Date.now());
+        let captures = [];
+
+        function save(fileName, data, encoding) {
+            fs.makeTreeSync(folder);
+            fs.writeFileSync(path.join(folder, fileName), data, encoding);
+        }
+
+        if (options.screenshot) {
+            captures.push(tryCapture('screenshot', () => driver.takeScreenshot()).then(function (screenShot) {
+                if (screenShot === null) return;
+                scenario.attach(Buffer.from(screenShot, 'base64'), 'image/png');
+                save('screenshot.png', screenShot, 'base64');
+            }));
+        }
+
+        if (options.pageSource) {
+            captures.push(tryCapture('page source', () => driver.getPageSource()).then(function (source) {
+                if (source === null) return;
+
+                // a page showing a password or api key must not leak it into the reports
+                source = secrets.mask(source);
+                scenario.attach(source, 'text/html');
+                save('page-source.html', source);
+            }));
+        }
+
+        if (options.consoleLog) {
+            // not every driver supports reading the browser log (geckodriver for example)
+            captures.push(tryCapture('console log', () => driver.manage().logs().get(selenium.logging.Type.BROWSER))
+                .then(function (entries) {
+                    if (entries === null) return;
+                    let log = entries.map(function (entry) {
+                        return {
+                            level: entry.level.name,
+                            timestamp: new Date(entry.timestamp).toISOString(),
+                            message: secrets.mask(entry.message)
+                        };
+                    });
+                    scenario.attach(JSON.stringify(log, null, 2), 'application/json');
+                    save('console.log', log.map(function (entry) {
+                        return '[' + entry.timestamp + '] ' + entry.level + ': ' + entry.message;
+                    }).join('\n'));
+                }));
+        }
+
+        if (options.url) {
+            captures.push(tryCapture('url', () => driver.getCurrentUrl()).then(function (url) {
+                if (url === null) return;
+                url = secrets.mask(url);
+                scenario.attach(JSON.stringify({url: url}), 'application/json');
+                save('url.txt', url);
+            }));
+        }
+
+        if (options.windowSize) {
+            captures.push(tryCapture('window size', () => driver.manage().window().getSize()).then(function (size) {
+                if (size === null) return;
+                let windowSize = {width: size.width, height: size.height};
+                scenario.attach(JSON.stringify({windowSize: windowSize}), 'application/json');
+                save('window-size.json', JSON.stringify(windowSize));
+            }));
+        }
+
+        return Promise.all(captures);
+    }
+};
@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * config-schema.js validates the settings of selenium-cucumber-js.json and the command line options before anything runs
+ * every problem is collected so they can all be reported at once, misspelled keys come with a suggestion
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let reporters = require('./reporters');
+let performanceMetrics = require('./performance-metrics');
+
+// browsers with a built-in driver, anything else has to be a custom driver file or run on a remote server
+const BROWSERS = ['chrome', 'firefox', 'electron'];
+
+// every key accepted by selenium-cucumber-js.json
+// option is the long name of the matching command line switch, values given on the command line are checked under that name
+const SCHEMA = {
+    env: {type: 'string', option: 'env'},
+    baseUrl: {type: 'url', option: 'baseUrl'},
+    steps: {type: 'string', path: true, option: 'steps'},
+    genericSteps: {type: 'boolean'},
+    pageObjects: {type: 'string', option: 'pageObjects'},
+    sharedObjects: {type: 'strings'},
+    featureFiles: {type: 'string', featurePaths: true, option: 'featureFiles'},
+    reports: {type: 'string', option: 'reports'},
+    browser: {type: 'string', browser: true, option: 'browser'},
+    remoteUrl: {type: 'url', option: 'remoteUrl'},
+    headless: {type: 'boolean'},
+    windowSize: {type: 'string', pattern: /^\d+x\d+$/i, example: '1280x1024', option: 'window-size'},
+    reStart: {type: 'boolean'},
+    browserTeardownStrategy: {type: 'string', values: ['always', 'clear', 'none'], option: 'browser-teardown'},
+    timeout: {type: 'integer', min: 1, option: 'timeOut'},
+    screenshots: {type: 'string', values: ['never', 'failure', 'step', 'always'], option: 'screenshots'},
+    filmstrip: {type: 'boolean'},
+    noPageSource: {type: 'boolean'},
+    noConsoleLog: {type: 'boolean'},
+    noUrl: {type: 'boolean'},
+    noWindowSize: {type: 'boolean'},
+    baselines: {type: 'string', option: 'baselines'},
+    updateBaselines: {type: 'boolean'},
+    accessibilityImpact: {type: 'string', values: ['minor', 'moderate', 'serious', 'critical'], option: 'accessibilityImpact'},
+    performanceBudgets: {type: 'object', budgets: true},
+    performanceBreach: {type: 'string', values: performanceMetrics.ACTIONS, option: 'performanceBreach'},
+    mockNetwork: {type: 'boolean'},
+    har: {type: 'boolean'},
+    fixtures: {type: 'string', path: true, option: 'fixtures'},
+    worldParameters: {type: 'json', option: 'worldParameters'},
+    noGlobals: {type: 'boolean'},
+    retry: {type: 'integer', min: 0, option: 'retry'},
+    retryTag: {type: 'string', option: 'retry-tag'},
+    parallel: {type: 'integer', min: 1, option: 'parallel'},
+    reporters: {type: 'strings', reporters: true},
+    secretsFile: {type: 'string'},
+    capabilities: {type: 'object'},
+    browserOptions: {type: 'object'},
+    eye_key: {type: 'string'},
+    vars: {type: 'object'},
+    profiles: {type: 'object'}
+};
+
+/**
+ * returns the number of single character edits needed to turn one string into another
+ * @param {string} a - first string
+ * @param {string} b - second string
+ * @returns {int} edit distance
+ */
+function editDistance(a, b) {
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+    for (let i = 1; i <= a.length; i++) {
+        let current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            let cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * finds the closest match to a misspelled value
+ * @param {string} value - misspelled value
+ * @param {Array} candidates - valid values
+ * @returns {string} closest valid value or undefined if none are close enough
+ */
+function suggest(value, candidates) {
+    let best;
+    let bestDistance = Math.max(2, Math.floor(String(value).length / 3)) + 1;
+    candidates.forEach(function (candidate) {
+        let distance = editDistance(String(value).toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * appends a "did you mean" hint to a message when there is a close match
+ * @param {string} message - error message
+ * @param {string} value - misspelled value
+ * @param {Array} candidates - valid values
+ * @returns {string} error message
+ */
+function withSuggestion(message, value, candidates) {
+    let suggestion = suggest(value, candidates);
+    return (suggestion) ? message + ' (did you mean "' + suggestion + '"?)' : message;
+}
+
+/**
+ * converts a command line option name into the property commander stores its value in, for example window-size to windowSize
+ * @param {string} option - long option name
+ * @returns {string} property name
+ */
+function optionProperty(option) {
+    return option.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * checks the keys of a config file section against the schema
+ * @param {object} settings - top level config or a profile
+ * @param {string} prefix - location of the section used in error messages, for example "profiles.staging."
+ * @param {Array} allowedKeys - keys accepted in this section
+ * @returns {Array} error messages
+ */
+function checkKeys(settings, prefix, allowedKeys) {
+    return Object.keys(settings).filter((key) => allowedKeys.indexOf(key) === -1).map(function (key) {
+        return withSuggestion('Unknown setting "' + prefix + key + '"', key, allowedKeys);
+    });
+}
+
+/**
+ * checks the type of a single value
+ * @param {*} value - value to check
+ * @param {object} rule - schema entry
+ * @returns {string} description of the problem or undefined if the value is valid
+ */
+function checkType(value, rule) {
+    switch (rule.type) {
+        case 'string':
+            return (typeof value === 'string') ? undefined : 'must be a string';
+        case 'strings':
+            return (typeof value === 'string' || (Array.isArray(value) && value.every((item) => typeof item === 'string'))) ? undefined : 'must be a string or a list of strings';
+        case 'boolean':
+            return (typeof value === 'boolean') ? undefined : 'must be true or false';
+        case 'object':
+            return (value && typeof value === 'object' && !Array.isArray(value)) ? undefined : 'must be an object';
+        case 'integer':
+            if (typeof value !== 'number' || !isFinite(value) || Math.floor(value) !== value) return 'must be a whole number';
+            return (value < rule.min) ? 'must be ' + rule.min + ' or more' : undefined;
+        case 'url':
+            return (typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)) ? undefined : 'must be an absolute url, for example http://localhost:4444/wd/hub';
+        case 'json':
+            try {
+                let parsed = (typeof value === 'string') ? JSON.parse(value) : null;
+                return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? undefined : 'must be a JSON object string';
+            } catch (err) {
+                return 'must be a JSON object string (' + err.message + ')';
+            }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * checks a value against its schema entry, including enumerations and paths
+ * @param {*} value - value to check
+ * @param {object} rule - schema entry
+ * @param {object} settings - every resolved setting, some checks depend on others
+ * @returns {string} description of the problem or undefined if the value is valid
+ */
+function checkValue(value, rule, settings) {
+
+    // references to secrets are checked once they have been resolved (see secrets.js)
+    if (typeof value === 'string' && /^secret:/.test(value)) return undefined;
+
+    let problem = checkType(value, rule);
+    if (problem) return problem;
+
+    if (rule.values && rule.values.indexOf(value) === -1) {
+        return 'must be one of ' + rule.values.join(', ');
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return 'must look like ' + rule.example;
+    }
+    if (rule.path && !fs.existsSync(path.resolve(value))) {
+        return 'path does not exist: ' + path.resolve(value);
+    }
+    if (rule.featurePaths) {
+        let missing = value.split(',').map((featurePath) => featurePath.replace(/:\d+$/, ''))
+            .filter((featurePath) => !fs.existsSync(path.resolve(featurePath)));
+        if (missing.length > 0) {
+            return 'path does not exist: ' + missing.map((featurePath) => path.resolve(featurePath)).join(', ');
+        }
+    }
+    if (rule.browser && value === 'phantomjs') {
+        return 'no longer supports PhantomJS (selenium-webdriver 4 dropped it), use chrome or firefox with --headless instead';
+    }
+    if (rule.browser && BROWSERS.indexOf(value) === -1 && !settings.remoteUrl && !fs.isFileSync(path.resolve(value))) {
+        return 'must be one of ' + BROWSERS.join(', ') + ', the path of a custom driver file or used with --remoteUrl';
+    }
+    if (rule.budgets) {
+        let budgetProblem = performanceMetrics.checkBudgets(value);
+        if (budgetProblem) return budgetProblem;
+    }
+    if (rule.reporters) {
+        let unknown = [].concat(value).filter((name) => reporters.NAMES.indexOf(name) === -1 && !fs.isFileSync(path.resolve(name)));
+        if (unknown.length > 0) {
+            return 'must list ' + reporters.NAMES.join(', ') + ' or the paths of reporter modules, ' +
+                unknown.map((name) => withSuggestion('unknown "' + name + '"', name, reporters.NAMES)).join(', ');
+        }
+    }
+    return undefined;
+}
+
+module.exports = {
+
+    SCHEMA: SCHEMA,
+
+    /**
+     * checks the keys of selenium-cucumber-js.json, including those of every profile
+     * @param {object} fileConfig - contents of the config file
+     * @returns {Array} error messages, empty if the keys are valid
+     */
+    validateFile: function (fileConfig) {
+        let keys = Object.keys(SCHEMA);
+        let errors = checkKeys(fileConfig, '', keys);
+        let profiles = fileConfig.profiles;
+
+        if (profiles && typeof profiles === 'object') {
+            let profileKeys = keys.filter((key) => key !== 'profiles').concat(['extends']);
+            Object.keys(profiles).forEach(function (name) {
+                let profile = profiles[name] || {};
+                errors = errors.concat(checkKeys(profile, 'profiles.' + name + '.', profileKeys));
+                if (profile.extends !== undefined && !profiles[profile.extends]) {
+                    errors.push(withSuggestion('Profile "' + name + '" extends unknown profile "' + profile.extends + '"', profile.extends, Object.keys(profiles)));
+                }
+            });
+        }
+        return errors;
+    },
+
+    /**
+     * checks the keys of the options passed to the programmatic api, which accepts every setting of the config file
+     * (apart from profiles) as well as options that only apply to a run
+     * @param {object} options - options passed to run()
+     * @param {Array} runOptionKeys - keys of the options that are not config file settings
+     * @returns {Array} error messages, empty if the keys are valid
+     */
+    validateRunOptions: function (options, runOptionKeys) {
+        let keys = Object.keys(SCHEMA).filter((key) => key !== 'profiles').concat(runOptionKeys);
+        return checkKeys(options, '', keys).map((error) => error.replace('Unknown setting', 'Unknown option'));
+    },
+
+    /**
+     * checks the resolved settings, values passed on the command line take precedence over those of the config file
+     * @param {object} config - defaults merged with the config file and selected profile
+     * @param {object} options - parsed command line options
+     * @returns {Array} error messages, empty if every setting is valid
+     */
+    validateOptions: function (config, options) {
+        let settings = {};
+        let sources = {};
+
+        Object.keys(SCHEMA).forEach(function (key) {
+            let rule = SCHEMA[key];
+            let property = rule.option && optionProperty(rule.option);
+            if (property && options[property] !== undefined && options[property] !== config[key]) {
+                settings[key] = options[property];
+                sources[key] = '--' + rule.option;
+            } else {
+                settings[key] = config[key];
+                sources[key] = '"' + key + '"';
+            }
+        });
+
+        let errors = [];
+        Object.keys(SCHEMA).forEach(function (key) {
+            if (settings[key] === undefined || settings[key] === null) return;
+            let rule = SCHEMA[key];
+            let problem = checkValue(settings[key], rule, settings);
+            if (problem) {
+                let message = sources[key] + ' ' + problem + ', got ' + JSON.stringify(settings[key]);
+                let candidates = rule.values || (rule.browser ? BROWSERS : []);
+                errors.push(withSuggestion(message, settings[key], candidates));
+            }
+        });
+        return errors;
+    }
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * generic-steps.js is an opt-in library of common step definitions (enabled with --genericSteps)
+ * elements are referenced as "pageObject.element" (for example "googleSearch.searchInput" or "googleSearch.results.firstLink")
+ * anything that does not resolve to a page object element is treated as a css selector or xpath expression
+ */
+let {Given, When, Then} = require('@cucumber/cucumber');
+let {expect} = require('chai');
+let pageElements = require('./page-elements');
+
+/**
+ * returns the value at a dot separated path within an object
+ * @param {object} root - object to search
+ * @param {Array} parts - path segments
+ * @returns {*} value or undefined if not found
+ */
+function getPath(root, parts) {
+    return parts.reduce((value, part) => (value ? value[part] : undefined), root);
+}
+
+/**
+ * finds a page object by name, for example "googleSearch" or "dir.googleSearch"
+ * @param {object} page - page objects of the world
+ * @param {string} name - name of the page object
+ * @returns {object} the page object
+ */
+function resolvePage(page, name) {
+    let pageObject = getPath(page, name.split('.'));
+    if (!pageObject) {
+        throw new Error('Could not find page object: ' + name);
+    }
+    return pageObject;
+}
+
+/**
+ * resolves an element reference to a page object element, or the css selector or xpath expression it is
+ * the longest leading part of the reference that is a page object is used, the remainder is the element path
+ * @param {object} page - page objects of the world
+ * @param {string} reference - "pageObject.element", a css selector or an xpath expression
+ * @returns {PageElement|string} element proxy or selector, either is accepted by the helpers
+ */
+function resolveElement(page, reference) {
+    let parts = reference.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+        let pageObject = getPath(page, parts.slice(0, i));
+        let element = pageObject && getPath(pageObject.elements, parts.slice(i));
+        if (element instanceof pageElements.PageElement) {
+            return element;
+        }
+    }
+    return reference;
+}
+
+Given(/^I am on the "([^"]*)" page$/, function (pageName) {
+    return this.helpers.loadPage(resolvePage(this.page, pageName).url);
+});
+
+Given(/^I navigate to "([^"]*)"$/, function (url) {
+    return this.helpers.loadPage(url);
+});
+
+When(/^I click "([^"]*)"$/, function (reference) {
+    return this.helpers.click(resolveElement(this.page, reference));
+});
+
+When(/^I hover over "([^"]*)"$/, function (reference) {
+    return this.helpers.hover(resolveElement(this.page, reference));
+});
+
+When(/^I type "([^"]*)" into "([^"]*)"$/, function (text, reference) {
+    return this.helpers.type(resolveElement(this.page, reference), text);
+});
+
+When(/^I clear "([^"]*)"$/, function (reference) {
+    return this.helpers.clear(resolveElement(this.page, reference));
+});
+
+When(/^I select "([^"]*)" from "([^"]*)"$/, function (optionText, reference) {
+    return this.helpers.selectDropdownValueByVisibleText(resolveElement(this.page, reference), optionText);
+});
+
+When(/^I wait for "([^"]*)"$/, function (reference) {
+    return this.helpers.waitForVisible(resolveElement(this.page, reference));
+});
+
+When(/^I wait (\d+) seconds?$/, function (seconds) {
+    return this.driver.sleep(parseInt(seconds) * 1000);
+});
+
+When(/^I switch to the new window$/, function () {
+    return this.helpers.switchToNewWindow();
+});
+
+When(/^I switch to the window "([^"]*)"$/, function (titleOrUrl) {
+    return this.helpers.switchToWindow(titleOrUrl);
+});
+
+When(/^I switch to the main window$/, function () {
+    return this.helpers.switchToMainWindow();
+});
+
+When(/^I close the other windows$/, function () {
+    return this.helpers.closeExtraWindows();
+});
+
+// nested frames are separated by " > ", for example "checkout" > "card"
+When(/^I switch to frame "([^"]*)"((?: > "[^"]*")*)$/, function (reference, nested) {
+    let frames = [reference].concat((nested.match(/"[^"]*"/g) || []).map((quoted) => quoted.slice(1, -1)));
+
+    // a frame that is not a page object element is looked up as a selector, then by name or id
+    return this.helpers.switchToFrame(frames.map((frame) => resolveElement(this.page, frame)));
+});
+
+When(/^I switch to the main content$/, function () {
+    return this.helpers.switchToDefaultContent();
+});
+
+Then(/^I should see "([^"]*)"$/, function (reference) {
+    return this.helpers.waitForVisible(resolveElement(this.page, reference));
+});
+
+Then(/^I should not see "([^"]*)"$/, function (reference) {
+    return this.helpers.waitForHidden(resolveElement(this.page, reference));
+});
+
+Then(/^"([^"]*)" should (contain|have) text "([^"]*)"$/, function (reference, comparison, text) {
+    return this.helpers.getText(resolveElement(this.page, reference)).then(function (actual) {
+        if (comparison === 'contain') {
+            expect(actual).to.contain(text);
+        } else {
+            expect(actual.trim()).to.equal(text);
+        }
+    });
+});
+
+Then(/^"([^"]*)" should have attribute "([^"]*)" with value "([^"]*)"$/, function (reference, attributeName, value) {
+    return this.helpers.getAttributeValue(resolveElement(this.page, reference), attributeName).then(function (actual) {
+        expect(actual).to.equal(value);
+    });
+});
+
+Then(/^the page should contain text "([^"]*)"$/, function (text) {
+    return this.helpers.getText('body').then(function (bodyText) {
+        expect(bodyText).to.contain(text);
+    });
+});
+
+Then(/^the page title should (contain|be) "([^"]*)"$/, function (comparison, title) {
+    return this.driver.getTitle().then(function (actual) {
+        if (comparison === 'contain') {
+            expect(actual).to.contain(title);
+        } else {
+            expect(actual).to.equal(title);
+        }
+    });
+});
+
+Then(/^the URL should (contain|be) "([^"]*)"$/, function (comparison, url) {
+    return this.driver.getCurrentUrl().then(function (actual) {
+        if (comparison === 'contain') {
+            expect(actual).to.contain(url);
+        } else {
+            expect(actual).to.equal(url);
+        }
+    });
+});
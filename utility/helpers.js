@@ -1,233 +1,623 @@
 const selenium = require("selenium-webdriver");
-const localizador = require("cucumber");
-module.exports = {
+const url = require("url");
+const pageElements = require("./page-elements");
+const visualRegression = require("./visual-regression");
+const accessibility = require("./accessibility");
+const performanceMetrics = require("./performance-metrics");
+const session = require("./session");
+
+const by = selenium.By;
+const until = selenium.until;
+const getDriver = session.getDriver;
+
+/**
+ * every helper that takes a selector accepts a css selector, an xpath expression (starting with / or (),
+ * a selenium By locator or a page object element, and waits for the element before using it
+ */
+
+/**
+ * wraps a selector in an auto-waiting element proxy
+ * @param {string|By|PageElement} selector - css selector, xpath expression, selenium locator or page object element
+ * @returns {PageElement} element proxy
+ */
+const toElement = (selector) => ((selector instanceof pageElements.PageElement) ? selector : new pageElements.PageElement(null, selector));
+
+/**
+ * returns the timeout to use for a wait
+ * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+ * @returns {int} timeout in milliseconds
+ */
+const getTimeout = (waitInMilliseconds) => waitInMilliseconds || DEFAULT_TIMEOUT;
+
+// waits for a condition, rejecting with a message naming what was expected and how long was spent waiting
+const waitFor = pageElements.waitFor;
+
+/**
+ * returns the elements matching a selector whose text content (visible or not) equals the text
+ * @param {string|By|PageElement} selector - selector of the candidate elements
+ * @param {string} textToMatch - text to match, leading and trailing whitespace is ignored
+ * @returns {Promise} resolves with a list of WebElements, possibly empty
+ */
+const findElementsWithText = (selector, textToMatch) => toElement(selector).findAll().then((elements) => {
+    if (elements.length === 0) return [];
+    function filterByText(candidates, content) {
+        var txtProp = ('textContent' in document) ? 'textContent' : 'innerText';
+        return candidates.filter(function (el) {
+            return el[txtProp].trim() === String(content).trim();
+        });
+    }
+    return getDriver().executeScript(filterByText, elements, textToMatch);
+});
+
+/**
+ * finds a frame by locator, or by name or id when a plain word does not match any element
+ * @param {number|WebElement|string|By|PageElement} frame - frame index, element, locator, page object element, name or id
+ * @returns {Promise} resolves with the frame to switch to, or null if it is not present yet
+ */
+const findFrame = (frame) => {
+    if (typeof frame === 'number' || frame instanceof selenium.WebElement) return Promise.resolve(frame);
+    let element = toElement(frame);
+    return element.findAll().then((elements) => {
+        if (elements.length > 0) return elements[0];
+        if (element.using !== 'css selector' || !/^[\w-]+$/.test(element.value)) return null;
+        let byNameOrId = ['iframe', 'frame'].map((tag) => tag + '[name="' + element.value + '"],' + tag + '[id="' + element.value + '"]').join(',');
+        return getDriver().findElements(by.css(byNameOrId)).then((frames) => frames[0] || null);
+    });
+};
+
+/**
+ * describes a frame reference for error messages
+ * @param {number|WebElement|string|By|PageElement} frame - frame reference
+ * @returns {string} description
+ */
+const describeFrame = (frame) => {
+    if (typeof frame === 'number') return 'frame ' + frame;
+    if (frame instanceof selenium.WebElement) return 'frame element';
+    if (typeof frame === 'string') return 'frame "' + frame + '"';
+    return 'frame ' + toElement(frame).describe();
+};
+
+/**
+ * returns true if the window matches a title or url, strings match part of either and regular expressions are tested against both
+ * @param {string|RegExp} pattern - title or url to match
+ * @param {string} title - title of the window
+ * @param {string} windowUrl - url of the window
+ * @returns {boolean} true if the window matches
+ */
+const windowMatches = (pattern, title, windowUrl) => {
+    if (pattern instanceof RegExp) return pattern.test(title) || pattern.test(windowUrl);
+    return title.indexOf(pattern) !== -1 || windowUrl.indexOf(pattern) !== -1;
+};
+
+// handle of the window the scenario started in, which the browser is returned to after each scenario
+let mainWindowHandle = null;
+
+const helpers = {
+    /**
+     * resolves a url against the baseUrl of the current environment profile, absolute urls are returned unchanged
+     * @param {string} pageUrl - relative or absolute url
+     * @returns {string} absolute url
+     * @example
+     *      helpers.resolveUrl('/search');
+     */
+    resolveUrl: (pageUrl) => {
+        let baseUrl = global.config && global.config.baseUrl;
+        return (baseUrl) ? url.resolve(baseUrl, pageUrl) : pageUrl;
+    },
+
     /**
      * returns a promise that is called when the url has loaded and the body element is present
-     * @param {string} url - url to load
+     * when performanceBudgets is set, the navigation timing of the page is attached to the scenario and checked against them
+     * @param {string} pageUrl - url to load, relative urls are resolved against the baseUrl
      * @param {int} waitInSeconds - number of seconds to wait for page to load
-     * @returns {Promise} resolved when url has loaded otherwise rejects
+     * @returns {Promise} resolved when url has loaded otherwise rejects, also rejects if a budget is exceeded and
+     * performanceBreach is fail
      * @example
      *      helpers.loadPage('http://www.google.com');
      */
-    loadPage: (url, waitInSeconds) => {
+    loadPage: (pageUrl, waitInSeconds) => {
         let timeout = (waitInSeconds) ? (waitInSeconds * 1000) : DEFAULT_TIMEOUT;
-        return driver.get(url).then(() => driver.wait(until.elementLocated(by.css('body')), timeout));
+        let fullUrl = helpers.resolveUrl(pageUrl);
+        return getDriver().get(fullUrl)
+            .then(() => waitFor(until.elementLocated(by.css('body')), timeout, fullUrl + ' to load'))
+            .then(() => (performanceMetrics.isEnabled() ? performanceMetrics.measurePageLoad(fullUrl, timeout) : undefined));
     },
 
     /**
-     * returns the value of an attribute on an element
-     * @param {string} htmlCssSelector - HTML css selector used to find the element
+     * returns the value of an attribute on an element, waiting for the element to be present
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
      * @param {string} attributeName - attribute name to retrieve
-     * @returns {string} the value of the attribute or empty string if not found
+     * @returns {Promise} resolves with the value of the attribute or null if the element does not have it
      * @example
      *      helpers.getAttributeValue('body', 'class');
      */
-    getAttributeValue: (htmlCssSelector, attributeName) =>
-        driver.findElement(by.css(htmlCssSelector)).then((el) => el.getAttribute(attributeName)),
+    getAttributeValue: (selector, attributeName) => toElement(selector).getAttribute(attributeName),
 
     /**
-     * returns list of elements matching a query selector who's inner text matches param.
+     * returns list of elements matching a selector whose inner text matches textToMatch, does not wait
      * WARNING: The element returned might not be visible in the DOM and will therefore have restricted interactions
-     * @param {string} cssSelector - css selector used to get list of elements
+     * @param {string|By|PageElement} selector - css, xpath or locator used to get list of elements
      * @param {string} textToMatch - inner text to match (does not have to be visible)
-     * @returns {Promise} resolves with list of elements if query matches, otherwise rejects
+     * @returns {Promise} resolves with list of matching elements, empty if there are none
      * @example
      *      helpers.getElementsContainingText('nav[role="navigation"] ul li a', 'Safety Boots')
      */
-    getElementsContainingText: (cssSelector, textToMatch) => {
-        function findElementsContainingText(query, content) {
-            let results = [];
-            let txtProp = ('textContent' in document) ? 'textContent' : 'innerText';
-            let elements = document.querySelectorAll(query);
-            for (let i = 0, l = elements.length; i < l; i++) {
-                if (elements[i][txtProp].trim() === content.trim()) {
-                    results.push(elements[i]);
-                }
-            }
-            return results;
-        }
-
-        return driver.findElements(by.js(findElementsContainingText, cssSelector, textToMatch));
-    },
+    getElementsContainingText: (selector, textToMatch) => findElementsWithText(selector, textToMatch),
 
     /**
-     * returns first elements matching a query selector who's inner text matches textToMatch param
-     * @param {string} cssSelector - css selector used to get list of elements
+     * waits for an element matching a selector whose inner text matches textToMatch and returns the first one
+     * @param {string|By|PageElement} selector - css, xpath or locator used to get list of elements
      * @param {string} textToMatch - inner text to match (does not have to be visible)
-     * @returns {Promise} resolves with first element containing text otherwise rejects
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+     * @returns {Promise} resolves with first element containing text, rejects if there is none within the timeout
      * @example
-     *      helpers.getFirstElementContainingText('nav[role="navigation"] ul li a', 'Safety Boots').click();
+     *      helpers.getFirstElementContainingText('nav[role="navigation"] ul li a', 'Safety Boots').then((el) => el.click());
      */
-    getFirstElementContainingText: (cssSelector, textToMatch) =>
-        helpers.getElementsContainingText(cssSelector, textToMatch).then((elements) => elements[0]),
+    getFirstElementContainingText: (selector, textToMatch, waitInMilliseconds) => waitFor(
+        () => findElementsWithText(selector, textToMatch).then((elements) => elements[0]),
+        getTimeout(waitInMilliseconds), toElement(selector).describe() + ' with text "' + textToMatch + '" to be present'
+    ),
 
     /**
      * clicks an element (or multiple if present) that is not visible, useful in situations where a menu needs a hover before a child link appears
-     * @param {string} cssSelector - css selector used to locate the elements
-     * @param {string} textToMatch - text to match inner content (if present)
-     * @returns {Promise} resolves if element found and clicked, otherwise rejects
+     * @param {string|By|PageElement} selector - css, xpath or locator used to locate the elements
+     * @param {string} textToMatch - (optional) only click elements with this inner text
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for a matching element
+     * @returns {Promise} resolves with the number of elements clicked, rejects if none are found within the timeout
      * @example
      *      helpers.clickHiddenElement('nav[role="navigation"] ul li a','Safety Boots');
      */
-    clickHiddenElement: (cssSelector, textToMatch) => {
-        function clickElementInDom(query, content) {
-            let elements = document.querySelectorAll(query);
-            let txtProp = ('textContent' in document) ? 'textContent' : 'innerText';
-            for (let i = 0, l = elements.length; i < l; i++) {
-                if (content) {
-                    if (elements[i][txtProp] === content) {
-                        elements[i].click();
-                    }
-                } else {
-                    elements[i].click();
+    clickHiddenElement: (selector, textToMatch, waitInMilliseconds) => {
+        let element = toElement(selector);
+        let expectation = element.describe() + ((textToMatch) ? ' with text "' + textToMatch + '"' : '') + ' to be present';
+        let find = () => ((textToMatch) ? findElementsWithText(element, textToMatch) : element.findAll());
+
+        return waitFor(() => find().then((elements) => (elements.length > 0) ? elements : null), getTimeout(waitInMilliseconds), expectation)
+            .then((elements) => getDriver().executeScript(function (els) {
+                for (var i = 0; i < els.length; i++) {
+                    els[i].click();
                 }
-            }
-        }
+                return els.length;
+            }, elements));
+    },
 
-        return driver.findElements(by.js(clickElementInDom, cssSelector, textToMatch));
+    /**
+     * waits until an element is present and returns it
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves with the WebElement, rejects if it is not found within the timeout
+     * @example
+     *      helpers.waitForElement('//button[@id="login"]', 5000);
+     */
+    waitForElement: (selector, waitInMilliseconds) => {
+        let element = toElement(selector);
+        return waitFor(() => element.findAll().then((elements) => elements[0]), getTimeout(waitInMilliseconds),
+            element.describe() + ' to be present');
     },
 
+    /**
+     * waits until an element is present and visible and returns it
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves with the WebElement, rejects if it is not visible within the timeout
+     * @example
+     *      helpers.waitForVisible('#results');
+     */
+    waitForVisible: (selector, waitInMilliseconds) => {
+        let element = toElement(selector);
+        return waitFor(() => element.findAll().then((elements) => {
+            if (elements.length === 0) return null;
+            return elements[0].isDisplayed().then((visible) => (visible ? elements[0] : null));
+        }), getTimeout(waitInMilliseconds), element.describe() + ' to be visible');
+    },
+
+    /**
+     * waits until an element is either removed or hidden
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+     * @returns {Promise} resolves once hidden, rejects if still visible after the timeout
+     * @example
+     *      helpers.waitForHidden('.spinner');
+     */
+    waitForHidden: (selector, waitInMilliseconds) => {
+        let element = toElement(selector);
+        return waitFor(() => element.isVisible().then((visible) => !visible), getTimeout(waitInMilliseconds),
+            element.describe() + ' to be hidden');
+    },
+
+    /**
+     * waits until an element is visible and clicks it
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves once clicked
+     * @example
+     *      helpers.click('#login-button');
+     */
+    click: (selector, waitInMilliseconds) => helpers.waitForVisible(selector, waitInMilliseconds).then((el) => el.click()),
+
+    /**
+     * waits until an element is visible, clears it and types into it
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {string} text - text to type
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves once typed
+     * @example
+     *      helpers.type('input[name="q"]', 'selenium');
+     */
+    type: (selector, text, waitInMilliseconds) => helpers.waitForVisible(selector, waitInMilliseconds)
+        .then((el) => el.clear().then(() => el.sendKeys(text))),
+
+    /**
+     * waits until an element is visible and clears its value
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves once cleared
+     * @example
+     *      helpers.clear('input[name="q"]');
+     */
+    clear: (selector, waitInMilliseconds) => helpers.waitForVisible(selector, waitInMilliseconds).then((el) => el.clear()),
+
+    /**
+     * waits until an element is visible and moves the mouse over it
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves once hovered
+     * @example
+     *      helpers.hover('nav .menu');
+     */
+    hover: (selector, waitInMilliseconds) => helpers.waitForVisible(selector, waitInMilliseconds)
+        .then((el) => getDriver().actions().move({origin: el}).perform()),
+
+    /**
+     * waits until an element is present and returns its visible text
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
+     * @returns {Promise} resolves with the text
+     * @example
+     *      helpers.getText('h1');
+     */
+    getText: (selector, waitInMilliseconds) => helpers.waitForElement(selector, waitInMilliseconds).then((el) => el.getText()),
+
     /**
      * Waits until a HTML attribute equals a particular value
-     * @param {string} elementSelector - HTML element CSS selector
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
      * @param {string} attributeName - name of the attribute to inspect
      * @param {string} attributeValue - value to wait for attribute to equal
-     * @param {int} waitInMilliseconds - number of milliseconds to wait for page to load
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
      * @returns {Promise} resolves if attribute eventually equals, otherwise rejects
      * @example
      *      helpers.waitUntilAttributeEquals('html', 'data-busy', 'false', 5000);
      */
-    waitUntilAttributeEquals: (elementSelector, attributeName, attributeValue, waitInMilliseconds) => {
-        let timeout = waitInMilliseconds || DEFAULT_TIMEOUT;
-        let timeoutMessage = attributeName + ' does not equal ' + attributeValue + ' after ' + waitInMilliseconds + ' milliseconds';
-        return driver.wait(() => (helpers.getAttributeValue(elementSelector, attributeName).then(value => value === attributeValue))
-            , timeout, timeoutMessage);
+    waitUntilAttributeEquals: (selector, attributeName, attributeValue, waitInMilliseconds) => {
+        let element = toElement(selector);
+        return waitFor(() => element.findAll().then((elements) => elements.length > 0 &&
+            elements[0].getAttribute(attributeName).then((value) => value === attributeValue)),
+            getTimeout(waitInMilliseconds), element.describe() + ' attribute ' + attributeName + ' to equal "' + attributeValue + '"');
     },
 
     /**
      * Waits until a HTML attribute exists
-     * @param {string} elementSelector - HTML element CSS selector
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
      * @param {string} attributeName - name of the attribute to inspect
-     * @param {int} waitInMilliseconds - number of milliseconds to wait for page to load
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
      * @returns {Promise} resolves if attribute exists within timeout, otherwise rejects
      * @example
      *      helpers.waitUntilAttributeExists('html', 'data-busy', 5000);
      */
-    waitUntilAttributeExists: (elementSelector, attributeName, waitInMilliseconds) => {
-        let timeout = waitInMilliseconds || DEFAULT_TIMEOUT;
-        let timeoutMessage = attributeName + ' does not exists after ' + waitInMilliseconds + ' milliseconds';
-        return driver.wait(() => helpers.getAttributeValue(elementSelector, attributeName)
-            .then(value => value !== null), timeout, timeoutMessage);
+    waitUntilAttributeExists: (selector, attributeName, waitInMilliseconds) => {
+        let element = toElement(selector);
+        return waitFor(() => element.findAll().then((elements) => elements.length > 0 &&
+            elements[0].getAttribute(attributeName).then((value) => value !== null)),
+            getTimeout(waitInMilliseconds), element.describe() + ' attribute ' + attributeName + ' to exist');
     },
 
     /**
-     * Waits until a HTML attribute no longer exists
-     * @param {string} elementSelector - HTML element CSS selector
+     * Waits until a HTML attribute no longer exists (or the element is removed)
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
      * @param {string} attributeName - name of the attribute to inspect
-     * @param {int} waitInMilliseconds - number of milliseconds to wait for page to load
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
      * @returns {Promise} resolves if attribute is removed within timeout, otherwise rejects
      * @example
      *      helpers.waitUntilAttributeDoesNotExists('html', 'data-busy', 5000);
      */
-    waitUntilAttributeDoesNotExists: (elementSelector, attributeName, waitInMilliseconds) => {
-        let timeout = waitInMilliseconds || DEFAULT_TIMEOUT;
-        let timeoutMessage = attributeName + ' still exists after ' + waitInMilliseconds + ' milliseconds';
-        return driver.wait(() =>
-            helpers.getAttributeValue(elementSelector, attributeName).then(value => value === null), timeout, timeoutMessage
-        );
+    waitUntilAttributeDoesNotExists: (selector, attributeName, waitInMilliseconds) => {
+        let element = toElement(selector);
+        return waitFor(() => element.findAll().then((elements) => elements.length === 0 ||
+            elements[0].getAttribute(attributeName).then((value) => value === null)),
+            getTimeout(waitInMilliseconds), element.describe() + ' attribute ' + attributeName + ' to be removed');
     },
 
     /**
-     * Waits until an css element exists and returns it
-     * @param {string} elementSelector - HTML element CSS selector
+     * Waits until an element exists and returns it, kept for backwards compatibility (see waitForElement)
+     * @param {string|By|PageElement} selector - css, xpath or locator of the element
      * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the element
      * @returns {Promise} a promise that will resolve if the element is found within timeout
      * @example
      *      helpers.waitForCssXpathElement('#login-button', 5000);
      */
-    waitForCssXpathElement:  (elementSelector, waitInMilliseconds) =>{
-        let timeout = waitInMilliseconds || DEFAULT_TIMEOUT;
-        let selector = (localizador.indexOf('//') === 0) ? "xpath" : "css";
-        let timeoutMessage = attributeName + ' still exists after ' + waitInMilliseconds + ' milliseconds';
-        return driver.wait(selenium.until.elementLocated({[selector]: elementSelector}), timeout, timeoutMessage);
+    waitForCssXpathElement: (selector, waitInMilliseconds) => helpers.waitForElement(selector, waitInMilliseconds),
+
+    /**
+     * scrolls until an element is in view
+     * @param {WebElement|string|By|PageElement} element - element, or css, xpath or locator of the element
+     * @returns {Promise} resolves once scrolled
+     * @example
+     *      helpers.scrollToElement('#footer');
+     */
+    scrollToElement: (element) => {
+        let found = (element instanceof selenium.WebElement) ? Promise.resolve(element) : helpers.waitForElement(element);
+        return found.then((el) => getDriver().executeScript('return arguments[0].scrollIntoView(false);', el));
     },
 
-    scrollToElement: element => driver.executeScript('return arguments[0].scrollIntoView(false);', element),
+    /**
+     * Select a value inside a dropdown list by its text (case insensitive)
+     * @param {string|By|PageElement} selector - css, xpath or locator of the select element
+     * @param {string} optionName - name of the option to be chosen
+     * @returns {Promise} resolves once the option is clicked, rejects naming the available options if it does not exist
+     * @example
+     *      helpers.selectDropdownValueByVisibleText('#country', 'Brazil');
+     */
+    selectDropdownValueByVisibleText: (selector, optionName) => {
+        return helpers.waitForVisible(selector)
+            .then((select) => select.findElements(by.css('option')))
+            .then((options) => Promise.all(options.map((option) => option.getText())).then((texts) => {
+                let names = texts.map((text) => text.trim().toUpperCase());
+                let index = names.indexOf(String(optionName).trim().toUpperCase());
+                if (index === -1) {
+                    throw new Error('Option "' + optionName + '" not found in ' + toElement(selector).describe() +
+                        ', available options: ' + texts.map((text) => '"' + text.trim() + '"').join(', '));
+                }
+                return options[index].click();
+            }));
+    },
 
     /**
-     * Select a value inside a dropdown list by its text
-     * @param {string} elementSelector - css or xpath selector
+     * Select a value inside a dropdown list by its text, alias of selectDropdownValueByVisibleText
+     * @param {string|By|PageElement} selector - css, xpath or locator of the select element
      * @param {string} optionName - name of the option to be chosen
-     * @returns {Promise} a promise that will resolve if the element is found within timeout
+     * @returns {Promise} resolves once the option is clicked
      * @example
      *      helpers.selectByVisibleText('#country', 'Brazil');
      */
-    selectDropdownValueByVisibleText: async (elementSelector, optionName) => {
-        let select = await helpers.waitForCssXpathElement(elementSelector);
-        let selectElements = await select.findElements({css: 'option'});
-        let options = [];
-        for (let option of selectElements) {
-            options.push((await option.getText()).toUpperCase());
-        }
-        optionName = optionName.toUpperCase();
-        return selectElements[options.indexOf(optionName)].click();
-    },
+    selectByVisibleText: (selector, optionName) => helpers.selectDropdownValueByVisibleText(selector, optionName),
 
     /**
-     * Awaits and returns an array of all windows opened
+     * Awaits and returns an array of all windows opened, once more than one window is open
      * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the result
-     * @returns {Promise} a promise that will resolve with an array of window handles.
+     * @returns {Promise} resolves with an array of window handles, rejects if no new window opens within the timeout
      * @example
      *      helpers.waitForNewWindows();
      */
-    waitForNewWindows: async function (waitInMilliseconds) {
-        let timeout = waitInMilliseconds || DEFAULT_TIMEOUT;
-        let windows = [];
-        for (let i = 0; i < timeout; i += 1000) {
-            windows = await driver.getAllWindowHandles();
-            if (windows.length > 1) return windows;
-            await driver.sleep(1000);
+    waitForNewWindows: (waitInMilliseconds) => waitFor(
+        () => getDriver().getAllWindowHandles().then((windows) => (windows.length > 1 ? windows : null)),
+        getTimeout(waitInMilliseconds), 'a new window to open'
+    ),
+
+    /**
+     * records the current window as the main window, called before every scenario
+     * @returns {Promise} resolves with the handle of the main window
+     */
+    rememberMainWindow: () => getDriver().getWindowHandle().then((handle) => {
+        mainWindowHandle = handle;
+        return handle;
+    }),
+
+    /**
+     * waits for a window whose title or url matches and switches to it
+     * @param {string|RegExp} pattern - part of the title or url, or a regular expression tested against both
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the window
+     * @returns {Promise} resolves with the window handle once switched, rejects if no window matches within the timeout
+     * @example
+     *      helpers.switchToWindow('Checkout');
+     *      helpers.switchToWindow(/\/help\/.*\.html$/);
+     */
+    switchToWindow: (pattern, waitInMilliseconds) => {
+        let original;
+        let findWindow = () => getDriver().getAllWindowHandles().then((handles) => handles.reduce((found, handle) => found.then((match) => {
+            if (match) return match;
+            return getDriver().switchTo().window(handle)
+                .then(() => Promise.all([getDriver().getTitle(), getDriver().getCurrentUrl()]))
+                .then((details) => (windowMatches(pattern, details[0], details[1]) ? handle : null))
+                .catch(() => null);
+        }), Promise.resolve(null)));
+
+        return getDriver().getWindowHandle().then((handle) => {
+            original = handle;
+            return waitFor(findWindow, getTimeout(waitInMilliseconds), 'a window with title or url matching ' +
+                ((pattern instanceof RegExp) ? pattern : '"' + pattern + '"'));
+        }).catch((err) => {
+            // leave the browser on the window it was on before
+            return getDriver().switchTo().window(original).catch(() => null).then(() => {
+                throw err;
+            });
+        });
+    },
+
+    /**
+     * waits for a new window or tab to open and switches to it
+     * when given an action, only windows opened by the action count, otherwise any window other than the current one does
+     * @param {function} action - (optional) opens the window, for example () => helpers.click('a[target=_blank]')
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for the window
+     * @returns {Promise} resolves with the handle of the new window once switched, rejects if none opens within the timeout
+     * @example
+     *      helpers.switchToNewWindow(() => helpers.click('#open-help'));
+     */
+    switchToNewWindow: (action, waitInMilliseconds) => {
+        if (typeof action !== 'function') {
+            waitInMilliseconds = action;
+            action = null;
         }
+        return Promise.all([getDriver().getWindowHandle(), getDriver().getAllWindowHandles()]).then((current) => {
+            let known = (action) ? current[1] : [current[0]];
+            return Promise.resolve(action && action())
+                .then(() => waitFor(
+                    () => getDriver().getAllWindowHandles().then((handles) => handles.filter((handle) => known.indexOf(handle) === -1).pop()),
+                    getTimeout(waitInMilliseconds), 'a new window to open'
+                ))
+                .then((handle) => getDriver().switchTo().window(handle).then(() => handle));
+        });
+    },
+
+    /**
+     * switches to the window the scenario started in (or the first window if it has been closed) and its top level document
+     * @returns {Promise} resolves with the handle of the main window once switched
+     * @example
+     *      helpers.switchToMainWindow();
+     */
+    switchToMainWindow: () => getDriver().getAllWindowHandles().then((handles) => {
+        let handle = (handles.indexOf(mainWindowHandle) !== -1) ? mainWindowHandle : handles[0];
+        return getDriver().switchTo().window(handle)
+            .then(() => getDriver().switchTo().defaultContent())
+            .then(() => handle);
+    }),
+
+    /**
+     * waits for a frame and switches into it, pass a list of frames to switch into nested frames from the top level document
+     * frames can be given as an index, a css selector, xpath, locator, page object element, or the name or id of the frame
+     * @param {number|string|By|PageElement|Array} frames - frame to switch to, or a list of the frame followed by the frames nested within it
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait for each frame
+     * @returns {Promise} resolves once switched into the last frame, rejects naming the frame that was not found
+     * @example
+     *      helpers.switchToFrame('#checkout');
+     *      helpers.switchToFrame(['checkout', 'iframe.card-number'], 5000);
+     */
+    switchToFrame: (frames, waitInMilliseconds) => {
+        frames = [].concat(frames);
+        let switchInto = (frame) => waitFor(
+            () => findFrame(frame).then((found) => {
+                if (found === null) return false;
+                return getDriver().switchTo().frame(found).then(() => true, () => false);
+            }),
+            getTimeout(waitInMilliseconds), describeFrame(frame) + ' to be available'
+        );
+        let start = (frames.length > 1) ? getDriver().switchTo().defaultContent() : Promise.resolve();
+        return frames.reduce((chain, frame) => chain.then(() => switchInto(frame)), Promise.resolve(start));
     },
 
+    /**
+     * switches back to the top level document of the current window
+     * @returns {Promise} resolves once switched
+     * @example
+     *      helpers.switchToDefaultContent();
+     */
+    switchToDefaultContent: () => getDriver().switchTo().defaultContent(),
+
     /**
      * Get the content value of a :before pseudo element
-     * @param {string} cssSelector - css selector of element to inspect
+     * @param {string|By|PageElement} selector - css, xpath or locator of element to inspect
      * @returns {Promise} executes .then with value
      * @example
      *      helpers.getPseudoElementBeforeValue('body header').then(function(value) {
      *          console.log(value);
      *      });
      */
-    getPseudoElementBeforeValue: cssSelector => {
-        function getBeforeContentValue(qs) {
-            let el = document.querySelector(qs);
-            let styles = el ? window.getComputedStyle(el, ':before') : null;
-            return styles ? styles.getPropertyValue('content') : '';
-        }
-        return driver.executeScript(getBeforeContentValue, cssSelector);
-    },
+    getPseudoElementBeforeValue: (selector) => helpers.waitForElement(selector)
+        .then((el) => getDriver().executeScript('return window.getComputedStyle(arguments[0], ":before").getPropertyValue("content");', el)),
 
     /**
      * Get the content value of a :after pseudo element
-     * @param {string} cssSelector - css selector of element to inspect
+     * @param {string|By|PageElement} selector - css, xpath or locator of element to inspect
      * @returns {Promise} executes .then with value
      * @example
      *      helpers.getPseudoElementAfterValue('body header').then(function(value) {
      *          console.log(value);
      *      });
      */
-    getPseudoElementAfterValue: (cssSelector) => {
-        function getAfterContentValue(qs) {
-            let el = document.querySelector(qs);
-            let styles = el ? window.getComputedStyle(el, ':after') : null;
-            return styles ? styles.getPropertyValue('content') : '';
+    getPseudoElementAfterValue: (selector) => helpers.waitForElement(selector)
+        .then((el) => getDriver().executeScript('return window.getComputedStyle(arguments[0], ":after").getPropertyValue("content");', el)),
+
+    /**
+     * compares a screenshot of the page (or of one element) with a baseline image stored in the baselines folder
+     * a missing baseline fails the step, run with --update-baselines to create or replace baselines
+     * @param {string} name - name of the baseline, unique within the project
+     * @param {object} options - (optional) {selector, threshold, ignoreRegions}, see utility/visual-regression.js
+     * @returns {Promise} resolves if the screenshot matches the baseline, otherwise rejects with the difference
+     * @example
+     *      helpers.compareScreenshot('search results', {selector: '#results', threshold: 0.01, ignoreRegions: ['.ad']});
+     */
+    compareScreenshot: (name, options) => visualRegression.compare(name, Object.assign({}, options, {
+        baselinesPath: global.baselinesPath,
+        reportsPath: global.reportsPath,
+        updateBaselines: global.updateBaselines
+    })),
+
+    /**
+     * audits the current page with axe-core, failing if there are violations at or above the configured impact
+     * the violations are attached to the scenario and summarised in reports/accessibility-report.html
+     * @param {object} options - (optional) {selector, rules, impact}, see utility/accessibility.js
+     * @returns {Promise} resolves with the violations below the impact, otherwise rejects listing the violations
+     * @example
+     *      helpers.checkAccessibility({selector: 'main', rules: ['wcag2a', 'wcag2aa'], impact: 'moderate'});
+     */
+    checkAccessibility: (options) => accessibility.check(Object.assign({}, options, {
+        impact: (options && options.impact) || global.accessibilityImpact
+    })),
+
+    /**
+     * deletes the cookies of the current domain
+     * @returns {Promise} resolved once the cookies have been deleted
+     */
+    clearCookies: () => getDriver().manage().deleteAllCookies(),
+
+    /**
+     * clears the local and session storage of the current origin
+     * @returns {Promise} resolved once the storages have been cleared
+     */
+    clearStorages: () => getDriver().executeScript('window.localStorage.clear(); window.sessionStorage.clear();'),
+
+    /**
+     * deletes the cookies and clears the local and session storage of the current page
+     * @returns {Promise} resolved once both have been cleared
+     */
+    clearCookiesAndStorages: () => helpers.clearCookies().then(() => helpers.clearStorages()),
+
+    /**
+     * deletes every IndexedDB database of the current origin (browsers without indexedDB.databases() are left as they are)
+     * @returns {Promise} resolved once the databases have been deleted
+     * @example
+     *      helpers.clearIndexedDb();
+     */
+    clearIndexedDb: () => {
+        function deleteDatabases(done) {
+            if (!window.indexedDB || !window.indexedDB.databases) return done();
+            window.indexedDB.databases().then(function (databases) {
+                return Promise.all(databases.map(function (database) {
+                    return new Promise(function (resolve) {
+                        var request = window.indexedDB.deleteDatabase(database.name);
+                        request.onsuccess = request.onerror = request.onblocked = resolve;
+                    });
+                }));
+            }).then(function () {
+                done();
+            }, function () {
+                done();
+            });
         }
+        return getDriver().executeAsyncScript(deleteDatabases);
+    },
 
-        return driver.executeScript(getAfterContentValue, cssSelector);
+    /**
+     * closes every window except the main window (the one the scenario started in) and switches back to it
+     * @returns {Promise} resolved once only the main window remains
+     * @example
+     *      helpers.closeExtraWindows();
+     */
+    closeExtraWindows: () => {
+        return getDriver().getAllWindowHandles().then(function (handles) {
+            let main = (handles.indexOf(mainWindowHandle) !== -1) ? mainWindowHandle : handles[0];
+            let closed = handles.filter((handle) => handle !== main).reduce(function (chain, handle) {
+                return chain.then(() => getDriver().switchTo().window(handle)).then(() => getDriver().close());
+            }, Promise.resolve());
+            return closed.then(() => getDriver().switchTo().window(main));
+        });
     },
 
-    clearCookies: () => driver.manage().deleteAllCookies(),
-    clearStorages: () => driver.executeScript('window.localStorage.clear(); window.sessionStorage.clear();'),
-    clearCookiesAndStorages: () => helpers.clearCookies().then(helpers.clearStorages())
+    /**
+     * returns the browser to the top level document of the main window, so a scenario does not leave the next one inside
+     * a frame or another window. called after every scenario that keeps the browser open
+     * @returns {Promise} resolves once switched
+     */
+    restoreBrowsingContext: () => helpers.switchToMainWindow().then(() => undefined)
 };
+
+module.exports = helpers;
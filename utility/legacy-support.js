@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * legacy-support.js loads step definition files written for cucumber 1.x, which export a function that defines
+ * steps and hooks with this.Given(...), this.Before(...), this.registerHandler(...) etc, on top of current cucumber-js
+ * files that import Given/When/Then from @cucumber/cucumber are loaded as they are, so a project can migrate one file at a time
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let cucumber = require('@cucumber/cucumber');
+
+// cucumber 1.x event handlers and the hooks that replace them
+const HANDLERS = {
+    BeforeFeatures: 'BeforeAll',
+    AfterFeatures: 'AfterAll',
+    BeforeScenario: 'Before',
+    AfterScenario: 'After',
+    BeforeStep: 'BeforeStep',
+    AfterStep: 'AfterStep'
+};
+
+/**
+ * converts cucumber 1.x tag groups into a tag expression, groups are and'ed, comma separated tags within a group are or'ed
+ * and ~ negates a tag. tag expressions (containing and, or, not) are kept as they are
+ * @param {Array} tags - tag groups, for example ['@smoke,@regression', '~@wip']
+ * @returns {string} tag expression, for example "(@smoke or @regression) and (not @wip)", or an empty string
+ * @example
+ *      legacySupport.toTagExpression(['@smoke,@regression', '~@wip']);
+ */
+function toTagExpression(tags) {
+    let groups = (tags || []).filter((group) => String(group).trim() !== '').map(function (group) {
+        group = String(group).trim();
+        if (/(^|\s)(and|or|not)\s|[()]/.test(group)) return '(' + group + ')';
+        let alternatives = group.split(',').map((tag) => tag.trim()).filter((tag) => tag !== '')
+            .map((tag) => (tag.charAt(0) === '~') ? 'not ' + tag.substr(1) : tag);
+        return '(' + alternatives.join(' or ') + ')';
+    });
+    return (groups.length === 1) ? groups[0].replace(/^\((.*)\)$/, '$1') : groups.join(' and ');
+}
+
+/**
+ * finds a node of a gherkin document (scenario, background or step) by its id
+ * @param {object} gherkinDocument - parsed feature file
+ * @param {string} id - ast node id
+ * @returns {object} the node or undefined
+ */
+function findNode(gherkinDocument, id) {
+    let found;
+    let visit = function (children) {
+        (children || []).forEach(function (child) {
+            if (found) return;
+            let node = child.scenario || child.background;
+            if (node) {
+                if (node.id === id) found = node;
+                (node.steps || []).forEach(function (step) {
+                    if (step.id === id) found = step;
+                });
+            }
+            if (child.rule) visit(child.rule.children);
+        });
+    };
+    visit(gherkinDocument && gherkinDocument.feature && gherkinDocument.feature.children);
+    return found;
+}
+
+/**
+ * wraps the argument of a scenario hook in the scenario interface of cucumber 1.x
+ * @param {object} testCase - argument of a Before or After hook ({pickle, gherkinDocument, result})
+ * @param {object} world - the World of the scenario, used to attach data to the report
+ * @returns {object} scenario with getName, getTags, getUri, getLine, isFailed, isSuccessful and attach
+ */
+function toScenario(testCase, world) {
+    let pickle = testCase.pickle;
+    let status = testCase.result && testCase.result.status;
+    let node = findNode(testCase.gherkinDocument, pickle.astNodeIds[0]);
+    return {
+        getName: () => pickle.name,
+        getTags: () => pickle.tags.map((tag) => ({getName: () => tag.name})),
+        getUri: () => path.resolve(pickle.uri),
+        getLine: () => (node ? node.location.line : undefined),
+        isFailed: () => status === cucumber.Status.FAILED,
+        isSuccessful: () => status === cucumber.Status.PASSED,
+        isPending: () => status === cucumber.Status.PENDING,
+        isUndefined: () => status === cucumber.Status.UNDEFINED,
+        isSkipped: () => status === cucumber.Status.SKIPPED,
+        attach: function (data, mimeType, callback) {
+            if (typeof mimeType === 'function') {
+                callback = mimeType;
+                mimeType = undefined;
+            }
+            world.attach(data, mimeType);
+            if (callback) callback();
+        }
+    };
+}
+
+/**
+ * wraps the argument of a step hook in the step interface of cucumber 1.x
+ * @param {object} testStep - argument of a BeforeStep or AfterStep hook ({pickle, pickleStep, gherkinDocument, result})
+ * @returns {object} step with getName and getKeyword
+ */
+function toStep(testStep) {
+    let node = findNode(testStep.gherkinDocument, testStep.pickleStep.astNodeIds[0]);
+    return {
+        getName: () => testStep.pickleStep.text,
+        getKeyword: () => (node ? node.keyword : '')
+    };
+}
+
+/**
+ * builds a hook that calls legacy code with a converted argument, keeping the callback interface if the code uses it
+ * @param {function} code - legacy hook code
+ * @param {function} convert - converts the hook argument and World into the legacy argument, null for BeforeAll/AfterAll
+ * which have no argument (the features are no longer available, legacy code is given an empty list)
+ * @returns {function} hook code for current cucumber-js
+ */
+function wrapHook(code, convert) {
+    if (!convert) {
+        return (code.length >= 2) ? function (callback) {
+            return code.call(this, [], callback);
+        } : function () {
+            return code.call(this, []);
+        };
+    }
+    if (code.length >= 2) {
+        return function (argument, callback) {
+            return code.call(this, convert(argument, this), callback);
+        };
+    }
+    return function (argument) {
+        return code.call(this, convert(argument, this));
+    };
+}
+
+/**
+ * splits the arguments of a cucumber 1.x hook definition into hook options and code
+ * @param {Array} args - tag group strings and/or an options object, followed by the code
+ * @returns {object} {options, code}
+ */
+function hookArguments(args) {
+    let code = args.pop();
+    let options = (args.length > 0 && typeof args[args.length - 1] === 'object') ? Object.assign({}, args.pop()) : {};
+    let tags = toTagExpression(args.concat(options.tags ? [].concat(options.tags) : []));
+    delete options.tags;
+    if (tags) options.tags = tags;
+    return {options: options, code: code};
+}
+
+/**
+ * the "this" legacy step definition files are called with, mapping the cucumber 1.x support code api onto cucumber-js
+ */
+let legacyApi = {
+    Given: cucumber.Given,
+    When: cucumber.When,
+    Then: cucumber.Then,
+    defineStep: cucumber.defineStep,
+    setDefaultTimeout: cucumber.setDefaultTimeout,
+
+    Before: function () {
+        let hook = hookArguments([].slice.call(arguments));
+        cucumber.Before(hook.options, wrapHook(hook.code, toScenario));
+    },
+
+    After: function () {
+        let hook = hookArguments([].slice.call(arguments));
+        cucumber.After(hook.options, wrapHook(hook.code, toScenario));
+    },
+
+    registerHandler: function (eventName, options, code) {
+        if (typeof options === 'function') {
+            code = options;
+            options = {};
+        }
+        let hookName = HANDLERS[eventName];
+        if (!hookName) {
+            console.warn('Ignoring the "' + eventName + '" handler, it is not supported by this version of cucumber');
+            return;
+        }
+        let convert = {
+            BeforeAll: null,
+            AfterAll: null,
+            Before: toScenario,
+            After: toScenario,
+            BeforeStep: toStep,
+            AfterStep: toStep
+        }[hookName];
+        cucumber[hookName](options, wrapHook(code, convert));
+    },
+
+    registerListener: function () {
+        console.warn('Ignoring registerListener, listeners are not supported by this version of cucumber, use a formatter instead');
+    }
+};
+
+// the World is provided by selenium-cucumber-js, so legacy files setting their own are ignored
+Object.defineProperty(legacyApi, 'World', {
+    set: function () {
+        console.warn('Ignoring this.World, use this.context to share values between steps');
+    }
+});
+
+module.exports = {
+
+    toTagExpression: toTagExpression,
+
+    findNode: findNode,
+
+    toScenario: toScenario,
+
+    toStep: toStep,
+
+    /**
+     * requires every .js file in a folder (or a single file), calling those written for cucumber 1.x with the legacy api
+     * @param {string} stepsPath - folder or file containing step definitions
+     * @returns {void}
+     */
+    load: function (stepsPath) {
+        let files = (fs.isDirectorySync(stepsPath))
+            ? fs.listTreeSync(stepsPath).filter((file) => path.extname(file) === '.js' && fs.isFileSync(file)).sort()
+            : [stepsPath];
+
+        files.forEach(function (file) {
+            let definitions = require(path.resolve(file));
+            if (typeof definitions === 'function') {
+                definitions.call(legacyApi);
+            }
+        });
+    }
+};
@@ -0,0 +1,549 @@
+'use strict';
+
+/**
+ * network-mock.js runs a local HTTP proxy the browser is configured to use (enabled with --mockNetwork)
+ * step definitions can stub responses with mock.route(), assert on the requests the page made and record them as HAR files
+ * the same server also serves the --fixtures folder, so scenarios can run offline against local pages and data
+ * https requests are tunnelled through untouched, they are recorded but cannot be stubbed (routes for https urls are rejected)
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let http = require('http');
+let net = require('net');
+let url = require('url');
+let secrets = require('./secrets');
+let text = require('./text');
+
+// headers that only apply to the connection to the proxy and must not be forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.txt': 'text/plain',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon'
+};
+
+let server = null;
+let sockets = [];
+let fixturesPath = null;
+let routes = [];
+let entries = [];
+
+/**
+ * keeps track of an open socket so it can be closed when the proxy stops
+ * @param {net.Socket} socket - socket to track
+ * @returns {void}
+ */
+function track(socket) {
+    sockets.push(socket);
+    socket.on('close', function () {
+        let index = sockets.indexOf(socket);
+        if (index !== -1) sockets.splice(index, 1);
+    });
+}
+
+/**
+ * converts a glob such as /api/* into a regular expression
+ * @param {string} glob - pattern where * matches anything
+ * @returns {RegExp} regular expression matching the whole string
+ */
+function globToRegExp(glob) {
+    let escaped = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp('^' + escaped.join('.*') + '$');
+}
+
+/**
+ * parses a route pattern, which can be prefixed with a method, for example "POST /api/cart"
+ * @param {string|RegExp} pattern - path, absolute url, glob or regular expression
+ * @returns {object} {method, pattern}
+ */
+function parsePattern(pattern) {
+    let match = (typeof pattern === 'string') ? /^([A-Z]+)\s+(.+)$/.exec(pattern) : null;
+    return (match) ? {method: match[1], pattern: match[2]} : {method: null, pattern: pattern};
+}
+
+/**
+ * returns true if a request matches a route pattern
+ * strings are compared with the path (or the full url if they are absolute), with or without the query string
+ * @param {object} route - parsed pattern
+ * @param {string} method - request method
+ * @param {string} requestUrl - absolute request url
+ * @returns {boolean} true if the request matches
+ */
+function matches(route, method, requestUrl) {
+    if (route.method && route.method !== method) return false;
+    if (route.pattern instanceof RegExp) return route.pattern.test(requestUrl);
+
+    let parsed = url.parse(requestUrl);
+    let targets = /^[a-z]+:\/\//i.test(route.pattern)
+        ? [requestUrl, requestUrl.split('?')[0]]
+        : [parsed.path, parsed.pathname];
+
+    let test = (route.pattern.indexOf('*') !== -1)
+        ? (target) => globToRegExp(route.pattern).test(target)
+        : (target) => target === route.pattern;
+    return targets.some(test);
+}
+
+/**
+ * converts a headers object into the HAR name/value list
+ * @param {object} headers - node headers
+ * @returns {Array} list of {name, value}
+ */
+function harHeaders(headers) {
+    let list = [];
+    Object.keys(headers || {}).forEach(function (name) {
+        [].concat(headers[name]).forEach((value) => list.push({name: name, value: String(value)}));
+    });
+    return list;
+}
+
+/**
+ * records a request and its response as a HAR entry
+ * @param {object} request - {method, url, headers, body}
+ * @param {object} response - {status, headers, body}
+ * @param {Date} started - when the request was received
+ * @param {boolean} mocked - true if the response came from a route stub or the fixtures folder
+ * @returns {void}
+ */
+function record(request, response, started, mocked) {
+    let contentType = String((response.headers || {})['content-type'] || '');
+    let body = response.body || Buffer.alloc(0);
+    let isText = /^(text\/|application\/(json|javascript|xml))|\+json|\+xml/.test(contentType);
+
+    entries.push({
+        startedDateTime: started.toISOString(),
+        time: Date.now() - started.getTime(),
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: 'HTTP/1.1',
+            headers: harHeaders(request.headers),
+            queryString: harHeaders(url.parse(request.url, true).query),
+            cookies: [],
+            headersSize: -1,
+            bodySize: (request.body) ? request.body.length : 0,
+            postData: (request.body && request.body.length > 0) ? {
+                mimeType: String(request.headers['content-type'] || ''),
+                text: request.body.toString()
+            } : undefined
+        },
+        response: {
+            status: response.status,
+            statusText: http.STATUS_CODES[response.status] || '',
+            httpVersion: 'HTTP/1.1',
+            headers: harHeaders(response.headers),
+            cookies: [],
+            content: {
+                size: body.length,
+                mimeType: contentType,
+                text: (isText) ? body.toString() : body.toString('base64'),
+                encoding: (isText) ? undefined : 'base64'
+            },
+            redirectURL: String((response.headers || {}).location || ''),
+            headersSize: -1,
+            bodySize: body.length
+        },
+        cache: {},
+        timings: {send: 0, wait: Date.now() - started.getTime(), receive: 0},
+        _mocked: mocked
+    });
+}
+
+/**
+ * returns a copy of the headers without the hop-by-hop headers
+ * @param {object} headers - node headers
+ * @returns {object} headers safe to forward
+ */
+function forwardableHeaders(headers) {
+    let result = {};
+    Object.keys(headers).forEach(function (name) {
+        if (HOP_BY_HOP_HEADERS.indexOf(name.toLowerCase()) === -1) {
+            result[name] = headers[name];
+        }
+    });
+    return result;
+}
+
+/**
+ * returns the headers a stubbed response needs for cross origin requests to be accepted by the browser
+ * @param {object} request - {headers}
+ * @returns {object} cors headers, empty for same origin requests
+ */
+function corsHeaders(request) {
+    if (!request.headers.origin) return {};
+    return {
+        'access-control-allow-origin': request.headers.origin,
+        'access-control-allow-credentials': 'true',
+        'access-control-allow-methods': request.headers['access-control-request-method'] || 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'access-control-allow-headers': request.headers['access-control-request-headers'] || '*'
+    };
+}
+
+/**
+ * builds the status, headers and body of a stubbed response
+ * @param {object} stub - {status, headers, json, body, file}
+ * @param {object} request - the intercepted request
+ * @returns {object} {status, headers, body}
+ */
+function buildResponse(stub, request) {
+    let headers = Object.assign(corsHeaders(request), stub.headers || {});
+    let body = stub.body;
+
+    if (stub.json !== undefined) {
+        body = JSON.stringify(stub.json);
+        headers['content-type'] = headers['content-type'] || 'application/json';
+    } else if (stub.file) {
+        let filePath = path.resolve(fixturesPath || process.cwd(), stub.file);
+        body = fs.readFileSync(filePath);
+        headers['content-type'] = headers['content-type'] || CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    body = Buffer.isBuffer(body) ? body : Buffer.from(String(body === undefined ? '' : body));
+    headers['content-length'] = body.length;
+    return {status: stub.status || 200, headers: headers, body: body};
+}
+
+/**
+ * writes a response to the browser
+ * @param {http.ServerResponse} res - response to the browser
+ * @param {object} response - {status, headers, body}
+ * @returns {void}
+ */
+function send(res, response) {
+    res.writeHead(response.status, response.headers);
+    res.end(response.body);
+}
+
+/**
+ * responds to a request using a route stub
+ * @param {object} route - matching route
+ * @param {object} request - the intercepted request
+ * @param {http.ServerResponse} res - response to the browser
+ * @param {Date} started - when the request was received
+ * @returns {Promise} resolves once the response has been sent
+ */
+function respondWithStub(route, request, res, started) {
+    // a handler that throws is answered with an error rather than crashing the proxy
+    return Promise.resolve()
+        .then(() => ((typeof route.response === 'function') ? route.response(request) : route.response))
+        .then(function (stub) {
+            stub = stub || {};
+            return new Promise((resolve) => setTimeout(resolve, stub.delay || 0)).then(() => stub);
+        })
+        .then(function (stub) {
+            if (stub.abort) {
+                record(request, {status: 0, headers: {}}, started, true);
+                res.socket.destroy();
+                return;
+            }
+            let response = buildResponse(stub, request);
+            record(request, response, started, true);
+            send(res, response);
+        });
+}
+
+/**
+ * serves a file from the fixtures folder
+ * @param {object} request - the request, its path is resolved within the fixtures folder
+ * @param {http.ServerResponse} res - response to the browser
+ * @param {Date} started - when the request was received
+ * @returns {void}
+ */
+function respondWithFixture(request, res, started) {
+    let pathname = url.parse(request.url).pathname;
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch (err) {
+
+        // malformed percent-encoding, for example /%E0%A4%A
+        let badRequest = buildResponse({status: 400, body: 'Bad request: malformed url ' + pathname}, request);
+        record(request, badRequest, started, true);
+        send(res, badRequest);
+        return;
+    }
+    let root = path.resolve(fixturesPath || process.cwd());
+    let filePath = path.join(root, path.normalize(pathname));
+    if (fs.isDirectorySync(filePath)) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    let response = (filePath.indexOf(root) === 0 && fs.isFileSync(filePath))
+        ? buildResponse({file: filePath}, request)
+        : buildResponse({status: 404, body: 'Not found: ' + pathname}, request);
+    record(request, response, started, true);
+    send(res, response);
+}
+
+/**
+ * forwards a request to the real server and streams the response back to the browser
+ * @param {object} request - the intercepted request
+ * @param {http.ServerResponse} res - response to the browser
+ * @param {Date} started - when the request was received
+ * @returns {void}
+ */
+function forward(request, res, started) {
+    let target = url.parse(request.url);
+    let upstream = http.request({
+        hostname: target.hostname,
+        port: target.port || 80,
+        path: target.path,
+        method: request.method,
+        headers: forwardableHeaders(request.headers)
+    }, function (upstreamRes) {
+        let chunks = [];
+        res.writeHead(upstreamRes.statusCode, forwardableHeaders(upstreamRes.headers));
+        upstreamRes.on('data', function (chunk) {
+            chunks.push(chunk);
+            res.write(chunk);
+        });
+        upstreamRes.on('end', function () {
+            res.end();
+            record(request, {status: upstreamRes.statusCode, headers: upstreamRes.headers, body: Buffer.concat(chunks)}, started, false);
+        });
+    });
+
+    upstream.on('error', function (err) {
+        let response = buildResponse({status: 502, body: 'Proxy error: ' + err.message}, request);
+        record(request, response, started, false);
+        send(res, response);
+    });
+    upstream.end(request.body);
+}
+
+/**
+ * handles every plain http request the browser sends through the proxy, and requests made to the fixtures server
+ * @param {http.IncomingMessage} req - request from the browser
+ * @param {http.ServerResponse} res - response to the browser
+ * @returns {void}
+ */
+function handleRequest(req, res) {
+    let started = new Date();
+    let chunks = [];
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', function () {
+        let address = server.address();
+        let isProxied = /^[a-z]+:\/\//i.test(req.url);
+        let request = {
+            method: req.method,
+            url: (isProxied) ? req.url : 'http://' + (req.headers.host || '127.0.0.1:' + address.port) + req.url,
+            headers: req.headers,
+            body: Buffer.concat(chunks)
+        };
+        let target = url.parse(request.url);
+        let isFixture = !isProxied || (['127.0.0.1', 'localhost'].indexOf(target.hostname) !== -1 && Number(target.port) === address.port);
+
+        // the latest route wins so a scenario can override a stub registered earlier
+        let route = routes.slice().reverse().find((item) => matches(item, request.method, request.url));
+
+        // answer cors preflight requests for stubbed urls, whatever method the stub is for
+        if (!route && request.method === 'OPTIONS' && request.headers.origin) {
+            let stubbed = routes.some((item) => matches({pattern: item.pattern}, 'OPTIONS', request.url));
+            if (stubbed) {
+                route = {response: {status: 204}};
+            }
+        }
+
+        if (route) {
+            respondWithStub(route, request, res, started).catch(function (err) {
+                let response = buildResponse({status: 500, body: 'Route error: the route for ' + request.method + ' ' + request.url + ' failed, ' + err.message}, request);
+                record(request, response, started, true);
+                send(res, response);
+            });
+        } else if (isFixture) {
+            respondWithFixture(request, res, started);
+        } else {
+            forward(request, res, started);
+        }
+    });
+}
+
+/**
+ * tunnels https traffic to the real server, the request is recorded but its content cannot be seen
+ * @param {http.IncomingMessage} req - CONNECT request from the browser
+ * @param {net.Socket} clientSocket - connection to the browser
+ * @param {Buffer} head - first packet of the tunnelled stream
+ * @returns {void}
+ */
+function handleConnect(req, clientSocket, head) {
+    let started = new Date();
+    let hostAndPort = req.url.split(':');
+    let serverSocket = net.connect(Number(hostAndPort[1]) || 443, hostAndPort[0], function () {
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        serverSocket.write(head);
+        serverSocket.pipe(clientSocket);
+        clientSocket.pipe(serverSocket);
+        record({method: 'CONNECT', url: 'https://' + req.url + '/', headers: req.headers}, {status: 200, headers: {}}, started, false);
+    });
+    track(serverSocket);
+    serverSocket.on('error', () => clientSocket.destroy());
+    clientSocket.on('error', () => serverSocket.destroy());
+}
+
+module.exports = {
+
+    /**
+     * starts the proxy on a free port
+     * @param {object} options - proxy options
+     * @param {string} options.fixtures - (optional) folder served to requests made to the proxy itself (see fixturesUrl)
+     * @returns {Promise} resolves with the proxy address once it is listening
+     */
+    start: function (options) {
+        options = options || {};
+        fixturesPath = (options.fixtures) ? path.resolve(options.fixtures) : null;
+        if (server) return Promise.resolve(this.getProxyAddress());
+
+        server = http.createServer(handleRequest);
+        server.on('connect', handleConnect);
+        server.on('connection', track);
+        return new Promise(function (resolve, reject) {
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', () => resolve(module.exports.getProxyAddress()));
+        });
+    },
+
+    /**
+     * stops the proxy, closing any open connections
+     * @returns {Promise} resolves once the proxy has stopped
+     */
+    stop: function () {
+        if (!server) return Promise.resolve();
+        let stopping = server;
+        server = null;
+        sockets.forEach((socket) => socket.destroy());
+        sockets = [];
+        return new Promise((resolve) => stopping.close(() => resolve()));
+    },
+
+    /**
+     * returns the host:port the browser should use as its proxy
+     * @returns {string} proxy address or null if the proxy is not running
+     */
+    getProxyAddress: function () {
+        return (server) ? '127.0.0.1:' + server.address().port : null;
+    },
+
+    /**
+     * returns the url the fixtures folder is served from
+     * @param {string} filePath - (optional) path within the fixtures folder
+     * @returns {string} absolute url
+     * @example
+     *      helpers.loadPage(mock.fixturesUrl('checkout.html'));
+     */
+    fixturesUrl: function (filePath) {
+        return 'http://' + this.getProxyAddress() + '/' + String(filePath || '').replace(/^\//, '');
+    },
+
+    /**
+     * stubs the response of every request matching a pattern, routes registered later take precedence
+     * @param {string|RegExp} pattern - path, absolute url or glob (* matches anything), optionally prefixed by a method
+     * @param {object|function} response - {status, headers, json, body, file, delay, abort} or a function returning one (or a promise of one)
+     * @returns {void}
+     * @throws {Error} if the pattern is an https url, https traffic is tunnelled through the proxy so cannot be stubbed
+     * @example
+     *      mock.route('/api/cart', {status: 200, json: {items: []}});
+     *      mock.route('POST /api/orders', {status: 500, delay: 2000});
+     *      mock.route('/api/user/*', (request) => ({json: {id: request.url.split('/').pop()}}));
+     */
+    route: function (pattern, response) {
+        let route = parsePattern(pattern);
+        if (typeof route.pattern === 'string' && /^https:\/\//i.test(route.pattern)) {
+            throw new Error('mock.route can not stub ' + route.pattern + ', https requests are tunnelled through the proxy without ' +
+                'being decrypted. Stub the http url of the backend or serve the page and its data from --fixtures instead');
+        }
+        route.response = response;
+        routes.push(route);
+    },
+
+    /**
+     * returns the requests made since the scenario started
+     * @param {string|RegExp} pattern - (optional) only return requests matching this pattern, see route()
+     * @returns {Array} list of {method, url, headers, body, status, mocked}
+     * @example
+     *      expect(mock.requests('POST /api/orders')).to.have.length(1);
+     */
+    requests: function (pattern) {
+        let route = (pattern !== undefined) ? parsePattern(pattern) : null;
+        return entries.filter((entry) => !route || matches(route, entry.request.method, entry.request.url))
+            .map(function (entry) {
+                let body = (entry.request.postData) ? entry.request.postData.text : '';
+                return {
+                    method: entry.request.method,
+                    url: entry.request.url,
+                    headers: entry.request.headers.reduce((headers, header) => Object.assign(headers, {[header.name]: header.value}), {}),
+                    body: body,
+                    json: function () {
+                        return JSON.parse(body);
+                    },
+                    status: entry.response.status,
+                    mocked: entry._mocked
+                };
+            });
+    },
+
+    /**
+     * waits until a request matching a pattern has been made
+     * @param {string|RegExp} pattern - see route()
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait, defaults to DEFAULT_TIMEOUT
+     * @returns {Promise} resolves with the first matching request, rejects if none is made within the timeout
+     * @example
+     *      mock.waitForRequest('POST /api/orders').then((request) => expect(request.json().quantity).to.equal(2));
+     */
+    waitForRequest: function (pattern, waitInMilliseconds) {
+        let timeout = waitInMilliseconds || global.DEFAULT_TIMEOUT;
+        let started = Date.now();
+        let self = this;
+
+        return new Promise(function (resolve, reject) {
+            (function poll() {
+                let found = self.requests(pattern);
+                if (found.length > 0) return resolve(found[0]);
+                if (Date.now() - started >= timeout) {
+                    let made = self.requests().map((request) => request.method + ' ' + request.url);
+                    return reject(new Error('No request matching ' + pattern + ' was made after ' + timeout +
+                        ' milliseconds. Requests made: ' + (made.join(', ') || 'none')));
+                }
+                setTimeout(poll, 100);
+            })();
+        });
+    },
+
+    /**
+     * removes every route and forgets the recorded requests, called before each scenario
+     * @returns {void}
+     */
+    reset: function () {
+        routes = [];
+        entries = [];
+    },
+
+    /**
+     * writes the requests made since the scenario started as a HAR file
+     * @param {string} reportsPath - reports folder, HAR files are saved to reportsPath/har
+     * @param {string} scenarioName - name of the scenario, used for the file name
+     * @returns {string} path of the HAR file
+     */
+    saveHar: function (reportsPath, scenarioName) {
+        let filePath = path.resolve(reportsPath, 'har', text.slugify(scenarioName) + '-' + Date.now() + '.har');
+        let har = {
+            log: {
+                version: '1.2',
+                creator: {name: 'selenium-cucumber-js', version: require('../package.json').version},
+                entries: entries
+            }
+        };
+        fs.makeTreeSync(path.dirname(filePath));
+        fs.writeFileSync(filePath, secrets.mask(JSON.stringify(har, null, 2)));
+        return filePath;
+    }
+};
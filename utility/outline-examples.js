@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * outline-examples.js fills in the Examples of scenario outlines tagged @examples:<file> with the rows of a CSV file (or a
+ * JSON/YAML list), the variant of the file for the selected environment is used when there is one (see test-data.js)
+ * cucumber only reads feature files from disk, so a feature using them is written along with its rows to the reports folder
+ * and that copy is run in its place
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let testData = require('./test-data');
+
+// the tag of an Examples section whose rows come from a file, for example @examples:data/users.csv
+const EXAMPLES_TAG = /(^|\s)@examples:(\S+)/;
+
+// the keyword line of an Examples section
+const EXAMPLES_KEYWORD = /^(\s*)(Examples|Scenarios)\s*:/;
+
+/**
+ * escapes a value for use within a gherkin table cell
+ * @param {*} value - cell value
+ * @returns {string} escaped value
+ */
+function escapeCell(value) {
+    return String((value === undefined || value === null) ? '' : value)
+        .replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * finds a data file, relative to the feature file, the working directory or one of the shared objects folders
+ * @param {string} name - path given in the tag
+ * @param {string} featureFile - path of the feature file
+ * @param {Array} dataPaths - shared objects folders
+ * @returns {string} path of the data file
+ * @throws {Error} if the file can not be found
+ */
+function findDataFile(name, featureFile, dataPaths) {
+    let candidates = [path.resolve(path.dirname(featureFile), name), path.resolve(name)]
+        .concat((dataPaths || []).map((dataPath) => path.resolve(dataPath, name)));
+    let found = candidates.find((candidate) => fs.isFileSync(candidate));
+    if (!found) {
+        throw new Error('Examples file "' + name + '" used by ' + featureFile + ' not found, looked in:\n  ' + candidates.join('\n  '));
+    }
+    return found;
+}
+
+/**
+ * builds the lines of a gherkin table from a list of records
+ * @param {Array} records - a {column: value} object per row
+ * @param {string} indent - indentation of the table
+ * @returns {Array} table lines, the header first
+ */
+function toTable(records, indent) {
+    let columns = [];
+    records.forEach(function (record) {
+        Object.keys(record).forEach(function (column) {
+            if (columns.indexOf(column) === -1) columns.push(column);
+        });
+    });
+    let rows = [columns.map(escapeCell)].concat(records.map((record) => columns.map((column) => escapeCell(record[column]))));
+    return rows.map((cells) => indent + '| ' + cells.join(' | ') + ' |');
+}
+
+/**
+ * fills in the tagged Examples sections of a feature file
+ * @param {string} featureFile - path of the feature file
+ * @param {object} options - {env, dataPaths}
+ * @returns {object} {source, insertions} where insertions lists the {line, count} of the rows added after each line,
+ * or null if the feature has no tagged Examples
+ */
+function expand(featureFile, options) {
+    let source = fs.readFileSync(featureFile).toString();
+    if (source.indexOf('@examples:') === -1) return null;
+
+    let lines = source.split(/\r?\n/);
+    let added = {};
+    let insertions = [];
+
+    lines.forEach(function (line, index) {
+        let tag = (/^\s*@/.test(line)) ? EXAMPLES_TAG.exec(line) : null;
+        if (!tag) return;
+
+        // the tag is followed by the Examples keyword, possibly after other tag and comment lines
+        let keywordIndex = index + 1;
+        while (keywordIndex < lines.length && /^\s*(@|#|$)/.test(lines[keywordIndex])) keywordIndex++;
+        let keyword = EXAMPLES_KEYWORD.exec(lines[keywordIndex] || '');
+        if (!keyword) {
+            throw new Error(featureFile + ':' + (index + 1) + ' the @examples:' + tag[2] + ' tag must be placed on an Examples section');
+        }
+        let next = keywordIndex + 1;
+        while (next < lines.length && /^\s*(#|$)/.test(lines[next])) next++;
+        if (/^\s*\|/.test(lines[next] || '')) {
+            throw new Error(featureFile + ':' + (keywordIndex + 1) + ' the Examples tagged @examples:' + tag[2] + ' must not have a table of their own');
+        }
+
+        let dataFile = findDataFile(tag[2], featureFile, options.dataPaths);
+        let records = testData.loadVariant(dataFile, options.env);
+        if (!Array.isArray(records) || records.length === 0 || !records.every((record) => record && typeof record === 'object')) {
+            throw new Error('Examples file ' + dataFile + ' used by ' + featureFile + ' must contain a list of rows');
+        }
+
+        // the tag is blanked out rather than removed so the columns of the other tags on the line stay the same
+        lines[index] = line.replace('@examples:' + tag[2], ' '.repeat(('@examples:' + tag[2]).length));
+        added[keywordIndex] = toTable(records, keyword[1] + '  ');
+        insertions.push({line: keywordIndex + 1, count: added[keywordIndex].length});
+    });
+
+    let output = [];
+    lines.forEach(function (line, index) {
+        output.push(line);
+        output = output.concat(added[index] || []);
+    });
+    return {source: output.join('\n'), insertions: insertions};
+}
+
+/**
+ * returns the line of the copy of a feature file matching a line of the original
+ * @param {int} line - line in the original feature file
+ * @param {Array} insertions - rows added to the copy (see expand)
+ * @returns {int} line in the copy
+ */
+function mapLine(line, insertions) {
+    return insertions.reduce((mapped, insertion) => (insertion.line < line) ? mapped + insertion.count : mapped, line);
+}
+
+/**
+ * writes the copy of a feature file with its Examples filled in, if it has any tagged Examples
+ * @param {string} featureFile - path of the feature file
+ * @param {Array} lines - lines of the scenarios to run, empty to run all of them
+ * @param {object} options - {outputPath, env, dataPaths}
+ * @returns {string} path of the feature file (or its copy) to run, with the lines of the scenarios
+ */
+function prepareFile(featureFile, lines, options) {
+    let expanded = expand(featureFile, options);
+    if (!expanded) {
+        return [featureFile].concat(lines).join(':');
+    }
+
+    // the copy mirrors the location of the feature within the project, so the reports show where it came from
+    let relativePath = path.relative(process.cwd(), path.resolve(featureFile)).replace(/^(\.\.[\\/])+/, '');
+    let copyPath = path.resolve(options.outputPath, relativePath);
+
+    // workers of a parallel run may write the same copy, renaming keeps them from reading a partly written file
+    let tempPath = copyPath + '.' + process.pid + '.tmp';
+    fs.makeTreeSync(path.dirname(copyPath));
+    fs.writeFileSync(tempPath, expanded.source);
+    fs.renameSync(tempPath, copyPath);
+
+    return [copyPath].concat(lines.map((line) => mapLine(line, expanded.insertions))).join(':');
+}
+
+module.exports = {
+
+    /**
+     * replaces the feature files that have tagged Examples with a copy that has the rows filled in
+     * @param {Array} featurePaths - feature files, scenarios (path/to/file.feature:line) or directories
+     * @param {object} options - options
+     * @param {string} options.outputPath - folder to write the copies to
+     * @param {string} options.env - (optional) name of the environment, selects the variants of the examples files
+     * @param {Array} options.dataPaths - (optional) folders to look for examples files in, after the folder of the feature
+     * @returns {Array} the feature paths to run
+     * @example
+     *      outlineExamples.prepare(['./features', './checkout.feature:12'], {outputPath: './reports/outline-examples', env: 'staging'});
+     */
+    prepare: function (featurePaths, options) {
+        let prepared = [];
+        featurePaths.forEach(function (featurePath) {
+            let parts = /^(.*?)((?::\d+)*)$/.exec(featurePath);
+            let lines = parts[2].split(':').filter(Boolean).map((line) => parseInt(line));
+
+            if (!fs.isDirectorySync(parts[1])) {
+                prepared.push(fs.isFileSync(parts[1]) ? prepareFile(parts[1], lines, options) : featurePath);
+                return;
+            }
+
+            // a folder is only replaced by its feature files if any of them have tagged Examples, or it holds the copies
+            let outputPath = path.resolve(options.outputPath) + path.sep;
+            let containsCopies = outputPath.indexOf(path.resolve(parts[1]) + path.sep) === 0;
+            let files = fs.listTreeSync(parts[1])
+                .filter((file) => path.extname(file) === '.feature' && path.resolve(file).indexOf(outputPath) !== 0)
+                .sort();
+            let tagged = files.some((file) => fs.readFileSync(file).toString().indexOf('@examples:') !== -1);
+            prepared = prepared.concat((tagged || containsCopies) ? files.map((file) => prepareFile(file, [], options)) : [featurePath]);
+        });
+        return prepared;
+    }
+};
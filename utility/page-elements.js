@@ -0,0 +1,282 @@
+'use strict';
+
+/**
+ * page-elements.js turns the elements map of a page object into lazy element proxies
+ * each proxy is still a selenium By locator (so driver.findElement(page.x.elements.y) keeps working) but also has
+ * actions such as click(), type() and getText() that wait for the element using DEFAULT_TIMEOUT before acting on it
+ */
+let selenium = require('selenium-webdriver');
+let session = require('./session');
+
+/**
+ * converts a css/xpath string or selenium locator into a selenium By locator
+ * strings starting with / or ( are treated as xpath, everything else as css
+ * @param {string|object} definition - css selector, xpath expression or selenium locator
+ * @returns {By} selenium locator
+ */
+function toLocator(definition) {
+    if (definition instanceof selenium.By) return definition;
+    if (typeof definition === 'string') {
+        return /^\(*\//.test(definition.trim()) ? selenium.By.xpath(definition) : selenium.By.css(definition);
+    }
+    return new selenium.By(definition.using, definition.value);
+}
+
+/**
+ * returns true if the value is a locator rather than a nested section of elements
+ * @param {*} value - value from the elements map
+ * @returns {boolean} true if value is a string or selenium locator
+ */
+function isLocator(value) {
+    if (typeof value === 'string' || value instanceof selenium.By) return true;
+    return !!(value && typeof value.using === 'string' && typeof value.value === 'string');
+}
+
+/**
+ * returns true if value is a plain object (a nested section of elements)
+ * @param {*} value - value from the elements map
+ * @returns {boolean} true if plain object
+ */
+function isSection(value) {
+    return !!value && Object.prototype.toString.call(value) === '[object Object]' && !isLocator(value);
+}
+
+/**
+ * returns the timeout to use for a wait
+ * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+ * @returns {int} timeout in milliseconds
+ */
+function getTimeout(waitInMilliseconds) {
+    return waitInMilliseconds || global.DEFAULT_TIMEOUT;
+}
+
+/**
+ * waits for a condition, rejecting with a message naming what was expected and how long was spent waiting
+ * @param {function} condition - returns a promise resolving with a truthy value once the condition is met
+ * @param {int} timeout - number of milliseconds to wait
+ * @param {string} expectation - what was being waited for, for example "#login (css selector #login) to be visible"
+ * @returns {Promise} resolves with the value of the condition, otherwise rejects
+ */
+function waitFor(condition, timeout, expectation) {
+    let started = Date.now();
+    return session.getDriver().wait(condition, timeout).catch(function (err) {
+        if (err.name !== 'TimeoutError') throw err;
+        throw new Error('Timed out waiting for ' + expectation + ' after ' + (Date.now() - started) + ' milliseconds');
+    });
+}
+
+class PageElement extends selenium.By {
+
+    /**
+     * @param {string} name - name of the element within the page object, used in error messages (optional for ad hoc elements)
+     * @param {string|object} definition - css selector, xpath expression or selenium locator
+     * @param {PageElement} parent - (optional) section the element is located within
+     */
+    constructor(name, definition, parent) {
+        let locator = toLocator(definition);
+        super(locator.using, locator.value);
+        this.name = name;
+        this.parent = parent || null;
+    }
+
+    /**
+     * describes the element for error messages, for example "results.link (css selector h3 > a)"
+     * @returns {string} description
+     */
+    describe() {
+        let locator = this.using + ' ' + this.value;
+        return (this.name) ? this.name + ' (' + locator + ')' : locator;
+    }
+
+    /**
+     * returns the elements currently matching the locator, within the parent section if there is one
+     * @returns {Promise} resolves with a list of WebElements (possibly empty), does not wait
+     */
+    findAll() {
+        let locator = new selenium.By(this.using, this.value);
+        if (!this.parent) {
+            return session.getDriver().findElements(locator);
+        }
+        return this.parent.findAll().then(function (roots) {
+            return (roots.length > 0) ? roots[0].findElements(locator) : [];
+        });
+    }
+
+    /**
+     * returns true if the element is currently present, does not wait
+     * @returns {Promise} resolves with true if present
+     */
+    exists() {
+        return this.findAll().then((elements) => elements.length > 0);
+    }
+
+    /**
+     * returns true if the element is currently present and visible, does not wait
+     * @returns {Promise} resolves with true if visible
+     */
+    isVisible() {
+        return this.findAll().then((elements) => (elements.length > 0) ? elements[0].isDisplayed() : false);
+    }
+
+    /**
+     * waits until the element is present
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+     * @returns {Promise} resolves with the WebElement, rejects if not found within timeout
+     */
+    find(waitInMilliseconds) {
+        return waitFor(() => this.findAll().then((elements) => elements[0]), getTimeout(waitInMilliseconds),
+            this.describe() + ' to be present');
+    }
+
+    /**
+     * waits until the element is present and visible
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+     * @returns {Promise} resolves with the WebElement, rejects if not visible within timeout
+     */
+    waitVisible(waitInMilliseconds) {
+        return waitFor(() => this.findAll().then(function (elements) {
+            if (elements.length === 0) return null;
+            return elements[0].isDisplayed().then((visible) => visible ? elements[0] : null);
+        }), getTimeout(waitInMilliseconds), this.describe() + ' to be visible');
+    }
+
+    /**
+     * waits until the element is either removed or hidden
+     * @param {int} waitInMilliseconds - (optional) number of milliseconds to wait
+     * @returns {Promise} resolves once hidden, rejects if still visible after timeout
+     */
+    waitHidden(waitInMilliseconds) {
+        return waitFor(() => this.isVisible().then((visible) => !visible), getTimeout(waitInMilliseconds),
+            this.describe() + ' to be hidden');
+    }
+
+    /**
+     * waits until the element is visible and clicks it
+     * @returns {Promise} resolves once clicked
+     * @example
+     *      page.googleSearch.elements.searchButton.click();
+     */
+    click() {
+        return this.waitVisible().then((element) => element.click());
+    }
+
+    /**
+     * waits until the element is visible and types into it
+     * @param {...string} keys - text or selenium.Key values to type
+     * @returns {Promise} resolves once typed
+     * @example
+     *      page.googleSearch.elements.searchInput.type('selenium', selenium.Key.ENTER);
+     */
+    type() {
+        let keys = [].slice.call(arguments);
+        return this.waitVisible().then((element) => element.sendKeys.apply(element, keys));
+    }
+
+    /**
+     * waits until the element is visible and clears its value
+     * @returns {Promise} resolves once cleared
+     */
+    clear() {
+        return this.waitVisible().then((element) => element.clear());
+    }
+
+    /**
+     * waits until the element is visible and moves the mouse over it
+     * @returns {Promise} resolves once hovered
+     */
+    hover() {
+        return this.waitVisible().then((element) => session.getDriver().actions().move({origin: element}).perform());
+    }
+
+    /**
+     * waits until the element is present and returns its visible text
+     * @returns {Promise} resolves with the text
+     */
+    getText() {
+        return this.find().then((element) => element.getText());
+    }
+
+    /**
+     * waits until the element is present and returns the value of an attribute
+     * @param {string} attributeName - attribute to read
+     * @returns {Promise} resolves with the attribute value
+     */
+    getAttribute(attributeName) {
+        return this.find().then((element) => element.getAttribute(attributeName));
+    }
+
+    /**
+     * waits until the element is present and returns its value
+     * @returns {Promise} resolves with the value
+     */
+    getValue() {
+        return this.getAttribute('value');
+    }
+}
+
+/**
+ * creates proxies for an elements map, nested plain objects become sections
+ * a section can declare a "selector" to scope its child elements, the section itself then acts as that element
+ * @param {object} elements - map of element names to locators or sections
+ * @param {string} prefix - name of the enclosing section, used in error messages
+ * @param {PageElement} parent - (optional) enclosing section element
+ * @returns {object} map of element names to PageElement proxies
+ * @throws {Error} if a child of a section with a selector has the name of one of its methods or properties, such as click
+ */
+function wrapElements(elements, prefix, parent) {
+    let wrapped = {};
+    Object.keys(elements).forEach(function (key) {
+        let value = elements[key];
+        let name = prefix ? prefix + '.' + key : key;
+
+        if (isLocator(value)) {
+            wrapped[key] = new PageElement(name, value, parent);
+        } else if (isSection(value)) {
+            let section = (value.selector) ? new PageElement(name, value.selector, parent) : {};
+            let children = Object.assign({}, value);
+            delete children.selector;
+
+            // the children become properties of the section element, so must not replace its methods
+            let clash = (value.selector) ? Object.keys(children).find((child) => child in section) : null;
+            if (clash) {
+                throw new Error('Page object element "' + name + '.' + clash + '" can not be declared, "' + clash +
+                    '" is a method or property of the ' + name + ' section. Rename the element');
+            }
+            Object.assign(section, wrapElements(children, name, value.selector ? section : parent));
+            wrapped[key] = section;
+        } else {
+            // anything else (such as a by.js function) is left as it is
+            wrapped[key] = value;
+        }
+    });
+    return wrapped;
+}
+
+module.exports = {
+
+    PageElement: PageElement,
+
+    toLocator: toLocator,
+
+    waitFor: waitFor,
+
+    /**
+     * replaces the elements map of every page object with element proxies
+     * @param {object} pageObjects - page objects loaded by require-dir (sub folders become nested objects)
+     * @returns {object} the page objects
+     */
+    wrap: function (pageObjects) {
+        Object.keys(pageObjects).forEach((key) => {
+            let pageObject = pageObjects[key];
+            if (!pageObject || typeof pageObject !== 'object') return;
+
+            if (isSection(pageObject.elements)) {
+                pageObject.elements = wrapElements(pageObject.elements, '');
+            } else if (!pageObject.elements) {
+                // a sub folder of page objects
+                this.wrap(pageObject);
+            }
+        });
+        return pageObjects;
+    }
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * parallel.js shards the feature files across worker processes
+ * each worker is a separate copy of index.js with its own browser, writing its own json report which is merged once all workers exit
+ * workers are given the resolved options of the run (with secret:NAME references rather than the secrets) and send their scenario and step events back to the parent process
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let readline = require('readline');
+let childProcess = require('child_process');
+let chalk = require('chalk');
+let runEvents = require('./run-events');
+let secrets = require('./secrets');
+
+// environment variable used to tell index.js it is running as a worker
+const WORKER_ENV = 'SELENIUM_CUCUMBER_WORKER';
+
+// environment variable holding the options of the run (as JSON) for a worker
+const OPTIONS_ENV = 'SELENIUM_CUCUMBER_OPTIONS';
+
+/**
+ * expands a list of feature files/directories into a list of .feature files
+ * paths pointing at a scenario (path/to/file.feature:line) are kept as they are
+ * @param {Array} featurePaths - feature files, scenarios or directories containing feature files
+ * @returns {Array} absolute paths of every feature file or scenario found
+ */
+function expandFeatureFiles(featurePaths) {
+    let scenarioPaths = featurePaths.filter(function (featurePath) {
+        return /:\d+$/.test(featurePath);
+    });
+    let otherPaths = featurePaths.filter(function (featurePath) {
+        return scenarioPaths.indexOf(featurePath) === -1;
+    });
+    let featureFiles = [];
+    otherPaths.forEach(function (featurePath) {
+        let absolutePath = path.resolve(featurePath);
+        let files = (fs.isDirectorySync(absolutePath))
+            ? fs.listTreeSync(absolutePath).filter((file) => path.extname(file) === '.feature').sort()
+            : [absolutePath];
+        files.forEach(function (file) {
+            if (featureFiles.indexOf(file) === -1) featureFiles.push(file);
+        });
+    });
+    return featureFiles.concat(scenarioPaths);
+}
+
+/**
+ * splits a list of feature files into a number of roughly equal groups
+ * @param {Array} featureFiles - list of feature files
+ * @param {int} workerCount - number of groups to create
+ * @returns {Array} list of non empty feature file groups
+ */
+function shard(featureFiles, workerCount) {
+    let shards = [];
+    for (let i = 0; i < workerCount; i++) {
+        shards.push([]);
+    }
+    featureFiles.forEach(function (featureFile, index) {
+        shards[index % workerCount].push(featureFile);
+    });
+    return shards.filter(function (group) {
+        return group.length > 0;
+    });
+}
+
+/**
+ * writes the output of a worker to the console, prefixing each line with the worker id
+ * @param {stream.Readable} stream - worker stdout/stderr
+ * @param {stream.Writable} output - process stdout/stderr
+ * @param {int} workerId - id of the worker
+ * @returns {void}
+ */
+function pipeWithPrefix(stream, output, workerId) {
+    let prefix = chalk.gray('[worker ' + workerId + '] ');
+    readline.createInterface({input: stream}).on('line', function (line) {
+        output.write(prefix + line + '\n');
+    });
+}
+
+/**
+ * starts a single worker process running index.js against a subset of feature files
+ * @param {int} workerId - id of the worker (starting at 1)
+ * @param {Array} featureFiles - feature files the worker should run
+ * @param {object} options - resolved options of the run, without the event hooks
+ * @param {function} onEvent - (optional) called with (event, data) for every scenario and step event of the worker
+ * @returns {Promise} resolves with the worker exit code
+ */
+function startWorker(workerId, featureFiles, options, onEvent) {
+    let workerOptions = Object.assign({}, options, {featureFiles: featureFiles.join(',')});
+    let env = Object.assign({}, process.env, {
+        [WORKER_ENV]: workerId,
+        [OPTIONS_ENV]: JSON.stringify(workerOptions)
+    });
+
+    return new Promise(function (resolve) {
+        let worker = childProcess.spawn(process.execPath, [path.resolve(__dirname, '../index.js')], {
+            env: env,
+            stdio: ['pipe', 'pipe', 'pipe', 'ipc']
+        });
+        // the output of the step definitions is not masked by the worker, so secrets are masked as it is written
+        pipeWithPrefix(worker.stdout, secrets.maskingStream(process.stdout), workerId);
+        pipeWithPrefix(worker.stderr, secrets.maskingStream(process.stderr), workerId);
+        worker.on('message', function (message) {
+            if (onEvent && message && runEvents.EVENTS.indexOf(message.event) !== -1) {
+                onEvent(message.event, Object.assign({}, message.data, {worker: workerId}));
+            }
+        });
+        worker.on('error', function (err) {
+            process.stderr.write(err.stack + '\n');
+            resolve(1);
+        });
+        worker.on('exit', function (code) {
+            resolve(code === null ? 1 : code);
+        });
+    });
+}
+
+module.exports = {
+
+    WORKER_ENV: WORKER_ENV,
+
+    /**
+     * returns the options a worker was started with, with event hooks that send each event to the parent process
+     * @returns {object} options to pass to run()
+     */
+    workerOptions: function () {
+        let options = JSON.parse(process.env[OPTIONS_ENV] || '{}');
+        runEvents.EVENTS.forEach(function (event) {
+            options[event] = function (data) {
+                if (process.send) process.send({event: event, data: data});
+            };
+        });
+        return options;
+    },
+
+    /**
+     * waits until the events sent by a worker have been handed to the parent process, so they are not lost when it exits
+     * @returns {Promise} resolves once every event has been sent
+     */
+    flushEvents: function () {
+        return new Promise(function (resolve) {
+            if (!process.send) return resolve();
+            process.send({}, () => resolve());
+        });
+    },
+
+    /**
+     * returns the json report path for a worker
+     * @param {string} reportsPath - reports folder
+     * @param {int} workerId - id of the worker
+     * @returns {string} path of the worker json report
+     */
+    workerReportPath: function (reportsPath, workerId) {
+        return path.resolve(reportsPath, 'cucumber-report-' + workerId + '.json');
+    },
+
+    /**
+     * runs the feature files across a number of worker processes
+     * @param {object} options - parallel run options
+     * @param {Array} options.featurePaths - feature files, scenarios (file.feature:line) or directories to run
+     * @param {int} options.workers - maximum number of workers to start
+     * @param {object} options.runOptions - resolved options of the run passed to each worker, without the event hooks or secrets
+     * @param {string} options.reportsPath - reports folder the workers write their json report to
+     * @param {string} options.message - (optional) message to log before starting the workers
+     * @param {function} options.onEvent - (optional) called with (event, data) for every scenario and step event of the workers
+     * @returns {Promise} resolves with {succeeded, reportFiles} once every worker has exited
+     */
+    run: function (options) {
+        let shards = shard(expandFeatureFiles(options.featurePaths), options.workers);
+        let self = this;
+
+        console.log(chalk.bgBlue.white((options.message || 'Running') + ' across ' + shards.length + ' worker(s)'));
+
+        let workers = shards.map(function (featureFiles, index) {
+            return startWorker(index + 1, featureFiles, options.runOptions, options.onEvent);
+        });
+
+        return Promise.all(workers).then(function (exitCodes) {
+            return {
+                succeeded: exitCodes.every(function (code) {
+                    return code === 0;
+                }),
+                reportFiles: shards.map(function (featureFiles, index) {
+                    return self.workerReportPath(options.reportsPath, index + 1);
+                })
+            };
+        });
+    }
+};
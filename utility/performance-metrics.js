@@ -0,0 +1,447 @@
+'use strict';
+
+/**
+ * performance-metrics.js records the navigation timing of every page loaded with helpers.loadPage, checks it and the duration
+ * of each step and scenario against the budgets of selenium-cucumber-js.json, and summarises the timings of a run
+ * page timings and budget breaches are attached to their scenario as JSON, so the summary can be built from the merged json report
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let url = require('url');
+let session = require('./session');
+let retry = require('./retry');
+let text = require('./text');
+
+// navigation timings measured for each page load, in milliseconds from the start of the navigation
+const METRICS = ['ttfb', 'domContentLoaded', 'load'];
+
+// what a breach of a budget does
+const ACTIONS = ['warn', 'fail'];
+
+// how often the load event is checked for while waiting for it
+const POLL_INTERVAL = 100;
+
+// number of steps and scenarios listed in the slowest tables of the summary
+const TOP_ITEMS = 15;
+
+let currentScenario = null;
+
+// total duration of the steps of the running scenario, hooks (such as starting the browser) are not counted
+let scenarioDuration = 0;
+
+// {name, url} of every page object with a url, so budgets can be declared by page object name
+let pages = [];
+
+/**
+ * returns the budgets of the run
+ * @returns {object} {loadPage, pages, step, scenario}
+ */
+function getBudgets() {
+    return global.performanceBudgets || {};
+}
+
+/**
+ * resolves a relative url against the baseUrl, as helpers.resolveUrl does
+ * @param {string} pageUrl - url of a page
+ * @returns {string} absolute url
+ */
+function resolveUrl(pageUrl) {
+    let baseUrl = global.config && global.config.baseUrl;
+    return (baseUrl) ? url.resolve(baseUrl, pageUrl) : pageUrl;
+}
+
+/**
+ * lists the page objects with a url, page objects in sub folders are named after their folder, for example admin.users
+ * @param {object} pageObjects - page objects keyed by name
+ * @param {string} prefix - name of the folder they are in
+ * @returns {Array} list of {name, url}
+ */
+function listPages(pageObjects, prefix) {
+    let found = [];
+    Object.keys(pageObjects || {}).forEach(function (key) {
+        let pageObject = pageObjects[key];
+        if (!pageObject || typeof pageObject !== 'object') return;
+
+        if (typeof pageObject.url === 'string') {
+            found.push({name: prefix + key, url: pageObject.url});
+        } else if (!pageObject.elements) {
+            found = found.concat(listPages(pageObject, prefix + key + '.'));
+        }
+    });
+    return found;
+}
+
+/**
+ * returns the budget of a page load, the budgets of the page (by page object name, url or path) are merged over those of every load
+ * @param {string} fullUrl - url that was loaded
+ * @param {string} pageName - name of the page object with that url, if there is one
+ * @returns {object} {ttfb, domContentLoaded, load} in milliseconds, only the metrics with a budget are set
+ */
+function pageBudget(fullUrl, pageName) {
+    let budgets = getBudgets();
+    let pageBudgets = budgets.pages || {};
+    let key = Object.keys(pageBudgets).find(function (name) {
+        return name === pageName || name === fullUrl || resolveUrl(name) === fullUrl || name === url.parse(fullUrl).pathname;
+    });
+    return Object.assign({}, budgets.loadPage, (key) ? pageBudgets[key] : {});
+}
+
+/**
+ * reads the navigation timing of the current page, from the Navigation Timing Level 2 entry where the browser supports it
+ * @returns {Promise} resolves with {url, ttfb, domContentLoaded, load}, load is null until the load event has finished
+ */
+function readTiming() {
+    return session.getDriver().executeScript(function () {
+        var entry = (performance.getEntriesByType) ? performance.getEntriesByType('navigation')[0] : null;
+        var timing = entry || performance.timing;
+        var start = (entry) ? entry.startTime : timing.navigationStart;
+        var since = function (time) {
+            return (time > 0) ? Math.round(time - start) : null;
+        };
+        return {
+            url: location.href,
+            ttfb: since(timing.responseStart),
+            domContentLoaded: since(timing.domContentLoadedEventEnd),
+            load: since(timing.loadEventEnd)
+        };
+    });
+}
+
+/**
+ * reads the navigation timing once the load event has finished, or the timeout has passed
+ * @param {int} timeout - number of milliseconds to wait for the load event
+ * @returns {Promise} resolves with the timing, or undefined if the browser does not provide one
+ */
+function waitForTiming(timeout) {
+    let started = Date.now();
+    let poll = () => readTiming().then(function (timing) {
+        if (!timing || timing.load !== null || Date.now() - started >= timeout) return timing;
+        return new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL)).then(poll);
+    });
+    return poll();
+}
+
+/**
+ * warns about or fails on budget breaches, depending on the performanceBreach setting
+ * @param {Array} breaches - descriptions of the breaches
+ * @returns {void}
+ * @throws {Error} listing the breaches if breaches fail the scenario
+ */
+function reportBreaches(breaches) {
+    if (breaches.length === 0) return;
+    let message = 'Performance budget exceeded:\n' + breaches.map((breach) => '  - ' + breach).join('\n');
+    if (global.performanceBreach === 'fail') {
+        throw new Error(message);
+    }
+    console.warn(message);
+}
+
+/**
+ * attaches a measurement to the running scenario
+ * @param {object} measurement - page load, step or scenario measurement
+ * @returns {void}
+ */
+function attach(measurement) {
+    if (currentScenario) {
+        currentScenario.attach(JSON.stringify({performance: measurement}, null, 2), 'application/json');
+    }
+}
+
+/**
+ * converts a cucumber duration into milliseconds
+ * @param {object|number} duration - {seconds, nanos} from a hook or nanoseconds from the json report
+ * @returns {number} milliseconds
+ */
+function toMilliseconds(duration) {
+    if (typeof duration === 'number') return duration / 1e6;
+    return (duration) ? (Number(duration.seconds || 0) * 1000) + ((duration.nanos || 0) / 1e6) : 0;
+}
+
+/**
+ * reads every performance measurement attached to the scenarios of a cucumber json report, along with the step durations
+ * @param {Array} features - cucumber json features
+ * @returns {object} {measurements, steps, scenarios} where steps and scenarios list {feature, scenario, name, duration}
+ */
+function readReport(features) {
+    let measurements = [];
+    let steps = [];
+    let scenarios = [];
+
+    retry.finalAttempts(features).forEach(function (feature) {
+        (feature.elements || []).forEach(function (element) {
+            let stepsDuration = 0;
+            (element.steps || []).forEach(function (step) {
+                let duration = toMilliseconds((step.result && step.result.duration) || 0);
+
+                // hooks are reported as hidden steps, a scenario takes as long as its steps as it does for the scenario budget
+                if (!step.hidden) {
+                    stepsDuration += duration;
+                }
+                if (!step.hidden && step.result && ['passed', 'failed'].indexOf(step.result.status) !== -1) {
+                    steps.push({feature: feature.name, scenario: element.name, name: (step.keyword || '') + step.name, duration: duration});
+                }
+                (step.embeddings || []).filter((embedding) => embedding.mime_type === 'application/json').forEach(function (embedding) {
+                    try {
+                        let data = JSON.parse(Buffer.from(embedding.data, 'base64').toString());
+                        if (data.performance) {
+                            measurements.push(Object.assign({feature: feature.name, scenario: element.name}, data.performance));
+                        }
+                    } catch (err) {
+                        // not every json attachment is a measurement
+                    }
+                });
+            });
+            scenarios.push({feature: feature.name, scenario: element.name, name: feature.name + ': ' + element.name, duration: stepsDuration});
+        });
+    });
+    return {measurements: measurements, steps: steps, scenarios: scenarios};
+}
+
+/**
+ * groups durations by name
+ * @param {Array} items - list of {name, duration}
+ * @returns {Array} list of {name, count, average, max} slowest (on average) first
+ */
+function slowest(items) {
+    let groups = {};
+    items.forEach(function (item) {
+        let group = groups[item.name] = groups[item.name] || {name: item.name, count: 0, total: 0, max: 0};
+        group.count++;
+        group.total += item.duration;
+        group.max = Math.max(group.max, item.duration);
+    });
+    return Object.keys(groups).map(function (name) {
+        let group = groups[name];
+        group.average = group.total / group.count;
+        return group;
+    }).sort((a, b) => b.average - a.average);
+}
+
+module.exports = {
+
+    METRICS: METRICS,
+
+    ACTIONS: ACTIONS,
+
+    /**
+     * checks the performanceBudgets setting of selenium-cucumber-js.json
+     * @param {object} budgets - {loadPage: {ttfb, domContentLoaded, load}, pages: {<page object, url or path>: {...}}, step, scenario}
+     * @returns {string} description of the problem or undefined if the budgets are valid
+     */
+    checkBudgets: function (budgets) {
+        let isBudget = (value) => typeof value === 'number' && value > 0;
+        let checkPage = function (budget, name) {
+            if (!budget || typeof budget !== 'object' || Array.isArray(budget)) return name + ' must be an object';
+            let invalid = Object.keys(budget).filter((metric) => METRICS.indexOf(metric) === -1 || !isBudget(budget[metric]));
+            return (invalid.length > 0) ? name + ' must only set ' + METRICS.join(', ') + ' to a number of milliseconds, got ' + invalid.join(', ') : undefined;
+        };
+
+        let unknown = Object.keys(budgets).filter((key) => ['loadPage', 'pages', 'step', 'scenario'].indexOf(key) === -1);
+        if (unknown.length > 0) {
+            return 'must only set loadPage, pages, step and scenario, got ' + unknown.join(', ');
+        }
+        let problems = [];
+        if (budgets.loadPage !== undefined) problems.push(checkPage(budgets.loadPage, 'loadPage'));
+        if (budgets.pages !== undefined) {
+            if (!budgets.pages || typeof budgets.pages !== 'object') return 'pages must be an object';
+            Object.keys(budgets.pages).forEach((name) => problems.push(checkPage(budgets.pages[name], 'pages.' + name)));
+        }
+        ['step', 'scenario'].forEach(function (key) {
+            if (budgets[key] !== undefined && !isBudget(budgets[key])) problems.push(key + ' must be a number of milliseconds');
+        });
+        problems = problems.filter(Boolean);
+        return (problems.length > 0) ? problems.join(', ') : undefined;
+    },
+
+    /**
+     * sets the page objects whose names can be used in the page budgets, called by world.js once they are loaded
+     * @param {object} pageObjects - page objects keyed by name
+     * @returns {void}
+     */
+    setPageObjects: function (pageObjects) {
+        pages = listPages(pageObjects, '');
+    },
+
+    /**
+     * records the scenario measurements are attached to, called from a Before hook
+     * @param {object} scenario - the running cucumber scenario
+     * @returns {void}
+     */
+    startScenario: function (scenario) {
+        currentScenario = scenario;
+        scenarioDuration = 0;
+    },
+
+    /**
+     * returns true if the run has performance budgets, pages are only measured and summarised when it does
+     * @returns {boolean} true if performanceBudgets is set
+     */
+    isEnabled: function () {
+        return Object.keys(getBudgets()).length > 0;
+    },
+
+    /**
+     * measures the navigation timing of a page that has just been loaded, called by helpers.loadPage
+     * @param {string} fullUrl - url that was loaded
+     * @param {int} timeout - number of milliseconds to wait for the load event
+     * @returns {Promise} resolves with {url, page, ttfb, domContentLoaded, load, budget, breaches} or undefined if the browser
+     * does not provide navigation timing, rejects listing the breaches if breaches fail the scenario
+     */
+    measurePageLoad: function (fullUrl, timeout) {
+        let page = pages.find((item) => item.url === fullUrl || resolveUrl(item.url) === fullUrl);
+        let pageName = (page) ? page.name : null;
+
+        return waitForTiming(timeout).catch(function (err) {
+            console.warn('Unable to read the navigation timing of ' + fullUrl + ': ' + err.message);
+        }).then(function (timing) {
+            if (!timing) return undefined;
+
+            let budget = pageBudget(fullUrl, pageName);
+            let label = (pageName) ? pageName + ' (' + fullUrl + ')' : fullUrl;
+            let breaches = METRICS.filter((metric) => budget[metric] !== undefined && (timing[metric] === null || timing[metric] > budget[metric]));
+            let measurement = {
+                type: 'page',
+                url: fullUrl,
+                page: pageName,
+                ttfb: timing.ttfb,
+                domContentLoaded: timing.domContentLoaded,
+                load: timing.load,
+                budget: budget,
+                breaches: breaches
+            };
+            attach(measurement);
+
+            reportBreaches(breaches.map(function (metric) {
+                return (timing[metric] === null)
+                    ? metric + ' of ' + label + ' did not happen within ' + timeout + 'ms, budget ' + budget[metric] + 'ms'
+                    : metric + ' of ' + label + ' took ' + timing[metric] + 'ms, budget ' + budget[metric] + 'ms';
+            }));
+            return measurement;
+        });
+    },
+
+    /**
+     * adds the duration of the step that has just run to the scenario and checks it against the step budget, called from an
+     * AfterStep hook
+     * @param {object} testStep - the cucumber AfterStep hook parameter
+     * @returns {void}
+     * @throws {Error} if the budget is exceeded and breaches fail the scenario
+     */
+    endStep: function (testStep) {
+        let budget = getBudgets().step;
+        scenarioDuration += toMilliseconds(testStep.result && testStep.result.duration);
+        let duration = Math.round(toMilliseconds(testStep.result && testStep.result.duration));
+        if (!budget || duration <= budget) return;
+
+        let step = (testStep.pickleStep) ? testStep.pickleStep.text : '';
+        attach({type: 'step', step: step, duration: duration, budget: budget, breaches: ['step']});
+        reportBreaches(['step "' + step + '" took ' + duration + 'ms, budget ' + budget + 'ms']);
+    },
+
+    /**
+     * checks the duration of the steps of the scenario (added up by endStep) against the scenario budget, called from an After hook
+     * @returns {void}
+     * @throws {Error} if the budget is exceeded and breaches fail the scenario
+     */
+    endScenario: function () {
+        let budget = getBudgets().scenario;
+        let duration = Math.round(scenarioDuration);
+        if (!budget || !currentScenario || duration <= budget) return;
+
+        let name = currentScenario.getName();
+        attach({type: 'scenario', duration: duration, budget: budget, breaches: ['scenario']});
+        reportBreaches(['scenario "' + name + '" took ' + duration + 'ms, budget ' + budget + 'ms']);
+    },
+
+    /**
+     * writes a performance summary of a cucumber json report: the timing of every page loaded and the slowest steps and scenarios
+     * @param {Array} features - cucumber json features
+     * @param {string} outputPath - path of the summary HTML file
+     * @returns {string} path of the summary or null if the run has no budgets or the report has no steps
+     */
+    writeSummary: function (features, outputPath) {
+        if (!this.isEnabled()) return null;
+
+        let report = readReport(features);
+        if (report.steps.length === 0) return null;
+
+        let budgets = getBudgets();
+        let ms = (value) => (value === null || value === undefined) ? '-' : Math.round(value) + 'ms';
+        let loads = report.measurements.filter((item) => item.type === 'page');
+        let breaches = report.measurements.filter((item) => item.breaches && item.breaches.length > 0);
+
+        // page loads are grouped by page object, or url for pages without one
+        let groups = {};
+        loads.forEach(function (load) {
+            let name = load.page || load.url;
+            let group = groups[name] = groups[name] || {name: name, url: load.url, loads: [], breaches: 0, budget: load.budget};
+            group.loads.push(load);
+            if (load.breaches.length > 0) group.breaches++;
+        });
+        let cell = function (group, metric) {
+            let values = group.loads.map((load) => load[metric]).filter((value) => value !== null);
+            let average = (values.length > 0) ? values.reduce((total, value) => total + value, 0) / values.length : null;
+            let max = (values.length > 0) ? Math.max.apply(null, values) : null;
+            let over = group.loads.some((load) => load.breaches.indexOf(metric) !== -1);
+            let budget = (group.budget && group.budget[metric]) ? '<br><small>budget ' + ms(group.budget[metric]) + '</small>' : '';
+            return '<td' + (over ? ' class="breach"' : '') + '>' + ms(average) + ' / ' + ms(max) + budget + '</td>';
+        };
+
+        let html = [
+            '<!DOCTYPE html>',
+            '<html><head><meta charset="utf-8"><title>Performance summary</title>',
+            '<style>',
+            'body{font-family:sans-serif;margin:20px}',
+            'table{border-collapse:collapse;width:100%;margin-bottom:30px}',
+            'th,td{border:1px solid #ddd;padding:6px;text-align:left;vertical-align:top;font-size:13px}',
+            '.breach{color:#d9534f;font-weight:bold}',
+            '</style></head><body>',
+            '<h1>Performance summary</h1>',
+            '<p>' + loads.length + ' page load(s) of ' + Object.keys(groups).length + ' page(s), ' + report.steps.length + ' step(s) in ' +
+                report.scenarios.length + ' scenario(s). ' + ((breaches.length > 0) ? '<span class="breach">' + breaches.length + ' budget breach(es)</span>' : 'No budget breaches') + '.</p>',
+            '<h2>Page loads</h2>'
+        ];
+
+        if (loads.length === 0) {
+            html.push('<p>No pages were loaded with helpers.loadPage.</p>');
+        } else {
+            html.push('<table><tr><th>Page</th><th>Loads</th><th>TTFB (average / max)</th><th>DOMContentLoaded (average / max)</th><th>Load (average / max)</th><th>Breaches</th></tr>');
+            Object.keys(groups).map((name) => groups[name]).sort((a, b) => (b.breaches - a.breaches) || a.name.localeCompare(b.name)).forEach(function (group) {
+                html.push('<tr><td>' + text.escapeHtml(group.name) + ((group.name !== group.url) ? '<br><small>' + text.escapeHtml(group.url) + '</small>' : '') + '</td>' +
+                    '<td>' + group.loads.length + '</td>' + METRICS.map((metric) => cell(group, metric)).join('') +
+                    '<td' + (group.breaches > 0 ? ' class="breach"' : '') + '>' + group.breaches + '</td></tr>');
+            });
+            html.push('</table>');
+        }
+
+        html.push('<h2>Budget breaches</h2>');
+        if (breaches.length === 0) {
+            html.push('<p>No budget was exceeded.</p>');
+        } else {
+            html.push('<table><tr><th>Feature</th><th>Scenario</th><th>Exceeded</th><th>Measured</th><th>Budget</th></tr>');
+            breaches.forEach(function (item) {
+                let what = (item.type === 'page') ? (item.page || item.url) : (item.type === 'step') ? 'step "' + item.step + '"' : 'scenario';
+                let measured = (item.type === 'page') ? item.breaches.map((metric) => metric + ' ' + ms(item[metric])).join(', ') : ms(item.duration);
+                let budget = (item.type === 'page') ? item.breaches.map((metric) => metric + ' ' + ms(item.budget[metric])).join(', ') : ms(item.budget);
+                html.push('<tr><td>' + text.escapeHtml(item.feature) + '</td><td>' + text.escapeHtml(item.scenario) + '</td><td>' + text.escapeHtml(what) + '</td>' +
+                    '<td class="breach">' + text.escapeHtml(measured) + '</td><td>' + text.escapeHtml(budget) + '</td></tr>');
+            });
+            html.push('</table>');
+        }
+
+        [['Slowest steps', report.steps, budgets.step], ['Slowest scenarios', report.scenarios, budgets.scenario]].forEach(function (table) {
+            html.push('<h2>' + table[0] + '</h2>');
+            html.push('<table><tr><th>' + table[0].replace('Slowest s', 'S') + '</th><th>Runs</th><th>Average</th><th>Max</th></tr>');
+            slowest(table[1]).slice(0, TOP_ITEMS).forEach(function (group) {
+                let over = (table[2] && group.max > table[2]) ? ' class="breach"' : '';
+                html.push('<tr><td>' + text.escapeHtml(group.name) + '</td><td>' + group.count + '</td><td>' + ms(group.average) + '</td><td' + over + '>' + ms(group.max) + '</td></tr>');
+            });
+            html.push('</table>');
+        });
+        html.push('</body></html>');
+
+        fs.makeTreeSync(path.dirname(outputPath));
+        fs.writeFileSync(outputPath, html.join('\n'));
+        return outputPath;
+    }
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * profiles.js resolves a named environment profile from selenium-cucumber-js.json
+ * the top level of the config file is the base profile, each entry in "profiles" is merged over it and can "extends" another profile
+ * string values can reference environment variables as ${NAME} or ${NAME:-default}
+ */
+let merge = require('merge');
+
+/**
+ * replaces ${NAME} and ${NAME:-default} references with environment variable values, recursing into objects and arrays
+ * @param {*} value - value to interpolate
+ * @param {object} env - environment variables, defaults to process.env
+ * @returns {*} interpolated value
+ * @example
+ *      profiles.interpolate('${BASE_URL:-http://localhost:8080}');
+ */
+function interpolate(value, env) {
+    env = env || process.env;
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, function (match, name, defaultValue) {
+            if (env[name] !== undefined) return env[name];
+            if (defaultValue !== undefined) return defaultValue;
+            throw new Error('Environment variable ' + name + ' is not set and has no default (' + match + ')');
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => interpolate(item, env));
+    }
+    if (value && typeof value === 'object') {
+        let result = {};
+        Object.keys(value).forEach(function (key) {
+            result[key] = interpolate(value[key], env);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * returns the settings of a profile merged over those of the profiles it extends
+ * @param {object} profiles - the "profiles" block of the config file
+ * @param {string} name - name of the profile
+ * @param {Array} chain - names of the profiles already visited, used to detect circular inheritance
+ * @returns {object} profile settings
+ */
+function resolveProfile(profiles, name, chain) {
+    chain = chain || [];
+    if (chain.indexOf(name) !== -1) {
+        throw new Error('Circular profile inheritance: ' + chain.concat(name).join(' -> '));
+    }
+    let profile = profiles[name];
+    if (!profile) {
+        throw new Error('Unknown profile "' + name + '". Available profiles: ' + Object.keys(profiles).join(', '));
+    }
+    let parent = (profile.extends) ? resolveProfile(profiles, profile.extends, chain.concat(name)) : {};
+    let settings = merge.recursive(true, parent, profile);
+    delete settings.extends;
+    return settings;
+}
+
+module.exports = {
+
+    interpolate: interpolate,
+
+    /**
+     * reads the value of --env (or -e) from the command line arguments
+     * the profile has to be known before the other options are set up as it changes their defaults
+     * @param {Array} argv - command line arguments
+     * @returns {string} profile name or undefined
+     */
+    getProfileName: function (argv) {
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i] === '--env' || argv[i] === '-e') return argv[i + 1];
+            if (argv[i].indexOf('--env=') === 0) return argv[i].substr('--env='.length);
+        }
+        return process.env.SELENIUM_CUCUMBER_ENV;
+    },
+
+    /**
+     * resolves the config for a profile, interpolating environment variables
+     * @param {object} config - contents of the config file merged over the defaults
+     * @param {string} name - (optional) name of the profile to apply
+     * @returns {object} resolved config, with the profile name stored in "env"
+     */
+    resolve: function (config, name) {
+        let profiles = config.profiles || {};
+        let base = Object.assign({}, config);
+        delete base.profiles;
+
+        let resolved = (name) ? merge.recursive(true, base, resolveProfile(profiles, name)) : base;
+        resolved.env = name || resolved.env;
+        return interpolate(resolved);
+    }
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * reporters.js writes the optional reports listed in the reporters setting of selenium-cucumber-js.json
+ * built-in reporters are tap, markdown and trend, any other entry is the path of a module exporting a reporter function
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let retry = require('./retry');
+let trendReport = require('./trend-report');
+
+/**
+ * returns the error message of the first failed step (or hook) of a scenario
+ * @param {object} element - cucumber json scenario
+ * @returns {string} error message or undefined if no step failed
+ */
+function firstError(element) {
+    let failed = (element.steps || []).find((step) => step.result && step.result.status === 'failed');
+    return (failed) ? String(failed.result.error_message || 'failed') : undefined;
+}
+
+/**
+ * lists the scenarios of the final attempt along with their summary and error
+ * @param {object} run - the run being reported (see generate)
+ * @returns {Array} list of {scenario, error} in the order of the summary
+ */
+function scenarioErrors(run) {
+    let errors = [];
+    retry.finalAttempts(run.features).forEach(function (feature) {
+        (feature.elements || []).forEach(function (element) {
+            errors.push(firstError(element));
+        });
+    });
+    return run.summary.scenarios.map((scenario, index) => ({scenario: scenario, error: errors[index]}));
+}
+
+/**
+ * formats a duration in milliseconds for people, for example 1m 5.2s
+ * @param {number} duration - milliseconds
+ * @returns {string} formatted duration
+ */
+function formatDuration(duration) {
+    let seconds = duration / 1000;
+    if (seconds < 60) return seconds.toFixed(1) + 's';
+    return Math.floor(seconds / 60) + 'm ' + (seconds % 60).toFixed(1) + 's';
+}
+
+/**
+ * writes a TAP version 13 report with a test point per scenario, failures include the error as YAML diagnostics
+ * @param {object} run - the run being reported (see generate)
+ * @returns {string} path of the report
+ */
+function tap(run) {
+    let items = scenarioErrors(run);
+    let lines = ['TAP version 13', '1..' + items.length];
+
+    items.forEach(function (item, index) {
+        let scenario = item.scenario;
+        let description = (scenario.feature + ': ' + scenario.name).replace(/#/g, '\\#');
+        let point = index + 1;
+
+        if (scenario.status === 'passed') {
+            lines.push('ok ' + point + ' - ' + description + ((scenario.flaky) ? ' # flaky, passed on attempt ' + scenario.attempts : ''));
+        } else if (scenario.status === 'skipped') {
+            lines.push('ok ' + point + ' - ' + description + ' # SKIP');
+        } else if (scenario.status === 'pending') {
+            lines.push('not ok ' + point + ' - ' + description + ' # TODO pending');
+        } else {
+            lines.push('not ok ' + point + ' - ' + description);
+            lines.push('  ---');
+            lines.push('  status: ' + scenario.status);
+            lines.push('  at: ' + scenario.uri + ':' + scenario.line);
+            if (item.error) {
+                lines.push('  message: |');
+                item.error.split('\n').forEach((line) => lines.push('    ' + line));
+            }
+            lines.push('  ...');
+        }
+    });
+
+    let outputPath = path.resolve(run.reportsPath, 'cucumber-report.tap');
+    fs.writeFileSync(outputPath, lines.join('\n') + '\n');
+    return outputPath;
+}
+
+/**
+ * writes a compact Markdown summary of the run, short enough to post as a pull request comment
+ * @param {object} run - the run being reported (see generate)
+ * @returns {string} path of the report
+ */
+function markdown(run) {
+    let counts = run.summary.counts.scenarios;
+    let items = scenarioErrors(run);
+    let failed = items.filter((item) => ['passed', 'skipped'].indexOf(item.scenario.status) === -1);
+    let flaky = items.filter((item) => item.scenario.flaky);
+    let statuses = ['passed', 'failed', 'skipped', 'pending', 'undefined', 'ambiguous'].filter((status) => counts[status] > 0);
+
+    let lines = [
+        '### ' + ((failed.length === 0) ? ':white_check_mark:' : ':x:') + ' ' + counts.passed + ' of ' + counts.total + ' scenarios passed',
+        '',
+        '| ' + statuses.join(' | ') + ' | duration |',
+        '|' + statuses.map(() => ' ---: |').join('') + ' ---: |',
+        '| ' + statuses.map((status) => counts[status]).join(' | ') + ' | ' + formatDuration(run.duration) + ' |'
+    ];
+
+    if (failed.length > 0) {
+        lines.push('', '**Failed**', '');
+        failed.forEach(function (item) {
+            let error = (item.error || item.scenario.status).split('\n')[0];
+            lines.push('- **' + item.scenario.feature + ': ' + item.scenario.name + '** (`' + item.scenario.uri + ':' + item.scenario.line + '`) ' + item.scenario.status);
+            lines.push('  `' + error.replace(/`/g, '\'').substring(0, 200) + '`');
+        });
+    }
+
+    if (flaky.length > 0) {
+        lines.push('', '**Flaky** (passed on retry)', '');
+        flaky.forEach(function (item) {
+            lines.push('- ' + item.scenario.feature + ': ' + item.scenario.name + ' (attempt ' + item.scenario.attempts + ')');
+        });
+    }
+
+    let outputPath = path.resolve(run.reportsPath, 'cucumber-report.md');
+    fs.writeFileSync(outputPath, lines.join('\n') + '\n');
+    return outputPath;
+}
+
+// reporters that can be listed by name
+const BUILT_IN = {
+    tap: tap,
+    markdown: markdown,
+    trend: trendReport.write
+};
+
+module.exports = {
+
+    NAMES: Object.keys(BUILT_IN),
+
+    /**
+     * runs each of the reporters, an error thrown by a reporter is logged rather than failing the run
+     * a custom reporter is a module exporting a function that is called with the run and returns the path of the report it wrote
+     * @param {Array} names - built-in reporter names or paths of reporter modules (relative to the working directory)
+     * @param {object} run - the run being reported
+     * @param {Array} run.features - cucumber json features, including every attempt of a retried scenario
+     * @param {object} run.summary - summary of the final attempts (see reports.summarise)
+     * @param {number} run.duration - duration of the run in milliseconds
+     * @param {string} run.reportsPath - folder to save the reports in
+     * @returns {object} paths of the reports written keyed by reporter name, for example {tap: 'reports/cucumber-report.tap'}
+     * @example
+     *      // ./reporters/slack.js
+     *      module.exports = function (run) {
+     *          let outputPath = path.resolve(run.reportsPath, 'slack.json');
+     *          fs.writeFileSync(outputPath, JSON.stringify({text: run.summary.counts.scenarios.failed + ' failed'}));
+     *          return outputPath;
+     *      };
+     */
+    generate: function (names, run) {
+        let written = {};
+        (names || []).forEach(function (name) {
+            let key = (BUILT_IN[name]) ? name : path.basename(name, '.js');
+            try {
+                let reporter = BUILT_IN[name] || require(path.resolve(name));
+                let outputPath = reporter(run);
+                if (outputPath) {
+                    written[key] = outputPath;
+                    console.log('Report ' + outputPath + ' generated successfully.');
+                }
+            } catch (err) {
+                console.error('Error in the ' + name + ' reporter: ' + err.stack);
+            }
+        });
+        return written;
+    }
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * reports.js turns the cucumber json output into the HTML and JUnit reports
+ * it is used by world.js at the end of a run and by the parallel runner once every worker has finished
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let reporter = require('cucumber-html-reporter');
+let cucumberJunit = require('cucumber-junit');
+let retry = require('./retry');
+let accessibility = require('./accessibility');
+let performanceMetrics = require('./performance-metrics');
+let reporters = require('./reporters');
+
+// step statuses from best to worst, a scenario takes the worst status of its steps and hooks
+const STATUSES = ['passed', 'skipped', 'pending', 'undefined', 'ambiguous', 'failed'];
+
+/**
+ * returns a count of zero for every status
+ * @returns {object} {total, passed, skipped, pending, undefined, ambiguous, failed}
+ */
+function emptyCounts() {
+    let counts = {total: 0};
+    STATUSES.forEach(function (status) {
+        counts[status] = 0;
+    });
+    return counts;
+}
+
+module.exports = {
+
+    STATUSES: STATUSES,
+
+    /**
+     * returns the worst of a list of step statuses
+     * @param {Array} statuses - lower case step statuses, for example ['passed', 'failed']
+     * @returns {string} worst status, passed if the list is empty
+     */
+    worstStatus: function (statuses) {
+        return statuses.reduce(function (worst, status) {
+            return (STATUSES.indexOf(status) > STATUSES.indexOf(worst)) ? status : worst;
+        }, 'passed');
+    },
+
+    /**
+     * reads the json reports written by each worker into a single list of features, removing the worker reports
+     * @param {Array} jsonFiles - list of cucumber json report files to read
+     * @returns {Array} the combined list of features
+     * @example
+     *      reports.read(['reports/cucumber-report-1.json', 'reports/cucumber-report-2.json']);
+     */
+    read: function (jsonFiles) {
+        let features = [];
+        jsonFiles.forEach(function (jsonFile) {
+            if (!fs.isFileSync(jsonFile)) return;
+            let raw = fs.readFileSync(jsonFile).toString().trim();
+            if (raw.length > 0) {
+                features = features.concat(JSON.parse(raw));
+            }
+            fs.removeSync(jsonFile);
+        });
+        return features;
+    },
+
+    /**
+     * writes a list of features as a cucumber json report
+     * @param {Array} features - cucumber json features
+     * @param {string} outputPath - path of the json report
+     * @returns {void}
+     */
+    write: function (features, outputPath) {
+        fs.writeFileSync(outputPath, JSON.stringify(features, null, 2));
+    },
+
+    /**
+     * summarises a cucumber json report, only the final attempt of a retried scenario is included
+     * @param {Array} features - cucumber json features
+     * @returns {object} {counts: {scenarios, steps}, scenarios} where scenarios lists the feature, name, uri, line, tags,
+     * status, duration (in milliseconds), attempts and flaky flag of every scenario
+     * @example
+     *      reports.summarise(JSON.parse(fs.readFileSync('reports/cucumber-report.json')));
+     */
+    summarise: function (features) {
+        let self = this;
+        let counts = {scenarios: emptyCounts(), steps: emptyCounts()};
+        let scenarios = [];
+
+        retry.finalAttempts(features).forEach(function (feature) {
+            (feature.elements || []).forEach(function (element) {
+                let steps = element.steps || [];
+                let status = self.worstStatus(steps.map((step) => (step.result && step.result.status) || 'skipped'));
+                let duration = steps.reduce((total, step) => total + ((step.result && step.result.duration) || 0), 0);
+
+                // hooks are reported as hidden steps, they count towards the status of the scenario but not the step totals
+                steps.filter((step) => !step.hidden).forEach(function (step) {
+                    let stepStatus = (step.result && step.result.status) || 'skipped';
+                    counts.steps.total++;
+                    counts.steps[stepStatus] = (counts.steps[stepStatus] || 0) + 1;
+                });
+                counts.scenarios.total++;
+                counts.scenarios[status]++;
+
+                scenarios.push({
+                    feature: feature.name,
+                    name: element.name.replace(/ \(attempt \d+ of \d+(, flaky|, failed)?\)$/, ''),
+                    uri: feature.uri,
+                    line: element.line,
+                    tags: (element.tags || []).map((tag) => tag.name),
+                    status: status,
+                    duration: Math.round(duration / 1e6),
+                    attempts: element.attempt || 1,
+                    flaky: element.flaky === true
+                });
+            });
+        });
+        return {counts: counts, scenarios: scenarios};
+    },
+
+    /**
+     * generates cucumber-report.html, junit-report.xml, (if the run made any audits) accessibility-report.html,
+     * performance-report.html and the reports of any other reporters from a cucumber json report
+     * @param {object} options - report options
+     * @param {string} options.jsonFile - path to the cucumber json report
+     * @param {string} options.reportsPath - folder to save the HTML report in
+     * @param {string} options.junitPath - folder to save the JUnit report in
+     * @param {boolean} options.launchReport - open the HTML report in a browser once generated
+     * @param {Array} options.reporters - (optional) names of the other reporters to run, for example ['tap', 'trend'] (see reporters.js)
+     * @param {number} options.duration - (optional) duration of the run in milliseconds, used by the other reporters
+     * @returns {object} paths of the reports generated {json, html, junit, accessibility, performance} along with those of the other reporters
+     */
+    generate: function (options) {
+        if (!options.reportsPath || !fs.existsSync(options.reportsPath)) return {json: options.jsonFile};
+
+        // generate the HTML report
+        reporter.generate({
+            theme: 'bootstrap',
+            jsonFile: options.jsonFile,
+            output: path.resolve(options.reportsPath, 'cucumber-report.html'),
+            reportSuiteAsScenarios: true,
+            launchReport: options.launchReport,
+            ignoreBadJsonFile: true
+        });
+
+        // grab the file data, only the final attempt of a retried scenario counts towards the junit results
+        let features = JSON.parse(fs.readFileSync(options.jsonFile).toString().trim() || '[]');
+        let xmlReport = cucumberJunit(JSON.stringify(retry.finalAttempts(features)));
+        let junitFile = path.resolve(options.junitPath, 'junit-report.xml');
+        fs.writeFileSync(junitFile, xmlReport);
+
+        // summarise the accessibility audits of every scenario
+        let summaryPath = accessibility.writeSummary(features, path.resolve(options.reportsPath, 'accessibility-report.html'));
+        if (summaryPath) {
+            console.log('Accessibility summary ' + summaryPath + ' generated successfully.');
+        }
+
+        // summarise the page load timings and the slowest steps and scenarios
+        let performancePath = performanceMetrics.writeSummary(features, path.resolve(options.reportsPath, 'performance-report.html'));
+        if (performancePath) {
+            console.log('Performance summary ' + performancePath + ' generated successfully.');
+        }
+
+        let written = reporters.generate(options.reporters, {
+            features: features,
+            summary: this.summarise(features),
+            duration: options.duration || 0,
+            reportsPath: options.reportsPath
+        });
+
+        return Object.assign({
+            json: options.jsonFile,
+            html: path.resolve(options.reportsPath, 'cucumber-report.html'),
+            junit: junitFile,
+            accessibility: summaryPath || undefined,
+            performance: performancePath || undefined
+        }, written);
+    }
+};
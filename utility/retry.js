@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * retry.js works out which scenarios to rerun after an attempt and combines the json reports of every attempt
+ * scenarios that fail at first but pass on a later attempt are marked as flaky
+ */
+
+/**
+ * returns a key identifying a scenario across attempts
+ * @param {object} feature - cucumber json feature
+ * @param {object} scenario - cucumber json scenario
+ * @returns {string} scenario key
+ */
+function scenarioKey(feature, scenario) {
+    return feature.uri + ':' + scenario.line + ':' + scenario.name;
+}
+
+/**
+ * returns true if any step (or hook) of the scenario failed
+ * @param {object} scenario - cucumber json scenario
+ * @returns {boolean} true if the scenario failed
+ */
+function isFailed(scenario) {
+    return (scenario.steps || []).some(function (step) {
+        return step.result && step.result.status === 'failed';
+    });
+}
+
+/**
+ * returns true if the scenario, or its feature, is tagged with tagName
+ * @param {object} feature - cucumber json feature
+ * @param {object} scenario - cucumber json scenario
+ * @param {string} tagName - tag to look for, for example @flaky
+ * @returns {boolean} true if tagged
+ */
+function hasTag(feature, scenario, tagName) {
+    return (feature.tags || []).concat(scenario.tags || []).some(function (tag) {
+        return tag.name === tagName;
+    });
+}
+
+/**
+ * calls fn for every scenario in a list of cucumber json features
+ * @param {Array} features - cucumber json features
+ * @param {function} fn - called with (feature, scenario)
+ * @returns {void}
+ */
+function eachScenario(features, fn) {
+    features.forEach(function (feature) {
+        (feature.elements || []).forEach(function (scenario) {
+            fn(feature, scenario);
+        });
+    });
+}
+
+module.exports = {
+
+    /**
+     * returns the failed scenarios of an attempt as a list of feature file paths with line numbers
+     * @param {Array} features - cucumber json features of the attempt
+     * @param {string} tagName - (optional) only return failed scenarios with this tag
+     * @returns {Array} list of paths in the form /path/to/file.feature:line
+     * @example
+     *      retry.failedScenarios(features, '@flaky');
+     */
+    failedScenarios: function (features, tagName) {
+        let paths = [];
+        eachScenario(features, function (feature, scenario) {
+            if (!isFailed(scenario)) return;
+            if (tagName && !hasTag(feature, scenario, tagName)) return;
+            let scenarioPath = feature.uri + ':' + scenario.line;
+            if (paths.indexOf(scenarioPath) === -1) {
+                paths.push(scenarioPath);
+            }
+        });
+        return paths;
+    },
+
+    /**
+     * returns true if any scenario has undefined or pending steps, which rerunning will not fix
+     * @param {Array} features - cucumber json features of the attempt
+     * @returns {boolean} true if steps are undefined or pending
+     */
+    hasIncompleteSteps: function (features) {
+        let incomplete = false;
+        eachScenario(features, function (feature, scenario) {
+            incomplete = incomplete || (scenario.steps || []).some(function (step) {
+                return step.result && (step.result.status === 'undefined' || step.result.status === 'pending');
+            });
+        });
+        return incomplete;
+    },
+
+    /**
+     * combines the json reports of every attempt into a single list of features
+     * retried scenarios record their attempt number, the earlier attempts are named as failed and the final attempt of
+     * those that passed on retry is flagged and tagged as @flaky
+     * @param {Array} attempts - list of cucumber json features, one per attempt
+     * @returns {Array} combined cucumber json features
+     */
+    combine: function (attempts) {
+        let passed = {};
+        let attemptCount = {};
+
+        // the last attempt a scenario appears in decides its final status
+        attempts.forEach(function (features) {
+            let attemptPassed = {};
+            eachScenario(features, function (feature, scenario) {
+                let key = scenarioKey(feature, scenario);
+                attemptPassed[key] = (attemptPassed[key] !== false) && !isFailed(scenario);
+            });
+            Object.keys(attemptPassed).forEach(function (key) {
+                passed[key] = attemptPassed[key];
+                attemptCount[key] = (attemptCount[key] || 0) + 1;
+            });
+        });
+
+        let combined = [];
+        let featuresByUri = {};
+        let attemptNumber = {};
+
+        attempts.forEach(function (features) {
+            features.forEach(function (feature) {
+                let combinedFeature = featuresByUri[feature.uri];
+                if (!combinedFeature) {
+                    combinedFeature = Object.assign({}, feature, {elements: []});
+                    featuresByUri[feature.uri] = combinedFeature;
+                    combined.push(combinedFeature);
+                }
+
+                let seen = {};
+                (feature.elements || []).forEach(function (scenario) {
+                    let key = scenarioKey(feature, scenario);
+                    let element = Object.assign({}, scenario);
+
+                    // scenario outline examples share a key, so count each key once per attempt
+                    if (!seen[key]) {
+                        seen[key] = true;
+                        attemptNumber[key] = (attemptNumber[key] || 0) + 1;
+                    }
+
+                    // only the final attempt of a scenario that passed on retry is flaky, the attempts before it failed
+                    if (attemptCount[key] > 1) {
+                        let isFinal = attemptNumber[key] === attemptCount[key];
+                        element.attempt = attemptNumber[key];
+                        element.flaky = isFinal && passed[key];
+                        element.name = scenario.name + ' (attempt ' + element.attempt + ' of ' + attemptCount[key] +
+                            (element.flaky ? ', flaky' : '') + ((!isFinal && isFailed(scenario)) ? ', failed' : '') + ')';
+                        if (element.flaky && !hasTag(feature, scenario, '@flaky')) {
+                            element.tags = (scenario.tags || []).concat([{name: '@flaky', line: scenario.line}]);
+                        }
+                    }
+                    combinedFeature.elements.push(element);
+                });
+            });
+        });
+
+        return combined;
+    },
+
+    /**
+     * removes all but the last attempt of each retried scenario, so reports do not count failures that passed on retry
+     * the id of a flaky scenario is suffixed with ";flaky" so it stands out in reports keyed by id (such as junit)
+     * @param {Array} features - combined cucumber json features
+     * @returns {Array} cucumber json features containing the last attempt of each scenario
+     */
+    finalAttempts: function (features) {
+        let lastAttempt = {};
+        eachScenario(features, function (feature, scenario) {
+            let key = feature.uri + ':' + scenario.id;
+            lastAttempt[key] = Math.max(lastAttempt[key] || 0, scenario.attempt || 0);
+        });
+        return features.map(function (feature) {
+            return Object.assign({}, feature, {
+                elements: (feature.elements || []).filter(function (scenario) {
+                    return (scenario.attempt || 0) === lastAttempt[feature.uri + ':' + scenario.id];
+                }).map(function (scenario) {
+                    return (scenario.flaky) ? Object.assign({}, scenario, {id: scenario.id + ';flaky'}) : scenario;
+                })
+            });
+        });
+    }
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * run-events.js turns the messages cucumber emits while it runs into the events of the programmatic api
+ * (onScenarioStart, onScenarioEnd and onStepEnd), an error thrown by an event hook is logged rather than failing the run
+ */
+let reports = require('./reports');
+let legacySupport = require('./legacy-support');
+let secrets = require('./secrets');
+
+// names of the event hooks accepted by run()
+const EVENTS = ['onScenarioStart', 'onScenarioEnd', 'onStepEnd'];
+
+/**
+ * converts a cucumber timestamp or duration into milliseconds
+ * @param {object} time - {seconds, nanos}
+ * @returns {number} milliseconds
+ */
+function toMilliseconds(time) {
+    return (time) ? time.seconds * 1000 + time.nanos / 1e6 : 0;
+}
+
+/**
+ * calls an event hook, if one was given
+ * @param {object} hooks - event hooks passed to run()
+ * @param {string} event - name of the event, for example onScenarioEnd
+ * @param {object} data - scenario or step the event is about
+ * @returns {void}
+ */
+function notify(hooks, event, data) {
+    if (typeof hooks[event] !== 'function') return;
+    try {
+        hooks[event](data);
+    } catch (err) {
+        console.error('Error in the ' + event + ' hook: ' + err.stack);
+    }
+}
+
+module.exports = {
+
+    EVENTS: EVENTS,
+
+    notify: notify,
+
+    /**
+     * creates a listener for the messages of a cucumber run that calls the event hooks as scenarios and steps finish
+     * @param {object} hooks - {onScenarioStart, onScenarioEnd, onStepEnd}, each optional
+     * @returns {function} called with every message (envelope) cucumber emits
+     * @example
+     *      cucumber.runCucumber(runConfiguration, {}, runEvents.createListener({onScenarioEnd: (scenario) => console.log(scenario.status)}));
+     */
+    createListener: function (hooks) {
+        let documents = {};
+        let pickles = {};
+        let testCases = {};
+        let running = {};
+
+        return function (envelope) {
+            if (envelope.gherkinDocument) {
+                documents[envelope.gherkinDocument.uri] = envelope.gherkinDocument;
+            } else if (envelope.pickle) {
+                pickles[envelope.pickle.id] = envelope.pickle;
+            } else if (envelope.testCase) {
+                testCases[envelope.testCase.id] = envelope.testCase;
+            } else if (envelope.testCaseStarted) {
+                let testCase = testCases[envelope.testCaseStarted.testCaseId];
+                let pickle = pickles[testCase.pickleId];
+                let gherkinDocument = documents[pickle.uri];
+                let node = legacySupport.findNode(gherkinDocument, pickle.astNodeIds[0]);
+                let scenario = {
+                    feature: (gherkinDocument && gherkinDocument.feature) ? gherkinDocument.feature.name : '',
+                    name: pickle.name,
+                    uri: pickle.uri,
+                    line: (node) ? node.location.line : undefined,
+                    tags: pickle.tags.map((tag) => tag.name),
+                    attempt: envelope.testCaseStarted.attempt + 1
+                };
+                running[envelope.testCaseStarted.id] = {
+                    scenario: scenario,
+                    testCase: testCase,
+                    pickle: pickle,
+                    startedAt: toMilliseconds(envelope.testCaseStarted.timestamp),
+                    statuses: []
+                };
+                notify(hooks, 'onScenarioStart', Object.assign({}, scenario));
+            } else if (envelope.testStepFinished) {
+                let current = running[envelope.testStepFinished.testCaseStartedId];
+                if (!current) return;
+                let result = envelope.testStepFinished.testStepResult;
+                let status = result.status.toLowerCase();
+                current.statuses.push(status);
+
+                // hooks count towards the status of the scenario but are not reported as steps
+                let testStep = current.testCase.testSteps.find((step) => step.id === envelope.testStepFinished.testStepId);
+                let pickleStep = testStep && testStep.pickleStepId && current.pickle.steps.find((step) => step.id === testStep.pickleStepId);
+                if (!pickleStep) return;
+                let node = legacySupport.findNode(documents[current.pickle.uri], pickleStep.astNodeIds[0]);
+                notify(hooks, 'onStepEnd', {
+                    scenario: current.scenario.name,
+                    uri: current.scenario.uri,
+                    keyword: (node) ? node.keyword.trim() : '',
+                    text: pickleStep.text,
+                    status: status,
+                    duration: Math.round(toMilliseconds(result.duration)),
+                    error: secrets.mask(result.message) || undefined
+                });
+            } else if (envelope.testCaseFinished) {
+                let current = running[envelope.testCaseFinished.testCaseStartedId];
+                if (!current) return;
+                delete running[envelope.testCaseFinished.testCaseStartedId];
+                notify(hooks, 'onScenarioEnd', Object.assign({}, current.scenario, {
+                    status: reports.worstStatus(current.statuses),
+                    duration: Math.round(toMilliseconds(envelope.testCaseFinished.timestamp) - current.startedAt)
+                }));
+            }
+        };
+    }
+};
@@ -0,0 +1,511 @@
+'use strict';
+
+/**
+ * runner.js runs the feature files and is the programmatic api of selenium-cucumber-js, index.js is a thin command line wrapper around it
+ * settings come from the defaults, selenium-cucumber-js.json, the selected profile and the options of the run, in that order
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let stream = require('stream');
+let cucumber = require('@cucumber/cucumber/api');
+let parallel = require('./parallel');
+let reports = require('./reports');
+let retry = require('./retry');
+let profiles = require('./profiles');
+let configSchema = require('./config-schema');
+let legacySupport = require('./legacy-support');
+let runEvents = require('./run-events');
+let stepUsage = require('./step-usage');
+let scaffold = require('./scaffold');
+let outlineExamples = require('./outline-examples');
+let secrets = require('./secrets');
+
+// default settings, overridden by selenium-cucumber-js.json
+const DEFAULTS = {
+    steps: './src/step-definitions',
+    pageObjects: './src/page-objects',
+    sharedObjects: './src/shared-objects',
+    featureFiles: './src/features',
+    reports: './reports',
+    browser: 'chrome',
+    reStart: false,
+    browserTeardownStrategy: 'always',
+    timeout: 15000,
+    parallel: 1,
+    retry: 0,
+    screenshots: 'failure',
+    baselines: './visual-baselines',
+    accessibilityImpact: 'serious',
+    performanceBreach: 'warn'
+};
+
+// options of a run that are not settings of selenium-cucumber-js.json
+const RUN_OPTIONS = ['configFile', 'tags', 'format', 'junit', 'launchReport', 'dryRun', 'usage', 'scaffold'].concat(runEvents.EVENTS);
+
+// modules of the framework that register support code, world.js also loads the project step definitions
+const SUPPORT_MODULES = [path.resolve(__dirname, '../Drivers/world.js'), path.resolve(__dirname, 'generic-steps.js')];
+
+// the support code (world.js and the step definitions) loaded by the first run is reused by later runs of the same process,
+// node caches the modules so requiring them again would not define the steps a second time
+let supportCode = null;
+
+// the settings the support code was loaded with (see supportSettings) and the project folders it was loaded from
+let supportKey = null;
+let supportFolders = [];
+
+/**
+ * converts a value or a list of values, which may contain lists, into a flat list
+ * @param {*} value - value, list or undefined
+ * @returns {Array} list of values
+ */
+function toList(value) {
+    return [].concat((value === undefined || value === null) ? [] : value).reduce((list, item) => list.concat(item), []);
+}
+
+/**
+ * converts a window size such as 1280x1024 into {width, height}
+ * @param {string} value - window size
+ * @returns {object} {width, height} or undefined if not set
+ */
+function parseWindowSize(value) {
+    let match = /^(\d+)x(\d+)$/i.exec(String(value || '').trim());
+    if (!match) return undefined;
+    return {width: parseInt(match[1]), height: parseInt(match[2])};
+}
+
+/**
+ * loads the settings of a run from the defaults, the config file and the selected profile
+ * @param {string} profileName - (optional) name of the profile to apply
+ * @param {string|boolean} configFile - (optional) path of the config file, defaults to ./selenium-cucumber-js.json. false to not use one
+ * @returns {object} {config, errors} where errors lists the problems found in the config file
+ */
+function loadConfig(profileName, configFile) {
+    let config = Object.assign({}, DEFAULTS);
+    let errors = [];
+    let configFileName = path.resolve(process.cwd(), configFile || 'selenium-cucumber-js.json');
+
+    if (configFile !== false && fs.isFileSync(configFileName)) {
+        try {
+            let fileConfig = JSON.parse(fs.readFileSync(configFileName).toString());
+            errors = errors.concat(configSchema.validateFile(fileConfig));
+            config = Object.assign(config, fileConfig);
+        } catch (err) {
+            errors.push('Unable to read ' + configFileName + ': ' + err.message);
+        }
+    } else if (configFile) {
+        errors.push('Unable to read ' + configFileName + ': file not found');
+    }
+
+    // apply the environment profile, this changes the defaults of the options
+    try {
+        config = profiles.resolve(config, profileName);
+    } catch (err) {
+        errors.push(err.message);
+    }
+    return {config: config, errors: errors};
+}
+
+/**
+ * merges the options of a run over its config and checks the result
+ * @param {object} options - options passed to run()
+ * @returns {object} resolved settings, without the event hooks
+ * @throws {Error} listing every problem found if the settings are invalid
+ */
+function resolveSettings(options) {
+    let profileName = (options.env !== undefined) ? options.env : process.env.SELENIUM_CUCUMBER_ENV;
+    let loaded = loadConfig(profileName, options.configFile);
+    let settings = Object.assign({}, loaded.config);
+
+    Object.keys(options).forEach(function (key) {
+        if (options[key] !== undefined && runEvents.EVENTS.indexOf(key) === -1) {
+            settings[key] = options[key];
+        }
+    });
+
+    // lists can be given as arrays, world parameters as an object
+    if (Array.isArray(settings.featureFiles)) {
+        settings.featureFiles = settings.featureFiles.join(',');
+    }
+    if (settings.worldParameters && typeof settings.worldParameters === 'object') {
+        settings.worldParameters = JSON.stringify(settings.worldParameters);
+    }
+
+    // secret:NAME references of the config file and options are replaced by their values, which are masked from then on
+    let secretErrors = [];
+    try {
+        secrets.resolve(settings, settings.secretsFile);
+    } catch (err) {
+        secretErrors = err.message.split('\n');
+    }
+
+    let errors = loaded.errors.concat(
+        secretErrors,
+        configSchema.validateRunOptions(options, RUN_OPTIONS),
+        configSchema.validateOptions(settings, {})
+    );
+    if (errors.length > 0) {
+        let err = new Error('Invalid configuration:\n  - ' + errors.join('\n  - '));
+        err.errors = errors;
+        throw err;
+    }
+
+    settings.sharedObjects = toList(settings.sharedObjects);
+    settings.tags = toList(settings.tags);
+    settings.format = toList(settings.format);
+    settings.reporters = toList(settings.reporters);
+    return settings;
+}
+
+/**
+ * publishes the settings of a run as the global variables read by world.js and the utilities
+ * @param {object} settings - resolved settings
+ * @returns {void}
+ */
+function applyGlobals(settings) {
+
+    // expose the resolved config (including any custom settings of the selected profile) to step definitions
+    global.config = Object.assign({}, settings);
+
+    // store browserName globally (used within world.js to build driver)
+    global.browserName = settings.browser;
+    global.browserTeardownStrategy = settings.browserTeardownStrategy;
+
+    // used within world.js to build sessions on a selenium grid and override the default driver capabilities
+    global.remoteUrl = settings.remoteUrl;
+    global.capabilities = settings.capabilities || {};
+
+    // used within world.js to configure the built-in chrome/firefox drivers
+    global.headless = (settings.headless);
+    global.windowSize = parseWindowSize(settings.windowSize);
+    global.browserOptions = settings.browserOptions || {};
+
+    // store Eyes Api globally (used within world.js to set Eyes)
+    global.eyesKey = settings.eye_key;
+
+    // used within world.js to import page objects and step definitions
+    global.pageObjectPath = path.resolve(settings.pageObjects);
+    global.stepsPath = path.resolve(settings.steps);
+
+    // used within world.js to output reports
+    global.reportsPath = path.resolve(settings.reports);
+    if (!fs.existsSync(global.reportsPath)) {
+        fs.makeTreeSync(global.reportsPath);
+    }
+
+    // used with world.js to determine when screenshots and which other artifacts should be captured
+    global.screenshots = settings.screenshots;
+    global.filmstrip = (settings.filmstrip);
+    global.noPageSource = (settings.noPageSource);
+    global.noConsoleLog = (settings.noConsoleLog);
+    global.noUrl = (settings.noUrl);
+    global.noWindowSize = (settings.noWindowSize);
+
+    // used with world.js to decide if the objects of the World are also published as global variables
+    global.noGlobals = (settings.noGlobals);
+
+    // used by helpers.compareScreenshot to find and update the visual regression baselines
+    global.baselinesPath = path.resolve(settings.baselines);
+    global.updateBaselines = (settings.updateBaselines);
+
+    // used by helpers.checkAccessibility to decide which violations fail the step
+    global.accessibilityImpact = settings.accessibilityImpact;
+
+    // used by helpers.loadPage and world.js to check page loads, steps and scenarios against the performance budgets
+    global.performanceBudgets = settings.performanceBudgets || {};
+    global.performanceBreach = settings.performanceBreach;
+
+    // used within world.js to start the network mocking proxy and configure the browser to use it
+    global.fixturesPath = (settings.fixtures) ? path.resolve(settings.fixtures) : null;
+    global.har = (settings.har);
+    global.mockNetwork = (settings.mockNetwork || global.har || global.fixturesPath);
+
+    // used to output junit reports
+    global.junitPath = path.resolve(settings.junit || settings.reports);
+
+    // set when this process is a worker started by a parallel run (see utility/parallel.js)
+    global.workerId = process.env[parallel.WORKER_ENV];
+
+    // workers write their own json report which the parent merges once all workers have finished
+    global.cucumberReportPath = (global.workerId)
+        ? parallel.workerReportPath(global.reportsPath, global.workerId)
+        : path.resolve(global.reportsPath, 'cucumber-report.json');
+
+    // used within world.js to set the default step timeout, 10 seconds unless passed as an option
+    global.DEFAULT_TIMEOUT = settings.timeout || 10 * 1000;
+
+    // used within world.js to import shared objects into the shared namespace
+    global.sharedObjectPaths = settings.sharedObjects.map(function (item) {
+        return path.resolve(item);
+    });
+}
+
+/**
+ * lists the folders of the project's step definitions, page objects and shared objects
+ * @returns {Array} absolute paths of the folders
+ */
+function projectFolders() {
+    return [global.stepsPath, global.pageObjectPath].concat(global.sharedObjectPaths || []).filter(Boolean);
+}
+
+/**
+ * lists the settings world.js reads as it is loaded, a run with different values needs the support code loaded again
+ * @param {object} settings - resolved settings
+ * @returns {string} the settings as json
+ */
+function supportSettings(settings) {
+    return JSON.stringify([
+        global.DEFAULT_TIMEOUT, global.browserTeardownStrategy, global.screenshots, !!global.mockNetwork,
+        !!global.performanceBudgets.step, !!global.performanceBudgets.scenario, !!settings.genericSteps,
+        global.stepsPath, global.pageObjectPath, global.sharedObjectPaths
+    ]);
+}
+
+/**
+ * forgets the support code loaded by an earlier run, removing world.js and the project's step definitions, page objects and
+ * shared objects from the require cache so the next run requires them again
+ * @returns {void}
+ */
+function reloadSupportCode() {
+    let folders = supportFolders.concat(projectFolders());
+    Object.keys(require.cache).forEach(function (modulePath) {
+        let inFolder = folders.some((folder) => modulePath.indexOf(folder + path.sep) === 0);
+        if (SUPPORT_MODULES.indexOf(modulePath) !== -1 || inFolder) {
+            delete require.cache[modulePath];
+        }
+    });
+    supportCode = null;
+}
+
+/**
+ * runs the feature files with cucumber in this process
+ * @param {object} settings - resolved settings
+ * @param {object} hooks - event hooks passed to run()
+ * @param {function} collect - (optional) dry run only, called with every message cucumber emits
+ * @returns {Promise} resolves with true if every scenario passed
+ */
+function runFeatures(settings, hooks, collect) {
+
+    // the world is required first as it sets up the globals, the project step definitions are loaded by it (see utility/legacy-support.js)
+    let supportFiles = [path.resolve(__dirname, '../Drivers/world.js')];
+
+    // add the built-in generic steps
+    if (settings.genericSteps) {
+        supportFiles.push(path.resolve(__dirname, 'generic-steps.js'));
+    }
+
+    // scenario outlines with their examples in a file are run from a copy with the rows filled in
+    let featurePaths = outlineExamples.prepare(settings.featureFiles.split(','), {
+        outputPath: path.resolve(global.reportsPath, 'outline-examples'),
+        env: settings.env,
+        dataPaths: global.sharedObjectPaths
+    });
+
+    let runOptions = {
+        paths: featurePaths,
+        require: supportFiles,
+        format: ['pretty', 'json:' + global.cucumberReportPath].concat(settings.format),
+        tags: legacySupport.toTagExpression(settings.tags),
+        worldParameters: (settings.worldParameters) ? JSON.parse(settings.worldParameters) : {},
+        strict: true
+    };
+    let eventListener = runEvents.createListener(hooks);
+    let listener = eventListener;
+
+    // secrets are masked in the console output of the formatters
+    let environment = {stdout: secrets.maskingStream(process.stdout), stderr: secrets.maskingStream(process.stderr)};
+
+    // a dry run matches the steps without running any hooks or steps (so no browser is started) and leaves the reports alone,
+    // the results are reported from the messages rather than by a formatter
+    if (collect) {
+        runOptions.dryRun = true;
+        runOptions.format = settings.format;
+        environment.stdout = new stream.Writable({write: (chunk, encoding, callback) => callback()});
+        listener = function (envelope) {
+            collect(envelope);
+            eventListener(envelope);
+        };
+    }
+
+    // world.js decides which hooks to register and how long steps may take as it is loaded, so it is loaded again when those settings change
+    let key = supportSettings(settings);
+    if (supportCode && key !== supportKey) {
+        reloadSupportCode();
+    }
+
+    // settings come from selenium-cucumber-js.json and the options rather than a cucumber config file
+    return cucumber.loadConfiguration({file: false, provided: runOptions})
+        .then(function (configuration) {
+            let runConfiguration = (supportCode)
+                ? Object.assign({}, configuration.runConfiguration, {support: supportCode})
+                : configuration.runConfiguration;
+            return cucumber.runCucumber(runConfiguration, environment, listener);
+        })
+        .then(function (result) {
+            supportCode = result.support;
+            supportKey = key;
+            supportFolders = projectFolders();
+
+            // and in the reports the formatters wrote, including any secrets resolved by the shared objects
+            runOptions.format.concat(['json:' + global.cucumberReportPath])
+                .filter((format) => format.indexOf(':') > 0)
+                .forEach((format) => secrets.maskFile(path.resolve(format.substring(format.indexOf(':') + 1))));
+            return result.success;
+        });
+}
+
+/**
+ * runs the feature files in worker processes, rerunning failed scenarios until they pass or no retries remain
+ * @param {object} settings - resolved settings
+ * @param {object} hooks - event hooks passed to run()
+ * @param {Array} featurePaths - feature files, scenarios or directories to run
+ * @param {Array} attempts - cucumber json features of each previous attempt
+ * @param {boolean} blocked - true if an earlier attempt failed in a way rerunning cannot fix
+ * @returns {Promise} resolves with {succeeded, attempts} once no further attempts are needed
+ */
+function runWorkers(settings, hooks, featurePaths, attempts, blocked) {
+    let attempt = attempts.length + 1;
+    return parallel.run({
+        featurePaths: featurePaths,
+        workers: Math.max(settings.parallel, 1),
+        runOptions: secrets.unresolve(Object.assign({}, settings, {parallel: 1, retry: 0, launchReport: false})),
+        reportsPath: global.reportsPath,
+        message: (attempt > 1) ? 'Retrying ' + featurePaths.length + ' failed scenario(s), attempt ' + attempt : 'Running',
+        onEvent: function (event, data) {
+            runEvents.notify(hooks, event, Object.assign(data, {attempt: attempt}));
+        }
+    })
+    .then(function (result) {
+        let features = reports.read(result.reportFiles);
+        let allFailed = retry.failedScenarios(features);
+        let retryPaths = retry.failedScenarios(features, settings.retryTag);
+
+        attempts = attempts.concat([features]);
+
+        // failures that are not retried (or cannot be fixed by retrying) fail the run regardless of later attempts
+        if (!result.succeeded && (allFailed.length === 0 || retryPaths.length < allFailed.length || retry.hasIncompleteSteps(features))) {
+            blocked = true;
+        }
+
+        if (!result.succeeded && retryPaths.length > 0 && attempt <= settings.retry) {
+            return runWorkers(settings, hooks, retryPaths, attempts, blocked);
+        }
+        return {succeeded: result.succeeded && !blocked, attempts: attempts};
+    });
+}
+
+/**
+ * runs the feature files, in this process or across workers, then generates the reports
+ * @param {object} settings - resolved settings
+ * @param {object} hooks - event hooks passed to run()
+ * @returns {Promise} resolves with {success, counts, scenarios, reports}
+ */
+function runAndReport(settings, hooks) {
+    let started = Date.now();
+    let running;
+
+    // shard the feature files across worker processes and/or retry failures, then merge their results into a single report
+    if ((settings.parallel > 1 || settings.retry > 0) && !global.workerId) {
+        running = runWorkers(settings, hooks, settings.featureFiles.split(','), [], false).then(function (result) {
+            reports.write(retry.combine(result.attempts), global.cucumberReportPath);
+
+            // the workers mask their own reports, the merged one is masked again before the other reports are built from it
+            secrets.maskFile(global.cucumberReportPath);
+            return result.succeeded;
+        });
+    } else {
+        running = runFeatures(settings, hooks);
+    }
+
+    return running.then(function (succeeded) {
+
+        // workers leave report generation to the parent process once all json reports are merged
+        let reportPaths = (global.workerId) ? {json: global.cucumberReportPath} : reports.generate({
+            jsonFile: global.cucumberReportPath,
+            reportsPath: global.reportsPath,
+            junitPath: global.junitPath,
+            launchReport: settings.launchReport === true,
+            reporters: settings.reporters,
+            duration: Date.now() - started
+        });
+        let json = (fs.isFileSync(global.cucumberReportPath)) ? fs.readFileSync(global.cucumberReportPath).toString().trim() : '';
+        let features = JSON.parse(json || '[]');
+
+        return Object.assign({success: succeeded}, reports.summarise(features), {reports: reportPaths});
+    });
+}
+
+/**
+ * matches the steps of the feature files against the step definitions without running them, writing skeleton step
+ * definitions and page objects for the undefined steps when scaffolding
+ * @param {object} settings - resolved settings
+ * @param {object} hooks - event hooks passed to run()
+ * @returns {Promise} resolves with {success, dryRun, usage, scaffolded}, success is false if any step is undefined or ambiguous
+ */
+function checkSteps(settings, hooks) {
+    let collector = stepUsage.createCollector();
+    return runFeatures(settings, hooks, collector.listener).then(function () {
+        let usage = collector.usage();
+        let scaffolded = (settings.scaffold) ? scaffold.generate(usage.undefinedSteps, {
+            stepsPath: global.stepsPath,
+            pageObjectPath: global.pageObjectPath
+        }) : [];
+        return {
+            success: usage.undefinedSteps.length === 0 && usage.ambiguousSteps.length === 0,
+            dryRun: true,
+            usage: usage,
+            scaffolded: scaffolded
+        };
+    });
+}
+
+module.exports = {
+
+    DEFAULTS: DEFAULTS,
+
+    loadConfig: loadConfig,
+
+    /**
+     * forgets the support code loaded by earlier runs, so the next run loads world.js, the step definitions, page objects and
+     * shared objects again (see utility/watch.js). runs with different settings for world.js reload it themselves
+     * @returns {void}
+     */
+    reloadSupportCode: reloadSupportCode,
+
+    /**
+     * runs the feature files, generating the reports once every scenario has run
+     * @param {object} options - (optional) any setting of selenium-cucumber-js.json (except profiles), overriding the config file
+     * and the profile selected with env. a run also accepts:
+     * @param {string|boolean} options.configFile - (optional) path of the config file, defaults to ./selenium-cucumber-js.json. false to not use one
+     * @param {string|Array} options.tags - (optional) tag expressions of the scenarios to run
+     * @param {Array} options.format - (optional) extra cucumber formatters, for example ['html:reports/cucumber.html']
+     * @param {string} options.junit - (optional) folder to save junit-report.xml in, defaults to the reports folder
+     * @param {boolean} options.launchReport - (optional) open the HTML report in a browser once generated. defaults to false
+     * @param {boolean} options.dryRun - (optional) match the steps against the step definitions without starting a browser
+     * @param {boolean} options.usage - (optional) dry run, the result lists every step definition with its match count
+     * @param {boolean} options.scaffold - (optional) dry run, writing skeleton step definitions and page objects for undefined steps
+     * @param {function} options.onScenarioStart - (optional) called with {feature, name, uri, line, tags, attempt} as a scenario starts
+     * @param {function} options.onScenarioEnd - (optional) called with the scenario plus its status and duration (in milliseconds) as it ends
+     * @param {function} options.onStepEnd - (optional) called with {scenario, uri, keyword, text, status, duration, error} as a step ends
+     * @returns {Promise} resolves with {success, counts, scenarios, duration, reports} once the run has finished, or
+     * {success, dryRun, usage, scaffolded, duration} for a dry run. rejects if the configuration is invalid or the run could not start
+     * @example
+     *      runner.run({featureFiles: './features', browser: 'firefox', headless: true, tags: '@smoke'}).then(function (result) {
+     *          console.log(result.counts.scenarios.failed + ' failed, see ' + result.reports.html);
+     *      });
+     */
+    run: function (options) {
+        options = options || {};
+        let started = Date.now();
+        let hooks = {};
+        runEvents.EVENTS.forEach(function (event) {
+            hooks[event] = options[event];
+        });
+
+        return new Promise((resolve) => resolve(resolveSettings(options)))
+            .then(function (settings) {
+                applyGlobals(settings);
+                return (settings.dryRun || settings.usage || settings.scaffold) ? checkSteps(settings, hooks) : runAndReport(settings, hooks);
+            })
+            .then((result) => Object.assign(result, {duration: Date.now() - started}));
+    }
+};
@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * scaffold.js writes skeleton step definition files for undefined steps, one file per feature in the steps folder,
+ * along with page object stubs for the pages and elements the steps refer to that do not exist yet ("page.element")
+ * existing files are never changed, new files are numbered instead
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let {camelCase} = require('./text');
+
+// an element reference such as "checkout.submitButton" or "checkout.address.postcode"
+const ELEMENT_REFERENCE = /^([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)$/;
+
+// quoted values shaped like an element reference that are a host or file name, such as "www.example.com" or "report.pdf"
+const NOT_ELEMENT_REFERENCE = /^www\.|\.(com|org|net|edu|gov|io|co|uk|de|fr|dev|app|info|biz|local|localhost|pdf|csv|txt|json|xml|html?|js|css|png|jpe?g|gif|svg|zip|docx?|xlsx?|pptx?|md|ya?ml|log)$/i;
+
+// a page reference such as the "checkout" page
+const PAGE_REFERENCE = /"([A-Za-z_$][\w$]*)" page\b/g;
+
+/**
+ * converts a page object name into a file name, for example googleSearch to google-search
+ * @param {string} name - page object name
+ * @returns {string} kebab cased name
+ */
+function kebabCase(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * returns a file path that does not exist yet, numbering the file if needed
+ * @param {string} folder - folder to create the file in
+ * @param {string} name - file name without extension
+ * @returns {string} absolute file path
+ */
+function newFilePath(folder, name) {
+    let filePath = path.resolve(folder, name + '.js');
+    for (let i = 2; fs.existsSync(filePath); i++) {
+        filePath = path.resolve(folder, name + '-' + i + '.js');
+    }
+    return filePath;
+}
+
+/**
+ * returns a unique parameter name
+ * @param {string} name - preferred name
+ * @param {Array} used - names already taken, the new name is added to it
+ * @returns {string} parameter name
+ */
+function parameterName(name, used) {
+    let unique = name;
+    for (let i = 2; used.indexOf(unique) !== -1; i++) {
+        unique = name + i;
+    }
+    used.push(unique);
+    return unique;
+}
+
+/**
+ * builds the regular expression and parameters of a step definition from the text of an undefined step
+ * quoted strings, numbers and scenario outline <placeholders> become capture groups
+ * @param {object} step - undefined step (see step-usage.js)
+ * @returns {object} {pattern, parameters} where pattern is the source of a regular expression literal
+ */
+function toStepDefinition(step) {
+    let parameters = [];
+    let pattern = '';
+    let tokens = /"[^"]*"|<([^>]+)>|-?\b\d+(\.\d+)?\b/g;
+    let text = step.sourceText;
+    let last = 0;
+    let match;
+
+    let escape = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+    while ((match = tokens.exec(text)) !== null) {
+        pattern += escape(text.substring(last, match.index));
+        if (match[0].charAt(0) === '"') {
+            pattern += '"([^"]*)"';
+            parameterName('text', parameters);
+        } else if (match[1]) {
+            pattern += '(.*)';
+            parameterName(camelCase(match[1].replace(/[^\w\s-]/g, '')) || 'value', parameters);
+        } else {
+            pattern += (match[2]) ? '(-?\\d+\\.\\d+)' : '(-?\\d+)';
+            parameterName('number', parameters);
+        }
+        last = match.index + match[0].length;
+    }
+    pattern += escape(text.substring(last));
+
+    if (step.argument) {
+        parameterName(step.argument === 'docString' ? 'docString' : 'table', parameters);
+    }
+    return {pattern: '^' + pattern + '$', parameters: parameters};
+}
+
+/**
+ * finds the page objects and elements an undefined step refers to
+ * @param {object} step - undefined step
+ * @returns {Array} list of {page, element} where element is undefined for a page reference
+ */
+function findReferences(step) {
+    let references = [];
+    (step.text.match(/"[^"]*"/g) || []).forEach(function (quoted) {
+        let value = quoted.slice(1, -1);
+        let match = !NOT_ELEMENT_REFERENCE.test(value) && ELEMENT_REFERENCE.exec(value);
+        if (match) references.push({page: match[1], element: match[2]});
+    });
+    let match;
+    PAGE_REFERENCE.lastIndex = 0;
+    while ((match = PAGE_REFERENCE.exec(step.text)) !== null) {
+        references.push({page: match[1]});
+    }
+    return references;
+}
+
+/**
+ * returns the names of the page objects in a folder, as they are exposed on the page global
+ * @param {string} pageObjectPath - page objects folder
+ * @returns {Array} page object names
+ */
+function existingPageObjects(pageObjectPath) {
+    if (!fs.isDirectorySync(pageObjectPath)) return [];
+    return fs.listSync(pageObjectPath, ['js']).map((file) => camelCase(path.basename(file, '.js')));
+}
+
+/**
+ * creates the source of a step definition file in the style of the project step definitions
+ * @param {Array} definitions - list of {keyword, pattern, parameters, example}
+ * @returns {string} file contents
+ */
+function stepFileSource(definitions) {
+    let blocks = definitions.map(function (definition) {
+        return '    // ' + definition.example + '\n' +
+            '    this.' + definition.keyword + '(/' + definition.pattern + '/, function (' + definition.parameters.join(', ') + ') {\n\n' +
+            '        // write the code for this step, returning a promise if it is asynchronous\n' +
+            '        return \'pending\';\n' +
+            '    });';
+    });
+    return 'module.exports = function () {\n\n' + blocks.join('\n\n') + '\n};\n';
+}
+
+/**
+ * creates the source of a page object stub
+ * @param {Array} elements - element paths, nested sections are separated by dots
+ * @returns {string} file contents
+ */
+function pageObjectSource(elements) {
+    let tree = {};
+    elements.forEach(function (element) {
+        let node = tree;
+        element.split('.').forEach(function (key) {
+            node[key] = node[key] || {};
+            node = node[key];
+        });
+    });
+
+    let render = function (node, indent) {
+        return Object.keys(node).map(function (key) {
+            let children = Object.keys(node[key]);
+            if (children.length === 0) return indent + key + ': \'\'';
+            return indent + key + ': {\n' + render(node[key], indent + '    ') + '\n' + indent + '}';
+        }).join(',\n');
+    };
+
+    let body = (elements.length > 0) ? '{\n' + render(tree, '        ') + '\n    }' : '{}';
+    return 'module.exports = {\n\n' +
+        '    url: \'\',\n\n' +
+        '    // fill in the css selector, xpath expression or by locator of each element\n' +
+        '    elements: ' + body + '\n' +
+        '};\n';
+}
+
+module.exports = {
+
+    toStepDefinition: toStepDefinition,
+
+    /**
+     * writes step definition files for undefined steps and page object stubs for the missing page objects they refer to
+     * @param {Array} undefinedSteps - undefined steps collected by a dry run (see step-usage.js)
+     * @param {object} options - scaffold options
+     * @param {string} options.stepsPath - step definitions folder (or file, the files are then written next to it)
+     * @param {string} options.pageObjectPath - page objects folder
+     * @returns {Array} paths of the files written
+     */
+    generate: function (undefinedSteps, options) {
+        let stepsFolder = (fs.isFileSync(options.stepsPath)) ? path.dirname(options.stepsPath) : options.stepsPath;
+        let knownPages = existingPageObjects(options.pageObjectPath);
+        let definitionsByFeature = {};
+        let patterns = {};
+        let pages = {};
+        let written = [];
+
+        undefinedSteps.forEach(function (step) {
+            let definition = toStepDefinition(step);
+
+            // steps that differ only in their values share a step definition
+            if (!patterns[definition.pattern]) {
+                patterns[definition.pattern] = true;
+                definitionsByFeature[step.uri] = (definitionsByFeature[step.uri] || []).concat([Object.assign(definition, {
+                    keyword: step.type,
+                    example: step.keyword + ' ' + step.text + ' (' + step.uri + ':' + step.line + ')'
+                })]);
+            }
+
+            findReferences(step).filter((reference) => knownPages.indexOf(reference.page) === -1).forEach(function (reference) {
+                pages[reference.page] = pages[reference.page] || [];
+                if (reference.element && pages[reference.page].indexOf(reference.element) === -1) {
+                    pages[reference.page].push(reference.element);
+                }
+            });
+        });
+
+        Object.keys(definitionsByFeature).forEach(function (uri) {
+            let filePath = newFilePath(stepsFolder, path.basename(uri, '.feature') + '-steps');
+            fs.makeTreeSync(stepsFolder);
+            fs.writeFileSync(filePath, stepFileSource(definitionsByFeature[uri]));
+            written.push(filePath);
+        });
+
+        Object.keys(pages).forEach(function (name) {
+            let filePath = newFilePath(options.pageObjectPath, kebabCase(name));
+            fs.makeTreeSync(options.pageObjectPath);
+            fs.writeFileSync(filePath, pageObjectSource(pages[name]));
+            written.push(filePath);
+        });
+
+        return written;
+    }
+};
@@ -0,0 +1,311 @@
+'use strict';
+
+/**
+ * secrets.js resolves secret:NAME references in the config and shared objects, from an environment variable called NAME
+ * or else from a local file encrypted with the key in SELENIUM_CUCUMBER_SECRETS_KEY, and masks every resolved value in
+ * the output, reports and artifacts of a run
+ * the encrypted file is created from a plain JSON file of {NAME: value} pairs with:
+ *      node ./node_modules/selenium-cucumber-js/utility/secrets.js encrypt secrets.json secrets.enc.json
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let crypto = require('crypto');
+let stream = require('stream');
+
+// environment variable holding the key of the encrypted secrets file
+const KEY_ENV = 'SELENIUM_CUCUMBER_SECRETS_KEY';
+
+// default path of the encrypted secrets file, relative to the working directory
+const DEFAULT_FILE = './secrets.enc.json';
+
+// a reference to a secret, the whole string has to be the reference
+const REFERENCE = /^secret:([A-Za-z_][\w.-]*)$/;
+
+// what secret values are replaced with
+const MASK = '*****';
+
+// shorter values are not masked, replacing every occurrence of a couple of characters would garble the output
+const MIN_LENGTH = 4;
+
+// resolved values, longest first so a secret containing another is masked as a whole
+let values = [];
+
+// decrypted secrets files by path
+let files = {};
+
+// the secret:NAME reference each resolved value came from, by value
+let references = {};
+
+/**
+ * derives the encryption key from the passphrase in SELENIUM_CUCUMBER_SECRETS_KEY
+ * @param {string} passphrase - passphrase
+ * @param {Buffer} salt - random salt stored in the file
+ * @returns {Buffer} 256 bit key
+ */
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * encrypts a set of secrets with AES-256-GCM
+ * @param {object} secrets - {NAME: value} pairs
+ * @param {string} passphrase - passphrase to derive the key from
+ * @returns {string} contents of the encrypted secrets file
+ */
+function encrypt(secrets, passphrase) {
+    let salt = crypto.randomBytes(16);
+    let iv = crypto.randomBytes(12);
+    let cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    let data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+    return JSON.stringify({
+        version: 1,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    }, null, 2);
+}
+
+/**
+ * decrypts the contents of an encrypted secrets file
+ * @param {string} text - contents of the file
+ * @param {string} passphrase - passphrase the file was encrypted with
+ * @returns {object} {NAME: value} pairs
+ */
+function decrypt(text, passphrase) {
+    let file = JSON.parse(text);
+    let decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, Buffer.from(file.salt, 'base64')), Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    let data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * reads the secrets of an encrypted file, once per file
+ * @param {string} filePath - path of the encrypted secrets file
+ * @returns {object} {NAME: value} pairs, empty if the file does not exist
+ */
+function readFile(filePath) {
+    filePath = path.resolve(filePath);
+    if (files[filePath]) return files[filePath];
+    if (!fs.isFileSync(filePath)) return {};
+
+    if (!process.env[KEY_ENV]) {
+        throw new Error('Set ' + KEY_ENV + ' to the key of the secrets file ' + filePath);
+    }
+    try {
+        files[filePath] = decrypt(fs.readFileSync(filePath).toString(), process.env[KEY_ENV]);
+    } catch (err) {
+        throw new Error('Unable to decrypt the secrets file ' + filePath + ', is ' + KEY_ENV + ' the right key? (' + err.message + ')');
+    }
+    return files[filePath];
+}
+
+/**
+ * remembers a secret value so it is masked
+ * @param {string} value - secret value
+ * @returns {string} the value
+ */
+function register(value) {
+    value = String(value);
+    if (value.length >= MIN_LENGTH && values.indexOf(value) === -1) {
+        values.push(value);
+        values.sort((a, b) => b.length - a.length);
+    }
+    return value;
+}
+
+/**
+ * returns the value of a secret, from the environment variable of the same name or else the encrypted secrets file
+ * @param {string} name - name of the secret
+ * @param {string} secretsFile - (optional) path of the encrypted secrets file, defaults to ./secrets.enc.json
+ * @returns {string} the value
+ * @throws {Error} if the secret is not set
+ */
+function get(name, secretsFile) {
+    let value = process.env[name];
+    if (value === undefined) {
+        let fileSecrets = readFile(secretsFile || DEFAULT_FILE);
+        value = fileSecrets[name];
+    }
+    if (value !== undefined && value !== null) {
+        value = register(value);
+        references[value] = 'secret:' + name;
+        return value;
+    }
+    throw new Error('Secret ' + name + ' is not set, set the environment variable ' + name + ' or add it to ' + path.resolve(secretsFile || DEFAULT_FILE));
+}
+
+/**
+ * replaces every secret value within a string
+ * @param {string} text - text that may contain secrets
+ * @returns {string} masked text
+ */
+function mask(text) {
+    if (typeof text !== 'string' || values.length === 0) return text;
+    return values.reduce((masked, value) => masked.split(value).join(MASK), text);
+}
+
+/**
+ * masks every string within a value, recursing into arrays and plain objects
+ * text attachments of a cucumber json report (base64 encoded) are decoded, masked and encoded again
+ * @param {*} value - value to mask
+ * @returns {*} masked copy of the value
+ */
+function maskDeep(value) {
+    if (typeof value === 'string') return mask(value);
+    if (Array.isArray(value)) return value.map(maskDeep);
+    if (!value || typeof value !== 'object') return value;
+
+    let masked = {};
+    Object.keys(value).forEach(function (key) {
+        masked[key] = maskDeep(value[key]);
+    });
+    if (typeof value.data === 'string' && /^(text\/|application\/(json|xml))/.test(value.mime_type || '')) {
+        masked.data = Buffer.from(mask(Buffer.from(value.data, 'base64').toString('utf8')), 'utf8').toString('base64');
+    }
+    return masked;
+}
+
+module.exports = {
+
+    KEY_ENV: KEY_ENV,
+
+    MASK: MASK,
+
+    encrypt: encrypt,
+
+    decrypt: decrypt,
+
+    get: get,
+
+    mask: mask,
+
+    /**
+     * replaces the secret:NAME references within a value, recursing into arrays and plain objects (which are updated in place,
+     * so shared objects keep their functions and identity)
+     * @param {*} value - config, shared objects or a single value
+     * @param {string} secretsFile - (optional) path of the encrypted secrets file, defaults to ./secrets.enc.json
+     * @returns {*} the value with its references resolved
+     * @throws {Error} listing every secret that is not set
+     * @example
+     *      secrets.resolve({eye_key: 'secret:APPLITOOLS_API_KEY'}); // {eye_key: 'the key'}
+     */
+    resolve: function (value, secretsFile) {
+        let missing = [];
+        let visited = [];
+
+        let walk = function (item) {
+            if (typeof item === 'string') {
+                let reference = REFERENCE.exec(item);
+                if (!reference) return item;
+                try {
+                    return get(reference[1], secretsFile);
+                } catch (err) {
+                    missing.push(err.message);
+                    return item;
+                }
+            }
+            let isPlain = item && typeof item === 'object' && (Array.isArray(item) || [Object.prototype, null].indexOf(Object.getPrototypeOf(item)) !== -1);
+            if (!isPlain || visited.indexOf(item) !== -1) return item;
+            visited.push(item);
+            Object.keys(item).forEach(function (key) {
+                item[key] = walk(item[key]);
+            });
+            return item;
+        };
+
+        let resolved = walk(value);
+        if (missing.length > 0) {
+            throw new Error(missing.join('\n'));
+        }
+        return resolved;
+    },
+
+    /**
+     * copies a value, putting back the secret:NAME reference of every string that is a resolved secret, so settings can be
+     * handed to a worker process (see utility/parallel.js) which resolves and masks the secrets itself
+     * @param {*} value - resolved config or options
+     * @returns {*} copy of the value with references in place of the secrets, arrays and plain objects are copied too
+     * @example
+     *      secrets.unresolve({eye_key: 'the key'}); // {eye_key: 'secret:APPLITOOLS_API_KEY'}
+     */
+    unresolve: function (value) {
+        if (typeof value === 'string') {
+            return Object.prototype.hasOwnProperty.call(references, value) ? references[value] : value;
+        }
+        if (Array.isArray(value)) return value.map(module.exports.unresolve);
+        if (!value || typeof value !== 'object' || [Object.prototype, null].indexOf(Object.getPrototypeOf(value)) === -1) return value;
+
+        let copy = {};
+        Object.keys(value).forEach(function (key) {
+            copy[key] = module.exports.unresolve(value[key]);
+        });
+        return copy;
+    },
+
+    /**
+     * masks the secrets within a report or other text file the run has written
+     * @param {string} filePath - path of the file, a .json file is masked as a cucumber json report
+     * @returns {void}
+     */
+    maskFile: function (filePath) {
+        if (values.length === 0 || !fs.isFileSync(filePath)) return;
+        let text = fs.readFileSync(filePath).toString();
+        if (path.extname(filePath) === '.json' && text.trim().length > 0) {
+            try {
+                fs.writeFileSync(filePath, JSON.stringify(maskDeep(JSON.parse(text)), null, 2));
+                return;
+            } catch (err) {
+                // not json after all, masked as text below
+            }
+        }
+        let masked = mask(text);
+        if (masked !== text) {
+            fs.writeFileSync(filePath, masked);
+        }
+    },
+
+    /**
+     * creates a stream that masks secrets before writing to another stream, used for the cucumber formatters' output
+     * @param {stream.Writable} output - stream to write to, for example process.stdout
+     * @returns {stream.Writable} masking stream
+     */
+    maskingStream: function (output) {
+        let masking = new stream.Writable({
+            write: function (chunk, encoding, callback) {
+                output.write(mask(chunk.toString()), callback);
+            }
+        });
+
+        // the formatters only use colours when writing to a terminal
+        masking.isTTY = output.isTTY;
+        masking.columns = output.columns;
+        return masking;
+    }
+};
+
+// encrypts (or decrypts) a plain JSON file of {NAME: value} pairs with the key in SELENIUM_CUCUMBER_SECRETS_KEY
+if (require.main === module) {
+    let command = process.argv[2];
+    let input = process.argv[3];
+    let output = process.argv[4];
+
+    if (['encrypt', 'decrypt'].indexOf(command) === -1 || !input || !process.env[KEY_ENV]) {
+        console.error('Usage: ' + KEY_ENV + '=<key> node secrets.js encrypt <secrets.json> [' + DEFAULT_FILE + ']\n' +
+            '       ' + KEY_ENV + '=<key> node secrets.js decrypt <' + DEFAULT_FILE + '> [secrets.json]');
+        process.exit(1);
+    }
+
+    let text = fs.readFileSync(input).toString();
+    let result = (command === 'encrypt')
+        ? encrypt(JSON.parse(text), process.env[KEY_ENV])
+        : JSON.stringify(decrypt(text, process.env[KEY_ENV]), null, 2);
+
+    if (command === 'encrypt' || output) {
+        fs.writeFileSync(output || DEFAULT_FILE, result);
+        console.log('Written ' + path.resolve(output || DEFAULT_FILE));
+    } else {
+        console.log(result);
+    }
+}
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * session.js holds the browser of the running scenario for the framework's own modules (helpers, page elements etc)
+ * step definitions reach the same browser through this.driver, or the driver global when globals are published
+ */
+let driver = null;
+
+module.exports = {
+
+    /**
+     * returns the browser of the running scenario
+     * @returns {ThenableWebDriver} selenium web driver or null if no browser is open
+     */
+    getDriver: function () {
+        return driver;
+    },
+
+    /**
+     * sets the browser of the running scenario, called by world.js when a browser is created or quit
+     * @param {ThenableWebDriver} instance - selenium web driver or null
+     * @returns {void}
+     */
+    setDriver: function (instance) {
+        driver = instance;
+    }
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * step-screenshots.js captures a screenshot after every step and attaches it to that step in the json report
+ * screenshots are taken from an AfterStep hook, which cucumber runs as part of the step so attachments stay with it
+ * the captures of a scenario can also be written out as a filmstrip HTML page
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let session = require('./session');
+let text = require('./text');
+
+let currentScenario = null;
+let currentStep = null;
+let frames = [];
+
+/**
+ * takes a screenshot, attaching it to the running step and recording it as a filmstrip frame
+ * @param {boolean} failed - true if the step failed
+ * @returns {Promise} resolves once the screenshot is attached, never rejects
+ */
+function captureStep(failed) {
+    let scenario = currentScenario;
+    let step = currentStep;
+    if (!scenario || !session.getDriver()) return Promise.resolve();
+
+    return session.getDriver().takeScreenshot().then(function (screenShot) {
+        scenario.attach(Buffer.from(screenShot, 'base64'), 'image/png');
+        frames.push({
+            name: step ? step.getKeyword() + step.getName() : '',
+            failed: failed,
+            screenShot: screenShot
+        });
+    }).catch(function (err) {
+        console.warn('Unable to capture step screenshot: ' + err.message);
+    });
+}
+
+module.exports = {
+
+    /**
+     * starts recording a scenario, called from a Before hook
+     * @param {object} scenario - the cucumber scenario screenshots are attached to
+     * @returns {void}
+     */
+    startScenario: function (scenario) {
+        currentScenario = scenario;
+        currentStep = null;
+        frames = [];
+    },
+
+    /**
+     * records the step about to run, called from a BeforeStep hook
+     * @param {object} step - the cucumber step
+     * @returns {void}
+     */
+    startStep: function (step) {
+        currentStep = step;
+    },
+
+    /**
+     * captures the screenshot of the step that has just run, called from an AfterStep hook
+     * @param {boolean} failed - true if the step failed
+     * @returns {Promise} resolves once the screenshot is attached, never rejects
+     */
+    endStep: function (failed) {
+        return captureStep(failed);
+    },
+
+    /**
+     * writes the screenshots of the current scenario as a filmstrip HTML page
+     * @param {string} reportsPath - reports folder, filmstrips are saved to reportsPath/filmstrips
+     * @returns {string} path of the filmstrip or null if there were no screenshots
+     */
+    writeFilmstrip: function (reportsPath) {
+        if (!currentScenario || frames.length === 0) return null;
+
+        let name = currentScenario.getName();
+        let outputPath = path.resolve(reportsPath, 'filmstrips', text.slugify(name) + '-' + Date.now() + '.html');
+        let html = [
+            '<!DOCTYPE html>',
+            '<html><head><meta charset="utf-8"><title>' + text.escapeHtml(name) + '</title>',
+            '<style>',
+            'body{font-family:sans-serif;margin:20px}',
+            '.strip{display:flex;overflow-x:auto;gap:16px}',
+            '.frame{flex:0 0 auto;width:320px;border:2px solid #5cb85c;padding:4px}',
+            '.frame.failed{border-color:#d9534f}',
+            '.frame img{width:100%}',
+            '.frame p{font-size:13px;margin:4px 0 0}',
+            '</style></head><body>',
+            '<h1>' + text.escapeHtml(name) + '</h1>',
+            '<div class="strip">'
+        ];
+        frames.forEach(function (frame, index) {
+            let src = 'data:image/png;base64,' + frame.screenShot;
+            html.push(
+                '<div class="frame' + (frame.failed ? ' failed' : '') + '">' +
+                '<img src="' + src + '" alt="step ' + (index + 1) + '">' +
+                '<p>' + (index + 1) + '. ' + text.escapeHtml(frame.name) + '</p>' +
+                '</div>'
+            );
+        });
+        html.push('</div></body></html>');
+
+        fs.makeTreeSync(path.dirname(outputPath));
+        fs.writeFileSync(outputPath, html.join('\n'));
+        return outputPath;
+    }
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * step-usage.js collects how the steps of a (dry) run matched the step definitions, from the messages cucumber emits
+ * giving the match count of every step definition along with the steps that are undefined or ambiguous
+ */
+let path = require('path');
+let chalk = require('chalk');
+let legacySupport = require('./legacy-support');
+
+// cucumber step types and the keyword used for them in step definitions
+const KEYWORDS = {
+    Context: 'Given',
+    Action: 'When',
+    Outcome: 'Then'
+};
+
+/**
+ * returns a step definition pattern as it appears in the code
+ * @param {object} pattern - {source, type} of a cucumber step definition
+ * @returns {string} /regular expression/ or "cucumber expression"
+ */
+function describePattern(pattern) {
+    return (pattern.type === 'REGULAR_EXPRESSION') ? '/' + pattern.source + '/' : '"' + pattern.source + '"';
+}
+
+/**
+ * pads a string with spaces to a fixed width
+ * @param {string} value - string to pad
+ * @param {int} width - width to pad to
+ * @returns {string} padded string
+ */
+function pad(value, width) {
+    return value + ' '.repeat(Math.max(0, width - value.length));
+}
+
+module.exports = {
+
+    /**
+     * creates a collector for the messages of a cucumber run
+     * @returns {object} {listener, usage} where listener is called with every message (envelope) and usage() returns
+     * {stepDefinitions, undefinedSteps, ambiguousSteps, scenarios, steps} once the run has finished
+     * @example
+     *      let collector = stepUsage.createCollector();
+     *      cucumber.runCucumber(runConfiguration, {}, collector.listener).then(() => console.log(collector.usage()));
+     */
+    createCollector: function () {
+        let documents = {};
+        let pickles = {};
+        let definitions = [];
+        let definitionsById = {};
+        let undefinedSteps = [];
+        let ambiguousSteps = [];
+        let seen = {};
+        let scenarioCount = 0;
+        let stepCount = 0;
+
+        /**
+         * describes a pickle step with the location and text of its source line
+         * @param {object} pickle - pickle the step belongs to
+         * @param {object} pickleStep - pickle step
+         * @returns {object} {keyword, type, text, sourceText, uri, line, argument}
+         */
+        function describeStep(pickle, pickleStep) {
+            let node = legacySupport.findNode(documents[pickle.uri], pickleStep.astNodeIds[0]);
+            return {
+                keyword: (node) ? node.keyword.trim() : '',
+                type: KEYWORDS[pickleStep.type] || 'Given',
+                text: pickleStep.text,
+                sourceText: (node) ? node.text : pickleStep.text,
+                uri: pickle.uri,
+                line: (node) ? node.location.line : undefined,
+                argument: (pickleStep.argument && pickleStep.argument.docString) ? 'docString'
+                    : (pickleStep.argument && pickleStep.argument.dataTable) ? 'dataTable' : undefined
+            };
+        }
+
+        return {
+            listener: function (envelope) {
+                if (envelope.gherkinDocument) {
+                    documents[envelope.gherkinDocument.uri] = envelope.gherkinDocument;
+                } else if (envelope.pickle) {
+                    pickles[envelope.pickle.id] = envelope.pickle;
+                } else if (envelope.stepDefinition) {
+                    let definition = {
+                        pattern: describePattern(envelope.stepDefinition.pattern),
+                        uri: envelope.stepDefinition.sourceReference.uri,
+                        line: (envelope.stepDefinition.sourceReference.location || {}).line,
+                        matches: 0,
+                        scenarios: [],
+
+                        // the generic steps are opt-in as a library, so they are not expected to all be used
+                        builtIn: path.resolve(envelope.stepDefinition.sourceReference.uri) === path.resolve(__dirname, 'generic-steps.js')
+                    };
+                    definitionsById[envelope.stepDefinition.id] = definition;
+                    definitions.push(definition);
+                } else if (envelope.testCase) {
+                    let pickle = pickles[envelope.testCase.pickleId];
+                    let scenarioNode = legacySupport.findNode(documents[pickle.uri], pickle.astNodeIds[0]);
+                    let scenario = pickle.uri + ':' + ((scenarioNode) ? scenarioNode.location.line : '');
+                    scenarioCount++;
+                    envelope.testCase.testSteps.filter((testStep) => testStep.pickleStepId).forEach(function (testStep) {
+                        let pickleStep = pickle.steps.find((step) => step.id === testStep.pickleStepId);
+                        let ids = testStep.stepDefinitionIds || [];
+                        stepCount++;
+                        ids.forEach(function (id) {
+                            let definition = definitionsById[id];
+                            if (!definition) return;
+                            definition.matches++;
+                            if (definition.scenarios.indexOf(scenario) === -1) definition.scenarios.push(scenario);
+                        });
+                        if (ids.length === 1) return;
+
+                        // scenario outlines repeat their steps, so each step of the feature file is listed once
+                        let step = Object.assign(describeStep(pickle, pickleStep), {scenario: scenario});
+                        let key = step.uri + ':' + step.line;
+                        if (seen[key]) return;
+                        seen[key] = true;
+                        if (ids.length === 0) {
+                            undefinedSteps.push(step);
+                        } else {
+                            ambiguousSteps.push(Object.assign(step, {
+                                definitions: ids.map((id) => definitionsById[id]).filter(Boolean)
+                            }));
+                        }
+                    });
+                }
+            },
+
+            usage: function () {
+                let sorted = definitions.slice().sort(function (a, b) {
+                    return (a.uri === b.uri) ? a.line - b.line : (a.uri < b.uri ? -1 : 1);
+                });
+                return {
+                    stepDefinitions: sorted,
+                    undefinedSteps: undefinedSteps,
+                    ambiguousSteps: ambiguousSteps,
+                    scenarios: scenarioCount,
+                    steps: stepCount
+                };
+            }
+        };
+    },
+
+    /**
+     * formats the usage collected by a dry run for the console
+     * @param {object} usage - usage returned by the collector
+     * @param {boolean} listDefinitions - include every step definition with its match count and location
+     * @returns {string} text to log
+     */
+    format: function (usage, listDefinitions) {
+        let lines = [];
+
+        if (listDefinitions) {
+            let width = Math.min(80, usage.stepDefinitions.reduce((max, definition) => Math.max(max, definition.pattern.length), 0));
+            lines.push(chalk.bold('Step definitions:'));
+            usage.stepDefinitions.forEach(function (definition) {
+                let matches = (definition.matches === 0 && !definition.builtIn) ? chalk.yellow(pad('unused', 11)) : pad(definition.matches + ' match' + (definition.matches === 1 ? '' : 'es'), 11);
+                lines.push('  ' + pad(definition.pattern, width) + '  ' + matches + '  ' + chalk.gray(definition.uri + ':' + definition.line));
+            });
+            if (usage.stepDefinitions.length === 0) lines.push('  none');
+            lines.push('');
+        }
+
+        if (usage.ambiguousSteps.length > 0) {
+            lines.push(chalk.red.bold('Ambiguous steps:'));
+            usage.ambiguousSteps.forEach(function (step) {
+                lines.push(chalk.red('  ' + step.keyword + ' ' + step.text) + '  ' + chalk.gray(step.uri + ':' + step.line) + ' matches');
+                step.definitions.forEach(function (definition) {
+                    lines.push('      ' + definition.pattern + '  ' + chalk.gray(definition.uri + ':' + definition.line));
+                });
+            });
+            lines.push('');
+        }
+
+        if (usage.undefinedSteps.length > 0) {
+            lines.push(chalk.red.bold('Undefined steps:'));
+            usage.undefinedSteps.forEach(function (step) {
+                lines.push(chalk.red('  ' + step.keyword + ' ' + step.text) + '  ' + chalk.gray(step.uri + ':' + step.line));
+            });
+            lines.push('');
+        }
+
+        let unused = usage.stepDefinitions.filter((definition) => definition.matches === 0 && !definition.builtIn).length;
+        lines.push(usage.scenarios + ' scenario(s), ' + usage.steps + ' step(s): ' +
+            usage.undefinedSteps.length + ' undefined, ' + usage.ambiguousSteps.length + ' ambiguous, ' +
+            unused + ' of ' + usage.stepDefinitions.length + ' step definition(s) unused');
+        return lines.join('\n');
+    }
+};
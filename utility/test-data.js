@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * test-data.js loads the shared objects and data fixtures (JSON, YAML and CSV files) of the shared objects folders, applying
+ * the variant for the selected environment, and fills in {{placeholders}} such as {{uniqueEmail}} in step arguments and tables
+ * a variant is a file named after the environment, for example users.staging.json is merged over users.json with --env staging
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let crypto = require('crypto');
+let merge = require('merge');
+let yaml = require('js-yaml');
+let {camelCase} = require('./text');
+
+// extensions of the files loaded as shared objects, when a folder has several files with the same name the first one wins
+const EXTENSIONS = ['.js', '.json', '.yaml', '.yml', '.csv'];
+
+// a placeholder such as {{uniqueEmail}}, {{uniqueEmail:buyer}} or {{shared.users.admin.email}}
+const PLACEHOLDER = /\{\{\s*([A-Za-z_$][\w$]*(?:\.[\w$-]+)*)(?::([\w-]+))?\s*\}\}/g;
+
+let counter = 0;
+
+// values of labelled placeholders, the same label gives the same value for the rest of the scenario
+let scenarioValues = {};
+
+// shared objects placeholders such as {{shared.users.admin.email}} are looked up in
+let sharedObjects = {};
+
+/**
+ * returns an id that is unique across runs and the workers of a parallel run
+ * @returns {string} lower case letters and digits
+ */
+function uniqueId() {
+    counter++;
+    return Date.now().toString(36) + process.pid.toString(36) + counter.toString(36);
+}
+
+// values generated for each placeholder name
+const GENERATORS = {
+    uniqueId: uniqueId,
+    uniqueEmail: () => 'test.' + uniqueId() + '@example.com',
+    uuid: () => crypto.randomUUID(),
+    timestamp: () => String(Date.now()),
+    today: () => new Date().toISOString().substring(0, 10)
+};
+
+/**
+ * parses CSV text, the first row holding the column names. quoted values can contain commas, quotes ("") and new lines
+ * @param {string} text - CSV text
+ * @returns {Array} a {column: value} object per row
+ * @example
+ *      testData.parseCsv('email,role\nadmin@example.com,admin'); // [{email: 'admin@example.com', role: 'admin'}]
+ */
+function parseCsv(text) {
+    let rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        let char = text.charAt(i);
+        if (quoted) {
+            if (char === '"' && text.charAt(i + 1) === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text.charAt(i + 1) === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // blank lines are ignored
+    rows = rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+    let columns = (rows.shift() || []).map((column) => column.trim());
+    return rows.map(function (cells) {
+        let record = {};
+        columns.forEach(function (column, index) {
+            record[column] = (cells[index] !== undefined) ? cells[index] : '';
+        });
+        return record;
+    });
+}
+
+/**
+ * reads a shared object or data fixture
+ * @param {string} filePath - path of a .js, .json, .yaml, .yml or .csv file
+ * @returns {*} the module exports or the data in the file
+ */
+function loadFile(filePath) {
+    let extension = path.extname(filePath).toLowerCase();
+    if (extension === '.js') return require(path.resolve(filePath));
+
+    let text = fs.readFileSync(filePath).toString();
+    try {
+        switch (extension) {
+            case '.json':
+                return JSON.parse(text);
+            case '.yaml':
+            case '.yml':
+                return yaml.load(text);
+            case '.csv':
+                return parseCsv(text);
+            default:
+                throw new Error('unsupported file type ' + extension);
+        }
+    } catch (err) {
+        throw new Error('Unable to read test data ' + filePath + ': ' + err.message);
+    }
+}
+
+/**
+ * returns the path of the variant of a data file for an environment, if there is one
+ * @param {string} filePath - path of the data file, for example data/users.csv
+ * @param {string} env - name of the environment, for example staging
+ * @returns {string} path of the variant (data/users.staging.csv) or undefined if there is none
+ */
+function variantPath(filePath, env) {
+    if (!env) return undefined;
+    let extension = path.extname(filePath);
+    let variant = filePath.slice(0, -extension.length) + '.' + env + extension;
+    return (fs.isFileSync(variant)) ? variant : undefined;
+}
+
+/**
+ * reads a data file, using the variant for the environment in place of the file (lists) or merged over it (objects)
+ * @param {string} filePath - path of the data file
+ * @param {string} env - (optional) name of the environment
+ * @returns {*} the data
+ */
+function loadVariant(filePath, env) {
+    let data = loadFile(filePath);
+    let variant = variantPath(filePath, env);
+    if (!variant) return data;
+
+    let variantData = loadFile(variant);
+    let isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    return (isObject(data) && isObject(variantData)) ? merge.recursive(true, data, variantData) : variantData;
+}
+
+/**
+ * looks up a dotted path, for example users.admin.email, within an object
+ * @param {object} source - object to search
+ * @param {Array} keys - keys of the path
+ * @returns {*} the value or undefined if the path does not exist
+ */
+function lookup(source, keys) {
+    return keys.reduce((value, key) => (value !== undefined && value !== null) ? value[key] : undefined, source);
+}
+
+/**
+ * fills in the {{placeholders}} of a string, unknown placeholders are left as they are
+ * @param {string} text - text containing placeholders
+ * @returns {string} text with the placeholders replaced
+ */
+function render(text) {
+    return String(text).replace(PLACEHOLDER, function (match, name, label) {
+        let keys = name.split('.');
+        let value;
+
+        if (label && scenarioValues[name + ':' + label] !== undefined) {
+            return scenarioValues[name + ':' + label];
+        }
+        if (Object.prototype.hasOwnProperty.call(GENERATORS, name)) {
+            value = GENERATORS[name]();
+        } else if (keys[0] === 'shared' && keys.length > 1) {
+            value = lookup(sharedObjects, keys.slice(1));
+
+            // functions in shared objects act as generators, for example {{shared.orders.newOrderId}}
+            value = (typeof value === 'function') ? value() : value;
+        }
+        if (value === undefined || value === null || typeof value === 'object') return match;
+
+        if (label) {
+            scenarioValues[name + ':' + label] = String(value);
+        }
+        return String(value);
+    });
+}
+
+module.exports = {
+
+    EXTENSIONS: EXTENSIONS,
+
+    GENERATORS: GENERATORS,
+
+    parseCsv: parseCsv,
+
+    loadVariant: loadVariant,
+
+    render: render,
+
+    /**
+     * loads the shared objects and data files of a folder (and its sub folders) keyed by file name, as both the file name and
+     * its camel cased form (test-data.json is exposed as shared['test-data'] and shared.testData)
+     * @param {string} folder - shared objects folder
+     * @param {string} env - (optional) name of the environment, selects the variants of the files
+     * @returns {object} shared objects
+     */
+    loadFolder: function loadFolder(folder, env) {
+        let objects = {};
+        let files = fs.readdirSync(folder).sort();
+
+        files.forEach(function (file) {
+            let filePath = path.join(folder, file);
+            let extension = path.extname(file).toLowerCase();
+            let name = path.basename(file, path.extname(file));
+
+            if (fs.isDirectorySync(filePath)) {
+                objects[file] = loadFolder(filePath, env);
+            } else if (EXTENSIONS.indexOf(extension) === -1 || objects[name] !== undefined) {
+                return;
+            } else if (/\./.test(name) && files.indexOf(name.replace(/\.[^.]+$/, '') + path.extname(file)) !== -1) {
+                // a variant, loaded along with the file it is a variant of
+                return;
+            } else {
+                let sameName = EXTENSIONS.map((ext) => name + ext).filter((candidate) => files.indexOf(candidate) !== -1);
+                objects[name] = loadVariant(path.join(folder, sameName[0]), env);
+            }
+        });
+
+        Object.keys(objects).forEach(function (name) {
+            objects[camelCase(name)] = objects[name];
+        });
+        return objects;
+    },
+
+    /**
+     * sets the shared objects that {{shared.*}} placeholders are looked up in
+     * @param {object} shared - shared objects
+     * @returns {void}
+     */
+    setSharedObjects: function (shared) {
+        sharedObjects = shared || {};
+    },
+
+    /**
+     * forgets the values of labelled placeholders, called from a Before hook so each scenario gets new values
+     * @returns {void}
+     */
+    startScenario: function () {
+        scenarioValues = {};
+    },
+
+    /**
+     * returns the value a labelled placeholder was given in the running scenario
+     * @param {string} placeholder - name and label of the placeholder, for example uniqueEmail:buyer
+     * @returns {string} the value or undefined if the placeholder has not been used yet
+     * @example
+     *      When(/^I sign up as "([^"]*)"$/, function (email) {       // Given I sign up as "{{uniqueEmail:buyer}}"
+     *          expect(this.testData.get('uniqueEmail:buyer')).to.equal(email);
+     *      });
+     */
+    get: function (placeholder) {
+        return scenarioValues[placeholder];
+    },
+
+    /**
+     * fills in the placeholders of the arguments of a step, strings, doc strings and data tables are rendered
+     * @param {Array} args - step arguments
+     * @param {function} DataTable - the cucumber DataTable class
+     * @returns {Array} rendered arguments
+     */
+    renderArguments: function (args, DataTable) {
+        return args.map(function (arg) {
+            if (typeof arg === 'string') return render(arg);
+            if (arg instanceof DataTable) {
+                return new DataTable(arg.raw().map((row) => row.map((cell) => render(cell))));
+            }
+            return arg;
+        });
+    }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * text.js escapes text for the HTML reports and converts names into file names and camel cased property names
+ */
+
+module.exports = {
+
+    /**
+     * escapes text for use within HTML
+     * @param {string} text - text to escape
+     * @returns {string} escaped text
+     * @example
+     *      text.escapeHtml('<b>"bold"</b>'); // &lt;b&gt;&quot;bold&quot;&lt;/b&gt;
+     */
+    escapeHtml: function (text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    /**
+     * converts a name, such as the name of a scenario, into a string safe to use as a file name
+     * @param {string} name - name to convert
+     * @returns {string} lower case letters and digits separated by dashes
+     * @example
+     *      text.slugify('Search for "shoes"'); // search-for-shoes
+     */
+    slugify: function (name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    },
+
+    /**
+     * converts a file name into the name it is exposed as, as require-dir does for page objects and shared objects
+     * @param {string} name - file name without extension
+     * @returns {string} camel cased name
+     * @example
+     *      text.camelCase('google-search'); // googleSearch
+     */
+    camelCase: function (name) {
+        return name.replace(/[-_\s]+(.)?/g, (match, letter) => (letter ? letter.toUpperCase() : ''));
+    }
+};
@@ -0,0 +1,258 @@
+'use strict';
+
+/**
+ * trend-report.js keeps a history of previous runs in the reports folder and charts it as a self-contained HTML dashboard:
+ * the pass rate and duration per feature of every run, and the slowest and most failing scenarios over time
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let text = require('./text');
+
+// number of runs kept in the history, the oldest are dropped first
+const HISTORY_LIMIT = 50;
+
+// number of scenarios listed in the slowest and most failing tables
+const TOP_SCENARIOS = 10;
+
+// colours of the lines of the duration per feature chart
+const COLOURS = ['#337ab7', '#5cb85c', '#f0ad4e', '#d9534f', '#5bc0de', '#8e44ad', '#16a085', '#7f8c8d', '#c0392b', '#2c3e50'];
+
+/**
+ * reads the history of previous runs
+ * @param {string} historyPath - path of the history file
+ * @returns {Array} runs, oldest first
+ */
+function readHistory(historyPath) {
+    if (!fs.isFileSync(historyPath)) return [];
+    try {
+        let history = JSON.parse(fs.readFileSync(historyPath).toString());
+        return (Array.isArray(history)) ? history : [];
+    } catch (err) {
+        console.warn('Unable to read the run history ' + historyPath + ', starting a new one: ' + err.message);
+        return [];
+    }
+}
+
+/**
+ * records a run in the compact form kept in the history
+ * @param {object} run - the run being reported (see reporters.generate)
+ * @returns {object} {date, duration, counts, features, scenarios}
+ */
+function toHistoryEntry(run) {
+    let features = {};
+    run.summary.scenarios.forEach(function (scenario) {
+        let feature = features[scenario.feature] = features[scenario.feature] || {name: scenario.feature, duration: 0, total: 0, passed: 0};
+        feature.duration += scenario.duration;
+        feature.total++;
+        if (scenario.status === 'passed') feature.passed++;
+    });
+
+    return {
+        date: new Date().toISOString(),
+        duration: run.duration,
+        counts: run.summary.counts.scenarios,
+        features: Object.keys(features).map((name) => features[name]),
+        scenarios: run.summary.scenarios.map(function (scenario) {
+            return {
+                id: scenario.uri + ':' + scenario.line,
+                feature: scenario.feature,
+                name: scenario.name,
+                status: scenario.status,
+                duration: scenario.duration
+            };
+        })
+    };
+}
+
+/**
+ * draws a line chart as inline SVG
+ * @param {Array} series - list of {name, colour, values} where values has a number (or null for no value) per run
+ * @param {object} options - chart options
+ * @param {number} options.max - (optional) top of the y axis, defaults to the largest value
+ * @param {function} options.label - formats a value for the y axis and tooltips
+ * @param {Array} options.runs - label of each run, shown in the tooltips
+ * @returns {string} SVG markup
+ */
+function lineChart(series, options) {
+    let width = 900;
+    let height = 240;
+    let left = 60;
+    let bottom = 20;
+    let count = options.runs.length;
+    let max = options.max || Math.max.apply(null, [1].concat(series.map((line) => Math.max.apply(null, line.values.filter((value) => value !== null)))));
+    let x = (index) => left + ((count > 1) ? index * (width - left - 10) / (count - 1) : (width - left) / 2);
+    let y = (value) => 10 + (height - bottom - 10) * (1 - value / max);
+
+    let svg = ['<svg viewBox="0 0 ' + width + ' ' + height + '" width="100%" preserveAspectRatio="xMidYMid meet">'];
+    [0, 0.5, 1].forEach(function (fraction) {
+        svg.push('<line x1="' + left + '" x2="' + width + '" y1="' + y(max * fraction) + '" y2="' + y(max * fraction) + '" stroke="#eee"/>');
+        svg.push('<text x="' + (left - 6) + '" y="' + (y(max * fraction) + 4) + '" text-anchor="end" class="axis">' + text.escapeHtml(options.label(max * fraction)) + '</text>');
+    });
+
+    series.forEach(function (line) {
+
+        // runs without a value break the line
+        let segments = [[]];
+        line.values.forEach(function (value, index) {
+            if (value === null) {
+                segments.push([]);
+            } else {
+                segments[segments.length - 1].push(x(index).toFixed(1) + ',' + y(value).toFixed(1));
+            }
+        });
+        segments.filter((segment) => segment.length > 1).forEach(function (segment) {
+            svg.push('<polyline fill="none" stroke="' + line.colour + '" stroke-width="2" points="' + segment.join(' ') + '"/>');
+        });
+        line.values.forEach(function (value, index) {
+            if (value === null) return;
+            svg.push('<circle cx="' + x(index).toFixed(1) + '" cy="' + y(value).toFixed(1) + '" r="3" fill="' + line.colour + '">' +
+                '<title>' + text.escapeHtml(line.name + ' ' + options.runs[index] + ': ' + options.label(value)) + '</title></circle>');
+        });
+    });
+    svg.push('</svg>');
+    return svg.join('');
+}
+
+/**
+ * draws the status of a scenario in each run as a row of coloured squares
+ * @param {Array} statuses - status of each run, undefined when the scenario did not run
+ * @param {Array} runs - label of each run
+ * @returns {string} SVG markup
+ */
+function statusStrip(statuses, runs) {
+    let svg = ['<svg width="' + (statuses.length * 8) + '" height="10">'];
+    statuses.forEach(function (status, index) {
+        if (!status) return;
+        svg.push('<rect x="' + (index * 8) + '" y="0" width="6" height="10" class="' + text.escapeHtml(status) + '"><title>' + text.escapeHtml(runs[index] + ': ' + status) + '</title></rect>');
+    });
+    svg.push('</svg>');
+    return svg.join('');
+}
+
+/**
+ * gathers the duration and status of every scenario across the history
+ * @param {Array} history - runs, oldest first
+ * @returns {Array} list of {feature, name, durations, statuses, runs, failures, average, last}, statuses has an entry per run
+ */
+function scenarioTrends(history) {
+    let scenarios = {};
+    history.forEach(function (run, index) {
+        run.scenarios.forEach(function (scenario) {
+            let trend = scenarios[scenario.id] = scenarios[scenario.id] || {
+                feature: scenario.feature,
+                durations: [],
+                statuses: history.map(() => undefined),
+                runs: 0,
+                failures: 0
+            };
+            trend.name = scenario.name;
+            trend.durations.push(scenario.duration);
+            trend.statuses[index] = scenario.status;
+            trend.runs++;
+            if (['passed', 'skipped'].indexOf(scenario.status) === -1) trend.failures++;
+            trend.last = scenario.duration;
+        });
+    });
+    return Object.keys(scenarios).map(function (id) {
+        let trend = scenarios[id];
+        trend.average = trend.durations.reduce((total, duration) => total + duration, 0) / trend.durations.length;
+        return trend;
+    });
+}
+
+/**
+ * builds the dashboard HTML
+ * @param {Array} history - runs, oldest first
+ * @returns {string} HTML page
+ */
+function dashboard(history) {
+    let runs = history.map((run) => run.date.replace('T', ' ').substring(0, 16));
+    let seconds = (value) => (value / 1000).toFixed(1) + 's';
+    let latest = history[history.length - 1];
+    let passRate = (run) => (run.counts.total > 0) ? 100 * run.counts.passed / run.counts.total : null;
+
+    // every feature that ran in the history gets a line, the most recent runs decide the colours
+    let featureNames = [];
+    history.slice().reverse().forEach(function (run) {
+        run.features.forEach(function (feature) {
+            if (featureNames.indexOf(feature.name) === -1) featureNames.push(feature.name);
+        });
+    });
+    let featureSeries = featureNames.map(function (name, index) {
+        return {
+            name: name,
+            colour: COLOURS[index % COLOURS.length],
+            values: history.map(function (run) {
+                let feature = run.features.find((item) => item.name === name);
+                return (feature) ? feature.duration : null;
+            })
+        };
+    });
+
+    let trends = scenarioTrends(history);
+    let slowest = trends.slice().sort((a, b) => b.average - a.average).slice(0, TOP_SCENARIOS);
+    let failing = trends.filter((trend) => trend.failures > 0).sort((a, b) => (b.failures - a.failures) || (b.failures / b.runs - a.failures / a.runs)).slice(0, TOP_SCENARIOS);
+
+    let html = [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8"><title>Test trends</title>',
+        '<style>',
+        'body{font-family:sans-serif;margin:20px;color:#333}',
+        'table{border-collapse:collapse;width:100%;margin-bottom:30px}',
+        'th,td{border:1px solid #ddd;padding:6px;text-align:left;vertical-align:middle;font-size:13px}',
+        '.axis{font-size:11px;fill:#777}.legend span{display:inline-block;margin-right:15px;font-size:13px}',
+        '.legend i{display:inline-block;width:12px;height:12px;margin-right:4px;vertical-align:middle}',
+        '.passed{fill:#5cb85c}.failed{fill:#d9534f}.skipped{fill:#999}.pending,.undefined,.ambiguous{fill:#f0ad4e}',
+        '</style></head><body>',
+        '<h1>Test trends</h1>',
+        '<p>' + history.length + ' run(s) from ' + text.escapeHtml(runs[0]) + ' to ' + text.escapeHtml(runs[runs.length - 1]) + '. Latest run: ' +
+            latest.counts.passed + ' of ' + latest.counts.total + ' scenarios passed in ' + seconds(latest.duration) + '.</p>',
+        '<h2>Pass rate</h2>',
+        lineChart([{name: 'pass rate', colour: '#5cb85c', values: history.map(passRate)}], {max: 100, runs: runs, label: (value) => Math.round(value) + '%'}),
+        '<h2>Duration per feature</h2>',
+        lineChart(featureSeries, {runs: runs, label: seconds}),
+        '<p class="legend">' + featureSeries.map((line) => '<span><i style="background:' + line.colour + '"></i>' + text.escapeHtml(line.name) + '</span>').join('') + '</p>',
+        '<h2>Slowest scenarios</h2>',
+        '<table><tr><th>Feature</th><th>Scenario</th><th>Average</th><th>Latest</th><th>Runs</th></tr>'
+    ];
+    slowest.forEach(function (trend) {
+        html.push('<tr><td>' + text.escapeHtml(trend.feature) + '</td><td>' + text.escapeHtml(trend.name) + '</td><td>' + seconds(trend.average) + '</td>' +
+            '<td>' + seconds(trend.last) + '</td><td>' + statusStrip(trend.statuses, runs) + '</td></tr>');
+    });
+    html.push('</table>');
+
+    html.push('<h2>Most failing scenarios</h2>');
+    if (failing.length === 0) {
+        html.push('<p>No scenario has failed in the last ' + history.length + ' run(s).</p>');
+    } else {
+        html.push('<table><tr><th>Feature</th><th>Scenario</th><th>Failures</th><th>Failure rate</th><th>Runs</th></tr>');
+        failing.forEach(function (trend) {
+            html.push('<tr><td>' + text.escapeHtml(trend.feature) + '</td><td>' + text.escapeHtml(trend.name) + '</td><td>' + trend.failures + '</td>' +
+                '<td>' + Math.round(100 * trend.failures / trend.runs) + '%</td><td>' + statusStrip(trend.statuses, runs) + '</td></tr>');
+        });
+        html.push('</table>');
+    }
+    html.push('</body></html>');
+    return html.join('\n');
+}
+
+module.exports = {
+
+    HISTORY_LIMIT: HISTORY_LIMIT,
+
+    /**
+     * adds the run to trend-history.json in the reports folder and writes the trend dashboard, trend-report.html
+     * delete trend-history.json to start the history again
+     * @param {object} run - the run being reported (see reporters.generate)
+     * @returns {string} path of the dashboard
+     */
+    write: function (run) {
+        let historyPath = path.resolve(run.reportsPath, 'trend-history.json');
+        let history = readHistory(historyPath).concat([toHistoryEntry(run)]).slice(-HISTORY_LIMIT);
+        fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
+
+        let outputPath = path.resolve(run.reportsPath, 'trend-report.html');
+        fs.writeFileSync(outputPath, dashboard(history));
+        return outputPath;
+    }
+};
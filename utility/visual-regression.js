@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * visual-regression.js compares screenshots against baseline images stored in the project, without a hosted service
+ * baselines are kept per browser in the baselines folder, run with --update-baselines to accept the current screenshots
+ * the baseline, actual and diff images of a comparison are attached to the scenario and saved under reports/visual
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let crypto = require('crypto');
+let PNG = require('pngjs').PNG;
+let pixelmatch = require('pixelmatch');
+let pageElements = require('./page-elements');
+let session = require('./session');
+let text = require('./text');
+
+let currentScenario = null;
+
+/**
+ * returns the bounds of an element within the viewport in screenshot pixels
+ * @param {string|object} selector - css selector, xpath expression, selenium locator or page object element
+ * @param {boolean} scroll - scroll the element into view before measuring it
+ * @returns {Promise} resolves with {x, y, width, height}
+ */
+function getElementBounds(selector, scroll) {
+    let find = (selector instanceof pageElements.PageElement)
+        ? selector.find()
+        : session.getDriver().findElement(pageElements.toLocator(selector));
+
+    return Promise.resolve(find).then(function (element) {
+        return session.getDriver().executeScript(function (el, scrollIntoView) {
+            if (scrollIntoView) el.scrollIntoView();
+            var rect = el.getBoundingClientRect();
+            var ratio = window.devicePixelRatio || 1;
+            return {x: rect.left * ratio, y: rect.top * ratio, width: rect.width * ratio, height: rect.height * ratio};
+        }, element, !!scroll);
+    });
+}
+
+/**
+ * copies part of an image, clipped to the image bounds
+ * @param {PNG} image - source image
+ * @param {object} bounds - {x, y, width, height} to copy
+ * @returns {PNG} cropped image
+ */
+function crop(image, bounds) {
+    let x = Math.max(0, Math.round(bounds.x));
+    let y = Math.max(0, Math.round(bounds.y));
+    let width = Math.min(image.width - x, Math.round(bounds.width));
+    let height = Math.min(image.height - y, Math.round(bounds.height));
+    if (width <= 0 || height <= 0) {
+        throw new Error('Element is outside of the visible area of the page');
+    }
+    let cropped = new PNG({width: width, height: height});
+    PNG.bitblt(image, cropped, x, y, width, height, 0, 0);
+    return cropped;
+}
+
+/**
+ * paints a region of an image solid magenta so it is the same in the baseline and actual images
+ * @param {PNG} image - image to paint
+ * @param {object} region - {x, y, width, height}
+ * @returns {void}
+ */
+function paintRegion(image, region) {
+    let left = Math.max(0, Math.round(region.x));
+    let top = Math.max(0, Math.round(region.y));
+    let right = Math.min(image.width, Math.round(region.x + region.width));
+    let bottom = Math.min(image.height, Math.round(region.y + region.height));
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            let index = (y * image.width + x) * 4;
+            image.data[index] = 255;
+            image.data[index + 1] = 0;
+            image.data[index + 2] = 255;
+            image.data[index + 3] = 255;
+        }
+    }
+}
+
+/**
+ * measures the regions to ignore in screenshot pixels, without scrolling so they match the screenshot taken next
+ * @param {Array} ignoreRegions - list of {x, y, width, height} or element selectors
+ * @returns {Promise} resolves with a list of {x, y, width, height, element}, element is true for selector regions
+ */
+function measureRegions(ignoreRegions) {
+    return Promise.all((ignoreRegions || []).map(function (region) {
+        let isRect = region && typeof region.width === 'number' && typeof region.height === 'number';
+        if (isRect) return region;
+        return getElementBounds(region, false).then((bounds) => Object.assign(bounds, {element: true}));
+    }));
+}
+
+/**
+ * moves element regions so they are relative to the captured area, rectangles are already relative to the capture
+ * @param {Array} regions - list returned by measureRegions
+ * @param {object} origin - {x, y} of the captured area within the screenshot
+ * @returns {Array} list of {x, y, width, height}
+ */
+function relativeRegions(regions, origin) {
+    return regions.map(function (region) {
+        if (!region.element) return region;
+        return {x: region.x - origin.x, y: region.y - origin.y, width: region.width, height: region.height};
+    });
+}
+
+/**
+ * returns the file name of a baseline, the slug of its name keeps it readable and a hash of the name itself keeps names
+ * that slugify the same way (such as "Home page" and "home-page!") from sharing a baseline
+ * @param {string} name - name of the baseline
+ * @returns {string} file name, for example home-page-9521dba2.png
+ * @throws {Error} if the name has no letters or digits to name the file after
+ */
+function baselineFileName(name) {
+    let slug = text.slugify(name);
+    if (!slug) {
+        throw new Error('Screenshot name "' + name + '" can not be used as a baseline file name, it needs letters (a-z) or digits');
+    }
+    return slug + '-' + crypto.createHash('sha1').update(String(name)).digest('hex').substring(0, 8) + '.png';
+}
+
+/**
+ * attaches an image to the current scenario and saves it under the reports folder
+ * @param {PNG} image - image to save
+ * @param {string} filePath - where to save the image
+ * @returns {void}
+ */
+function saveAndAttach(image, filePath) {
+    let buffer = PNG.sync.write(image);
+    fs.makeTreeSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, buffer);
+    if (currentScenario) {
+        currentScenario.attach(buffer, 'image/png');
+    }
+}
+
+module.exports = {
+
+    /**
+     * records the scenario comparison images are attached to, called from a Before hook
+     * @param {object} scenario - the running cucumber scenario
+     * @returns {void}
+     */
+    startScenario: function (scenario) {
+        currentScenario = scenario;
+    },
+
+    /**
+     * captures a screenshot and compares it with the baseline of the same name
+     * a missing baseline fails the comparison unless running with --update-baselines, which creates or replaces it
+     * @param {string} name - name of the baseline, unique within the project and containing letters or digits
+     * @param {object} options - (optional) comparison options
+     * @param {string|object} options.selector - (optional) only capture this element (css, xpath, locator or page object element)
+     * @param {number} options.threshold - (optional) fraction of pixels allowed to differ, for example 0.01 for 1%. defaults to 0
+     * @param {Array} options.ignoreRegions - (optional) list of {x, y, width, height} (in pixels of the capture) or element selectors to ignore
+     * @param {string} options.baselinesPath - folder the baselines are stored in
+     * @param {string} options.reportsPath - reports folder, comparison images are saved to reportsPath/visual
+     * @param {boolean} options.updateBaselines - create or replace the baseline with the screenshot
+     * @returns {Promise} resolves with {mismatch, baseline} if the screenshot matches, otherwise rejects
+     */
+    compare: function (name, options) {
+        options = options || {};
+        let threshold = options.threshold || 0;
+        let fileName;
+        try {
+            fileName = baselineFileName(name);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        let browserFolder = text.slugify(path.basename(global.browserName || 'default', '.js'));
+        let baselinePath = path.resolve(options.baselinesPath, browserFolder, fileName);
+        let outputFolder = path.resolve(options.reportsPath, 'visual', text.slugify(name) + '-' + Date.now());
+        let origin = {x: 0, y: 0};
+        let regions = [];
+
+        // the element is scrolled into view first, then the ignored regions are measured so nothing moves before the screenshot
+        let elementBounds = (options.selector) ? getElementBounds(options.selector, true) : Promise.resolve(null);
+
+        return elementBounds.then(function (bounds) {
+            return measureRegions(options.ignoreRegions).then(function (measured) {
+                regions = measured;
+                return session.getDriver().takeScreenshot();
+            })
+            .then(function (screenShot) {
+                let image = PNG.sync.read(Buffer.from(screenShot, 'base64'));
+                if (!bounds) return image;
+
+                origin = bounds;
+                return crop(image, bounds);
+            });
+        })
+        .then(function (actual) {
+            regions = relativeRegions(regions, origin);
+            regions.forEach((region) => paintRegion(actual, region));
+
+            if (options.updateBaselines) {
+                fs.makeTreeSync(path.dirname(baselinePath));
+                fs.writeFileSync(baselinePath, PNG.sync.write(actual));
+                console.warn('Updated baseline ' + baselinePath);
+                return {mismatch: 0, baseline: baselinePath};
+            }
+
+            if (!fs.isFileSync(baselinePath)) {
+                saveAndAttach(actual, path.join(outputFolder, 'actual.png'));
+                throw new Error('Screenshot "' + name + '" has no baseline (' + baselinePath + '), run with --update-baselines to ' +
+                    'create it from the screenshot saved in ' + outputFolder);
+            }
+
+            let baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+            regions.forEach((region) => paintRegion(baseline, region));
+
+            if (baseline.width !== actual.width || baseline.height !== actual.height) {
+                saveAndAttach(baseline, path.join(outputFolder, 'baseline.png'));
+                saveAndAttach(actual, path.join(outputFolder, 'actual.png'));
+                throw new Error('Screenshot "' + name + '" is ' + actual.width + 'x' + actual.height + ' but the baseline is ' +
+                    baseline.width + 'x' + baseline.height + ' (' + baselinePath + ')');
+            }
+
+            let diff = new PNG({width: actual.width, height: actual.height});
+            let differentPixels = pixelmatch(baseline.data, actual.data, diff.data, actual.width, actual.height, {threshold: 0.1});
+            let mismatch = differentPixels / (actual.width * actual.height);
+
+            if (mismatch > threshold) {
+                saveAndAttach(baseline, path.join(outputFolder, 'baseline.png'));
+                saveAndAttach(actual, path.join(outputFolder, 'actual.png'));
+                saveAndAttach(diff, path.join(outputFolder, 'diff.png'));
+                throw new Error('Screenshot "' + name + '" differs from the baseline by ' + (mismatch * 100).toFixed(2) + '% (' +
+                    differentPixels + ' pixels), the threshold is ' + (threshold * 100) + '%. See ' + outputFolder);
+            }
+            return {mismatch: mismatch, baseline: baselinePath};
+        });
+    }
+};
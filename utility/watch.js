@@ -0,0 +1,303 @@
+'use strict';
+
+/**
+ * watch.js reruns scenarios as their feature files, step definitions, page objects and shared objects change (--watch)
+ * the browser is kept open between runs, changed modules are removed from the require cache so the next run loads them again
+ * and only the scenarios affected by a change are rerun. a keyboard menu reruns every, the failed or the tagged scenarios
+ */
+let fs = require('fs-plus');
+let path = require('path');
+let readline = require('readline');
+let chalk = require('chalk');
+let runner = require('./runner');
+let session = require('./session');
+let networkMock = require('./network-mock');
+let testData = require('./test-data');
+
+// changes within this many milliseconds of each other are handled together, editors often write a file several times
+const DEBOUNCE = 300;
+
+// extensions of the files whose changes are handled, anything else (editor swap files etc) is ignored
+const EXTENSIONS = ['.feature'].concat(testData.EXTENSIONS);
+
+// statuses of the scenarios that are not rerun by the failed option
+const PASSING = ['passed', 'skipped'];
+
+// options of the command line, every run starts from these
+let baseOptions = {};
+
+// the feature paths and tags of the last run, rerun with enter
+let lastRun = null;
+
+// scenarios (uri:line) that failed in the last run
+let failed = [];
+
+let running = false;
+let prompting = false;
+let queued = null;
+let changed = [];
+let debounceTimer = null;
+let watchers = [];
+
+/**
+ * returns true if a file is within a folder
+ * @param {string} filePath - absolute path of the file
+ * @param {string} folder - path of the folder
+ * @returns {boolean} true if the file is in the folder or one of its sub folders
+ */
+function isWithin(filePath, folder) {
+    return !!folder && (filePath + path.sep).indexOf(path.resolve(folder) + path.sep) === 0;
+}
+
+/**
+ * lists the folders to watch, once the first run has published the resolved settings
+ * @returns {Array} existing folders of the feature files, step definitions, page objects and shared objects
+ */
+function watchedFolders() {
+    let featureFolders = global.config.featureFiles.split(',').map(function (featurePath) {
+        let filePath = featurePath.replace(/(:\d+)+$/, '');
+        return (fs.isFileSync(filePath)) ? path.dirname(filePath) : filePath;
+    });
+    let folders = featureFolders.concat([global.stepsPath, global.pageObjectPath], global.sharedObjectPaths || [])
+        .filter((folder) => folder && fs.isDirectorySync(folder))
+        .map((folder) => path.resolve(folder));
+
+    // folders within another watched folder are already covered by it
+    return folders.filter((folder, index) => folders.indexOf(folder) === index && !folders.some((other) => other !== folder && isWithin(folder, other)));
+}
+
+/**
+ * prints the keyboard menu
+ * @returns {void}
+ */
+function printMenu() {
+    console.log(chalk.gray('\nWatching for changes. Press ') + chalk.bold('a') + chalk.gray(' to run all, ') +
+        chalk.bold('f') + chalk.gray(' to run the ' + failed.length + ' failed, ') + chalk.bold('t') + chalk.gray(' to run by tag, ') +
+        chalk.bold('enter') + chalk.gray(' to run the last scenarios again, ') + chalk.bold('q') + chalk.gray(' to quit.'));
+}
+
+/**
+ * runs scenarios, or queues them to run once the current run has finished
+ * @param {Array} featurePaths - feature files, scenarios (path/to/file.feature:line) or directories to run, null for those of the settings
+ * @param {string|Array} tags - tag expressions of the scenarios to run
+ * @param {string} reason - why they are run, printed before the run
+ * @returns {Promise} resolves once the run has finished, never rejects
+ */
+function runScenarios(featurePaths, tags, reason) {
+    if (running) {
+        queued = {featurePaths: featurePaths, tags: tags, reason: reason};
+        return Promise.resolve();
+    }
+    running = true;
+    lastRun = {featurePaths: featurePaths, tags: tags};
+    console.log(chalk.cyan('\n' + reason + '\n'));
+
+    let featureFiles = (featurePaths) ? featurePaths.join(',') : baseOptions.featureFiles;
+    return runner.run(Object.assign({}, baseOptions, {featureFiles: featureFiles, tags: tags}))
+        .then(function (result) {
+            failed = result.scenarios.filter((scenario) => PASSING.indexOf(scenario.status) === -1).map((scenario) => scenario.uri + ':' + scenario.line);
+            let counts = result.counts.scenarios;
+            console.log((result.success ? chalk.green : chalk.red)(counts.passed + ' of ' + counts.total + ' scenario(s) passed'));
+        }, function (err) {
+
+            // a step definition with a syntax error for example, fixing it is the next change
+            console.error((err.errors) ? chalk.red(err.message) : err.stack);
+        })
+        .then(function () {
+            running = false;
+            return runNext();
+        });
+}
+
+/**
+ * runs the scenarios queued while the last run was in progress, or those affected by the changes made meanwhile
+ * @returns {Promise} resolves once they have run, never rejects
+ */
+function runNext() {
+    let next = queued;
+    queued = null;
+    if (next) return runScenarios(next.featurePaths, next.tags, next.reason);
+    if (changed.length > 0) return handleChanges();
+    printMenu();
+    return Promise.resolve();
+}
+
+/**
+ * returns the scenarios that use the step definitions of the changed files, along with any that have undefined or ambiguous
+ * steps (such as those whose step definition was removed), from a dry run of every scenario
+ * @param {Array} stepFiles - absolute paths of the changed step definition files
+ * @returns {Promise} resolves with the scenarios (uri:line) to run
+ */
+function scenariosUsing(stepFiles) {
+    return runner.run(Object.assign({}, baseOptions, {dryRun: true})).then(function (result) {
+        let scenarios = [];
+        result.usage.stepDefinitions
+            .filter((definition) => stepFiles.indexOf(path.resolve(definition.uri)) !== -1)
+            .forEach((definition) => (scenarios = scenarios.concat(definition.scenarios)));
+        result.usage.undefinedSteps.concat(result.usage.ambiguousSteps).forEach((step) => scenarios.push(step.scenario));
+        return scenarios.filter((scenario, index) => scenarios.indexOf(scenario) === index);
+    });
+}
+
+/**
+ * reruns the scenarios affected by the files that have changed since the last run
+ * - a changed feature file is run in full
+ * - a changed step definition file reruns the scenarios using its step definitions
+ * - a changed page object or shared object reruns the scenarios of the last run, which may have used it
+ * @returns {Promise} resolves once the affected scenarios have run, never rejects
+ */
+function handleChanges() {
+    if (running) return Promise.resolve();
+
+    let files = changed;
+    changed = [];
+    let features = files.filter((file) => path.extname(file) === '.feature' && fs.isFileSync(file));
+    let stepFiles = files.filter((file) => path.extname(file) !== '.feature' && isWithin(file, global.stepsPath));
+    let supportFiles = files.filter((file) => path.extname(file) !== '.feature' && stepFiles.indexOf(file) === -1);
+    let names = files.map((file) => path.relative(process.cwd(), file)).join(', ');
+
+    if (stepFiles.length > 0 || supportFiles.length > 0) {
+        runner.reloadSupportCode();
+    }
+    if (supportFiles.length > 0) {
+        let previous = lastRun || {featurePaths: null, tags: baseOptions.tags};
+        return runScenarios(previous.featurePaths, previous.tags, 'Changed ' + names + ', running the last scenarios again');
+    }
+    if (stepFiles.length === 0) {
+        return (features.length > 0) ? runScenarios(features, baseOptions.tags, 'Changed ' + names) : Promise.resolve();
+    }
+
+    running = true;
+    return scenariosUsing(stepFiles).then(function (scenarios) {
+        running = false;
+        let featurePaths = features.concat(scenarios.filter((scenario) => features.indexOf(path.resolve(scenario.replace(/:\d*$/, ''))) === -1));
+        if (featurePaths.length === 0) {
+            console.log(chalk.cyan('\nChanged ' + names + ', no scenarios use its step definitions'));
+            return runNext();
+        }
+        return runScenarios(featurePaths, baseOptions.tags, 'Changed ' + names + ', running ' + featurePaths.length + ' affected feature(s)/scenario(s)');
+    }, function (err) {
+        running = false;
+        console.error((err.errors) ? chalk.red(err.message) : err.stack);
+        return runNext();
+    });
+}
+
+/**
+ * records a changed file, handling every change made within the debounce time together
+ * @param {string} filePath - absolute path of the changed (or deleted) file
+ * @returns {void}
+ */
+function fileChanged(filePath) {
+    if (EXTENSIONS.indexOf(path.extname(filePath).toLowerCase()) === -1 || isWithin(filePath, global.reportsPath)) return;
+    if (changed.indexOf(filePath) === -1) changed.push(filePath);
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(handleChanges, DEBOUNCE);
+}
+
+/**
+ * stops watching, quitting the browser kept open between runs
+ * @returns {void}
+ */
+function stop() {
+    watchers.forEach((watcher) => watcher.close());
+    clearTimeout(debounceTimer);
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+
+    // later runs in this process quit the browser and proxy at the end of the run again
+    global.watchMode = false;
+
+    let driver = session.getDriver();
+    session.setDriver(null);
+    let quitting = (driver) ? driver.quit().catch(() => null) : Promise.resolve();
+    quitting.then(() => networkMock.stop()).then(() => process.exit(0));
+}
+
+/**
+ * asks for a tag expression and runs the scenarios matching it
+ * @returns {void}
+ */
+function promptForTags() {
+    prompting = true;
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+
+    let prompt = readline.createInterface({input: process.stdin, output: process.stdout});
+    prompt.question('Tag expression (for example @smoke and not @wip): ', function (answer) {
+        prompt.close();
+        prompting = false;
+        if (process.stdin.isTTY) process.stdin.setRawMode(true);
+        process.stdin.resume();
+
+        if (answer.trim()) {
+            runScenarios(null, answer.trim(), 'Running the scenarios tagged ' + answer.trim());
+        } else {
+            printMenu();
+        }
+    });
+}
+
+/**
+ * handles a key press of the keyboard menu
+ * @param {string} text - character typed
+ * @param {object} key - key details from readline
+ * @returns {void}
+ */
+function keyPressed(text, key) {
+    if (prompting || !key) return;
+    if (key.name === 'q' || (key.ctrl && key.name === 'c')) {
+        stop();
+    } else if (key.name === 'a') {
+        runScenarios(null, baseOptions.tags, 'Running all scenarios');
+    } else if (key.name === 'f') {
+        if (failed.length === 0) {
+            console.log(chalk.cyan('\nNo scenarios failed in the last run'));
+        } else {
+            runScenarios(failed, [], 'Running the ' + failed.length + ' failed scenario(s)');
+        }
+    } else if (key.name === 't') {
+        promptForTags();
+    } else if (key.name === 'return' && lastRun) {
+        runScenarios(lastRun.featurePaths, lastRun.tags, 'Running the last scenarios again');
+    }
+}
+
+module.exports = {
+
+    /**
+     * runs the scenarios then watches their files, rerunning the affected scenarios as they change until q is pressed
+     * runs are made in this process (parallel and retry are ignored) and the browser is reset between scenarios rather than
+     * quit, unless the teardown strategy is none or the scenario is tagged @fresh-browser
+     * @param {object} options - options of the run (see runner.run)
+     * @returns {Promise} resolves once the first run has finished and the files are being watched
+     * @example
+     *      watch.start({featureFiles: './features', browser: 'chrome'});
+     */
+    start: function (options) {
+        baseOptions = Object.assign({}, options, {parallel: 1, retry: 0, launchReport: false});
+        delete baseOptions.watch;
+        if ([undefined, 'always'].indexOf(baseOptions.browserTeardownStrategy) !== -1) {
+            baseOptions.browserTeardownStrategy = 'clear';
+        }
+        global.watchMode = true;
+
+        return runScenarios(null, baseOptions.tags, 'Running all scenarios')
+            .then(function () {
+                if (!global.config) {
+
+                    // the configuration is invalid, there is nothing to watch
+                    process.exit(1);
+                }
+                watchedFolders().forEach(function (folder) {
+                    watchers.push(fs.watch(folder, {recursive: true}, function (event, fileName) {
+                        if (fileName) fileChanged(path.resolve(folder, fileName.toString()));
+                    }));
+                });
+
+                readline.emitKeypressEvents(process.stdin);
+                if (process.stdin.isTTY) process.stdin.setRawMode(true);
+                process.stdin.on('keypress', keyPressed);
+                process.stdin.resume();
+            });
+    }
+};